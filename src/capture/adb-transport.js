@@ -0,0 +1,77 @@
+import { adbConnect, adbDisconnect, adbGetState } from '../shared/adb.js';
+
+export function startAdbTransportWatchdog({
+  serial,
+  endpoint = '',
+  label = '[capture]',
+  logger = console,
+  pollIntervalMs = 2000,
+  failThreshold = 2,
+  onLost,
+  onRestored,
+  onReconnectAttempt
+}) {
+  const state = {
+    stopped: false,
+    busy: false,
+    failStreak: 0,
+    firstFailEpochMs: null,
+    lostEpochMs: null,
+    handle: null
+  };
+
+  async function tick() {
+    if (state.stopped || state.busy) return;
+    state.busy = true;
+    try {
+      if (state.lostEpochMs == null) {
+        const current = await adbGetState(serial);
+        if (state.stopped) return;
+        if (current === 'device') {
+          state.failStreak = 0;
+          state.firstFailEpochMs = null;
+          return;
+        }
+        state.failStreak += 1;
+        if (state.firstFailEpochMs == null) state.firstFailEpochMs = Date.now();
+        if (state.failStreak < failThreshold) return;
+        state.lostEpochMs = state.firstFailEpochMs;
+        logger.warn(`${label} adb 传输断开（state=${current || 'unknown'}），开始重连...`);
+        await onLost(state.lostEpochMs);
+        return;
+      }
+
+      if (endpoint) {
+        if (onReconnectAttempt) onReconnectAttempt();
+        await adbDisconnect(endpoint);
+        const connected = await adbConnect(endpoint);
+        if (!connected.ok || state.stopped) return;
+      }
+      const current = await adbGetState(serial);
+      if (current !== 'device' || state.stopped) return;
+
+      const lostEpochMs = state.lostEpochMs;
+      state.lostEpochMs = null;
+      state.failStreak = 0;
+      state.firstFailEpochMs = null;
+      const restoredEpochMs = Date.now();
+      logger.log(`${label} adb 传输已恢复，中断 ${restoredEpochMs - lostEpochMs}ms`);
+      await onRestored({ lostEpochMs, restoredEpochMs });
+    } catch (err) {
+      logger.warn(`${label} adb 传输检查异常:`, String(err.message || err));
+    } finally {
+      state.busy = false;
+    }
+  }
+
+  state.handle = setInterval(() => { void tick(); }, pollIntervalMs);
+
+  return {
+    isLost: () => state.lostEpochMs != null,
+    lostEpochMs: () => state.lostEpochMs,
+    stop() {
+      state.stopped = true;
+      clearInterval(state.handle);
+    }
+  };
+}
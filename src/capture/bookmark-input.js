@@ -0,0 +1,43 @@
+import fs from 'node:fs';
+import readline from 'node:readline';
+
+const BOOKMARK_COMMAND_REGEX = /^b(?:\s+(.*))?$/i;
+
+function readTriggerFile(triggerPath) {
+  if (!fs.existsSync(triggerPath)) return null;
+  const epochMs = Math.round(fs.statSync(triggerPath).mtimeMs);
+  const content = fs.readFileSync(triggerPath, 'utf8');
+  fs.unlinkSync(triggerPath);
+  const notes = content.split(/\r?\n/).map((x) => x.trim()).filter(Boolean);
+  return { epochMs, notes: notes.length ? notes : [''] };
+}
+
+export function startBookmarkInput({ input = process.stdin, triggerPath, pollIntervalMs = 1000, label = '[capture]', logger = console, onBookmark }) {
+  const rl = input ? readline.createInterface({ input, terminal: false, crlfDelay: Infinity }) : null;
+  if (rl) {
+    rl.on('line', (line) => {
+      const m = String(line || '').trim().match(BOOKMARK_COMMAND_REGEX);
+      if (!m) return;
+      onBookmark({ epochMs: Date.now(), note: (m[1] || '').trim(), source: 'stdin' });
+    });
+  }
+
+  const handle = setInterval(() => {
+    let trigger;
+    try {
+      trigger = readTriggerFile(triggerPath);
+    } catch (err) {
+      logger.warn(`${label} 读取书签触发文件失败:`, String(err.message || err));
+      return;
+    }
+    if (!trigger) return;
+    trigger.notes.forEach((note) => onBookmark({ epochMs: trigger.epochMs, note, source: 'file' }));
+  }, pollIntervalMs);
+
+  return {
+    stop() {
+      clearInterval(handle);
+      if (rl) rl.close();
+    }
+  };
+}
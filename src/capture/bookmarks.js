@@ -0,0 +1,25 @@
+export function createBookmarkRecorder({ stream, serial }) {
+  let counter = 0;
+
+  function record({ kind, source, epochMs = Date.now(), note = '', trigger = null }) {
+    counter += 1;
+    const bookmark = {
+      type: 'BOOKMARK',
+      id: `bm-${String(counter).padStart(4, '0')}`,
+      kind,
+      source,
+      epoch_ms: epochMs,
+      ts_iso: new Date(epochMs).toISOString(),
+      serial,
+      note,
+      trigger
+    };
+    stream.write(`${JSON.stringify(bookmark)}\n`);
+    return bookmark;
+  }
+
+  return {
+    record,
+    count: () => counter
+  };
+}
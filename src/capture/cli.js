@@ -19,6 +19,18 @@ function createCaptureProgram() {
     .option('--host-side-ssh-user <user>', 'Windows 主机 SSH 用户')
     .option('--host-side-ssh-key <path>', 'Windows 主机 SSH 私钥路径')
     .option('--ping-log-tz-offset <offset>', 'ping 日志时区偏移（例如 +08:00）', '+08:00')
+    .option('--serials <list>', '指定参与采集的设备序列号（逗号分隔，多台并行采集）')
+    .option('--all-devices', '对所有在线设备并行采集', false)
+    .option('--live', '采集期间在终端实时显示 ping 曲线、丢包、p95 与任务状态', false)
+    .option('--alert-latency-ms <ms>', '手机侧 ping 延迟达到该值时自动打书签并补抓 wifi/connectivity 快照')
+    .option('--alert-jitter-ms <ms>', '相邻 ping 样本延迟差达到该值时自动打书签并补抓快照')
+    .option('--alert-cooldown-sec <seconds>', '自动书签冷却时间（秒，默认 15）')
+    .option('--cpu-interval-ms <ms>', 'top 进程 CPU 采样间隔（毫秒，默认 5000）')
+    .option('--frame-stats', '采集串流 App 的帧呈现数据（SurfaceFlinger --latency 与 gfxinfo framestats）', false)
+    .option('--frame-package <package>', '帧呈现采集的包名（默认 com.limelight）')
+    .option('--adb-connect <list>', '无线 adb：采集前执行 adb connect 的 host:port（逗号分隔，可多个）')
+    .option('--adb-pair <host:port>', '无线 adb：配对地址（手机“使用配对码配对设备”中显示的 IP:端口）')
+    .option('--adb-pair-code <code>', '无线 adb：6 位配对码（与 --adb-pair 一起使用）')
     .helpOption('-h, --help', '显示帮助');
 }
 
@@ -44,7 +56,19 @@ export function parseCaptureArgs(argv) {
     hostSideSshPort: z.coerce.number().int().positive().optional(),
     hostSideSshUser: z.string().optional(),
     hostSideSshKey: z.string().optional(),
-    pingLogTzOffset: z.string().min(1).default('+08:00')
+    pingLogTzOffset: z.string().min(1).default('+08:00'),
+    serials: z.string().optional(),
+    allDevices: z.boolean().default(false),
+    live: z.boolean().default(false),
+    alertLatencyMs: z.coerce.number().positive().optional(),
+    alertJitterMs: z.coerce.number().positive().optional(),
+    alertCooldownSec: z.coerce.number().nonnegative().optional(),
+    cpuIntervalMs: z.coerce.number().positive().optional(),
+    frameStats: z.boolean().default(false),
+    framePackage: z.string().optional(),
+    adbConnect: z.string().optional(),
+    adbPair: z.string().optional(),
+    adbPairCode: z.string().optional()
   }).parse(opts);
   return {
     minutes: parsed.minutes,
@@ -60,6 +84,18 @@ export function parseCaptureArgs(argv) {
     hostSideSshPort: parsed.hostSideSshPort,
     hostSideSshUser: parsed.hostSideSshUser || '',
     hostSideSshKey: parsed.hostSideSshKey || '',
-    pingLogTzOffset: parsed.pingLogTzOffset
+    pingLogTzOffset: parsed.pingLogTzOffset,
+    serials: String(parsed.serials || '').split(',').map((x) => x.trim()).filter(Boolean),
+    allDevices: parsed.allDevices,
+    live: parsed.live,
+    alertLatencyMs: parsed.alertLatencyMs,
+    alertJitterMs: parsed.alertJitterMs,
+    alertCooldownSec: parsed.alertCooldownSec,
+    cpuIntervalMs: parsed.cpuIntervalMs,
+    frameStats: parsed.frameStats,
+    framePackage: parsed.framePackage || '',
+    adbConnect: String(parsed.adbConnect || '').split(',').map((x) => x.trim()).filter(Boolean),
+    adbPair: parsed.adbPair || '',
+    adbPairCode: parsed.adbPairCode || ''
   };
 }
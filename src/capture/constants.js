@@ -1,10 +1,50 @@
-export const TASKS = [
-  { name: 'wifi', service: 'wifi', intervalMs: 2000, lineLimit: 200, outFile: 'dumpsys_wifi.log' },
-  { name: 'connectivity', service: 'connectivity', intervalMs: 10000, lineLimit: 260, outFile: 'dumpsys_conn.log' },
-  { name: 'deviceidle', service: 'deviceidle', intervalMs: 10000, lineLimit: 320, outFile: 'dumpsys_deviceidle.log' },
-  { name: 'power', service: 'power', intervalMs: 10000, lineLimit: 320, outFile: 'dumpsys_power.log' },
-  { name: 'alarm', service: 'alarm', intervalMs: 30000, lineLimit: 320, outFile: 'dumpsys_alarm.log' },
-  { name: 'jobscheduler', service: 'jobscheduler', intervalMs: 30000, lineLimit: 320, outFile: 'dumpsys_jobs.log' }
+export const DEFAULT_DUMPSYS_TASKS = [
+  { name: 'wifi', service: 'wifi', args: [], intervalMs: 2000, lineLimit: 200, outFile: 'dumpsys_wifi.log', startOffsetMs: 0 },
+  { name: 'connectivity', service: 'connectivity', args: [], intervalMs: 10000, lineLimit: 260, outFile: 'dumpsys_conn.log', startOffsetMs: 1000 },
+  { name: 'deviceidle', service: 'deviceidle', args: [], intervalMs: 10000, lineLimit: 320, outFile: 'dumpsys_deviceidle.log', startOffsetMs: 3000 },
+  { name: 'power', service: 'power', args: [], intervalMs: 10000, lineLimit: 320, outFile: 'dumpsys_power.log', startOffsetMs: 5000 },
+  { name: 'alarm', service: 'alarm', args: [], intervalMs: 30000, lineLimit: 320, outFile: 'dumpsys_alarm.log', startOffsetMs: 1500 },
+  { name: 'jobscheduler', service: 'jobscheduler', args: [], intervalMs: 30000, lineLimit: 320, outFile: 'dumpsys_jobs.log', startOffsetMs: 5500 },
+  { name: 'thermal', service: 'thermalservice', args: [], intervalMs: 10000, lineLimit: 200, outFile: 'dumpsys_thermal.log', startOffsetMs: 7000 },
+  { name: 'battery', service: 'battery', args: [], intervalMs: 10000, lineLimit: 80, outFile: 'dumpsys_battery.log', startOffsetMs: 9000 },
+  { name: 'netdev', command: ['cat', '/proc/net/dev'], intervalMs: 2000, lineLimit: 40, outFile: 'net_dev.log', startOffsetMs: 1000, queue: 'netdev' },
+  {
+    name: 'uidnet',
+    command: ["cat /proc/net/xt_qtaguid/stats 2>/dev/null || (dumpsys netstats --poll >/dev/null; dumpsys netstats detail | grep -E 'stats:|uid=| rb=')"],
+    intervalMs: 10000,
+    lineLimit: 5000,
+    outFile: 'uid_traffic.log',
+    startOffsetMs: 3200,
+    queue: 'uidnet'
+  },
+  { name: 'packages', command: ['pm', 'list', 'packages', '-U'], intervalMs: 60000, lineLimit: 5000, outFile: 'pm_packages.log', startOffsetMs: 3600, queue: 'packages' },
+  { name: 'processes', command: ['ps', '-A'], intervalMs: 30000, lineLimit: 3000, outFile: 'ps.log', startOffsetMs: 300, queue: 'processes' },
+  { name: 'cpu', command: ['top', '-b', '-n', '1', '-m', '30'], intervalMs: 5000, lineLimit: 40, outFile: 'cpu_top.log', startOffsetMs: 1400, queue: 'cpu' }
 ];
 
-export const TASK_START_OFFSETS_MS = [0, 400, 800, 1200, 1600, 2000];
+export const FRAME_STATS_TASK_DEFAULTS = {
+  name: 'frames',
+  package: 'com.limelight',
+  intervalMs: 1000,
+  lineLimit: 1500,
+  outFile: 'frame_stats.log',
+  startOffsetMs: 200,
+  queue: 'frames'
+};
+
+export const CUSTOM_TASK_DEFAULTS = {
+  intervalMs: 10000,
+  lineLimit: 320,
+  startOffsetStepMs: 400
+};
+
+export const DEFAULT_TASK_QUEUE = 'dumpsys';
+
+export const STARTUP_SNAPSHOT_TASKS = ['processes'];
+
+export const BOOKMARK_TRIGGER_FILE = 'bookmark.trigger';
+
+export const CLOCK_SAMPLE_INTERVAL_MS = 30000;
+
+export const ALERT_SNAPSHOT_TASKS = ['wifi', 'connectivity'];
+
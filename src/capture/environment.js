@@ -1,6 +1,9 @@
-import { runAdb, parseDevices } from '../shared/adb.js';
+import { runAdb, adbArgsForSerial, parseDevices, adbConnect, adbPair } from '../shared/adb.js';
+import { formatUtcOffset, parseUtcOffsetMinutes } from '../shared/time.js';
 
-export async function ensureAdbAndPickDevice() {
+const DEVICE_EPOCH_REGEX = /^(\d{10})(\d{3})?/;
+
+export async function ensureAdbAndPickDevice({ serials = [], allDevices = false, adbWireless = null } = {}) {
   console.log('[capture] 开始环境检查...');
   try {
     const ver = await runAdb(['version']);
@@ -12,6 +15,24 @@ export async function ensureAdbAndPickDevice() {
     throw new Error(`无法执行 adb version，请先安装 Android Platform Tools。${String(err.message || err)}`);
   }
 
+  const wireless = adbWireless || { connect: [], pairAddress: '', pairCode: '' };
+  if (wireless.pairAddress) {
+    console.log(`[capture] 无线 adb 配对: ${wireless.pairAddress}`);
+    const paired = await adbPair(wireless.pairAddress, wireless.pairCode);
+    if (!paired.ok) {
+      throw new Error(`adb pair 失败，请确认配对码未过期且手机与电脑在同一网络: ${paired.output || 'unknown error'}`);
+    }
+    console.log(`[capture] ${paired.output}`);
+  }
+  for (const endpoint of wireless.connect) {
+    console.log(`[capture] 无线 adb 连接: ${endpoint}`);
+    const connected = await adbConnect(endpoint);
+    if (!connected.ok) {
+      throw new Error(`adb connect ${endpoint} 失败，请确认手机已开启无线调试且端口正确: ${connected.output || 'unknown error'}`);
+    }
+    console.log(`[capture] ${connected.output}`);
+  }
+
   let devicesInfo;
   try {
     devicesInfo = await runAdb(['devices', '-l']);
@@ -32,17 +53,57 @@ export async function ensureAdbAndPickDevice() {
     if (offline.length > 0) {
       throw new Error('检测到 offline 设备。请重插数据线，或执行 adb kill-server && adb start-server 后重试。');
     }
-    throw new Error('未检测到可用设备。请确认 USB 调试已开启并已连接。');
+    throw new Error('未检测到可用设备。请确认 USB 调试已开启并已连接，或通过 --adb-connect 连接无线调试设备。');
   }
 
-  if (okDevices.length > 1) {
-    console.warn(`[capture] 检测到多个 device，默认使用第一个: ${okDevices[0].serial}`);
+  let selected;
+  const requested = serials.length > 0 ? serials : (allDevices ? [] : wireless.connect);
+  if (requested.length > 0) {
+    const unique = [...new Set(requested)];
+    const missing = unique.filter((s) => !okDevices.some((d) => d.serial === s));
+    if (missing.length > 0) {
+      throw new Error(`指定的设备不可用（未连接或状态不是 device）: ${missing.join(', ')}`);
+    }
+    selected = unique;
+  } else if (allDevices) {
+    selected = okDevices.map((d) => d.serial);
+  } else {
+    if (okDevices.length > 1) {
+      console.warn(`[capture] 检测到多个 device，默认使用第一个: ${okDevices[0].serial}（多设备并行采集请传 --serials 或 --all-devices）`);
+    }
+    selected = [okDevices[0].serial];
+  }
+  if (selected.length > 1) {
+    console.log(`[capture] 多设备并行采集: ${selected.join(', ')}`);
   }
 
   console.log('[capture] 提示：请在开发者选项中开启 Wi-Fi verbose logging（Wi-Fi 详细日志）。');
   console.log('[capture] 提示：长时间抓取建议开启“保持唤醒/屏幕常亮”（可选）。');
   return {
-    serial: okDevices[0].serial,
+    serial: selected[0],
+    serials: selected,
     devices
   };
 }
+
+export async function readDeviceClock(serial, { withTimezone = false } = {}) {
+  const command = withTimezone ? 'date +%s%N; date +%z; getprop persist.sys.timezone' : 'date +%s%N';
+  const hostBefore = Date.now();
+  const result = await runAdb(adbArgsForSerial(serial, ['shell', command]), {
+    timeout: withTimezone ? 10000 : 5000,
+    reject: false
+  });
+  const hostAfter = Date.now();
+  const [epochLine = '', offsetLine = '', timezone = ''] = String(result.stdout || '').split(/\r?\n/).map((x) => x.trim());
+  const epoch = epochLine.match(DEVICE_EPOCH_REGEX);
+  if (result.exitCode !== 0 || !epoch) return null;
+  const clock = {
+    hostEpochMs: Math.round((hostBefore + hostAfter) / 2),
+    deviceEpochMs: Number(epoch[1]) * 1000 + Number(epoch[2] || 0),
+    roundTripMs: hostAfter - hostBefore
+  };
+  if (!withTimezone) return clock;
+  const utcOffsetMinutes = parseUtcOffsetMinutes(offsetLine);
+  if (utcOffsetMinutes == null) return null;
+  return { ...clock, utcOffset: formatUtcOffset(utcOffsetMinutes), timezone };
+}
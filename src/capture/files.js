@@ -1,21 +1,41 @@
 import path from 'node:path';
 import { ensureDir, createWriteStream } from '../shared/io.js';
 import { formatDirTimestamp } from '../shared/time.js';
-import { TASKS } from './constants.js';
 
-export function buildCapturePaths(outRoot, startedAt) {
-  const outDir = path.join(path.resolve(outRoot), formatDirTimestamp(startedAt));
-  ensureDir(outDir);
+export function buildCaptureRootDir(outRoot, startedAt) {
+  const rootDir = path.join(path.resolve(outRoot), formatDirTimestamp(startedAt));
+  ensureDir(rootDir);
+  return rootDir;
+}
 
-  const filePaths = {
-    outDir,
-    logcatAll: path.join(outDir, 'logcat_all.log'),
-    logcatErr: path.join(outDir, 'logcat_stderr.log'),
-    pingHost: path.join(outDir, 'ping_host.log'),
-    pingHostSide: path.join(outDir, 'ping_host_side.log'),
-    meta: path.join(outDir, 'capture_meta.json')
+export function buildDeviceDirName(serial) {
+  return String(serial || 'device').replace(/[^A-Za-z0-9._-]+/g, '_');
+}
+
+export function buildCaptureGroupPaths(rootDir) {
+  return {
+    rootDir,
+    meta: path.join(rootDir, 'capture_meta.json')
   };
-  for (const task of TASKS) {
+}
+
+export const CAPTURE_FILES = {
+  logcatAll: 'logcat_all.log',
+  logcatErr: 'logcat_stderr.log',
+  pingHost: 'ping_host.log',
+  pingHostSide: 'ping_host_side.log',
+  bookmarks: 'bookmarks.jsonl',
+  meta: 'capture_meta.json'
+};
+
+export function buildCapturePaths(outDir, tasks) {
+  ensureDir(outDir);
+
+  const filePaths = { outDir };
+  for (const [key, fileName] of Object.entries(CAPTURE_FILES)) {
+    filePaths[key] = path.join(outDir, fileName);
+  }
+  for (const task of tasks) {
     filePaths[task.name] = path.join(outDir, task.outFile);
   }
   return filePaths;
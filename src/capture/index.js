@@ -5,9 +5,14 @@ import { parseCaptureArgs, printCaptureHelp } from './cli.js';
 import { ensureAdbAndPickDevice } from './environment.js';
 import { runCaptureFlow } from './runner.js';
 import { readJsonIfExists } from '../shared/io.js';
+import { ALERT_SNAPSHOT_TASKS, DEFAULT_DUMPSYS_TASKS, CUSTOM_TASK_DEFAULTS, DEFAULT_TASK_QUEUE, FRAME_STATS_TASK_DEFAULTS } from './constants.js';
+import { CAPTURE_FILES } from './files.js';
 
 const IPV4_REGEX = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
 const TZ_OFFSET_REGEX = /^[+-](\d{2}):(\d{2})$/;
+const ADB_ENDPOINT_REGEX = /^[^\s:]+:(\d{1,5})$/;
+const TASK_NAME_REGEX = /^[a-z][a-z0-9_]*$/;
+const PACKAGE_NAME_REGEX = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)+$/;
 
 function normalizeIntervalSec(value, fallback) {
   const num = Number(value);
@@ -136,6 +141,179 @@ function resolveHostSidePingConfig(args, rawConfig, configPath) {
   };
 }
 
+function assertAdbEndpoint(value, label) {
+  const m = String(value || '').match(ADB_ENDPOINT_REGEX);
+  if (!m || Number(m[1]) <= 0 || Number(m[1]) > 65535) {
+    throw new Error(`${label} 格式无效: ${value}（示例: 192.168.1.20:5555）。`);
+  }
+}
+
+function resolveAdbWirelessConfig(args, rawConfig, configPath) {
+  const cfgAdb = rawConfig.adbWireless || {};
+  const connect = args.adbConnect.length
+    ? args.adbConnect
+    : (Array.isArray(cfgAdb.connect) ? cfgAdb.connect : []).map((x) => String(x).trim()).filter(Boolean);
+  const pairAddress = String(args.adbPair || cfgAdb.pairAddress || '').trim();
+  const pairCode = String(args.adbPairCode || cfgAdb.pairCode || '').trim();
+
+  connect.forEach((x) => assertAdbEndpoint(x, 'adb connect 地址'));
+  if (pairAddress) {
+    assertAdbEndpoint(pairAddress, 'adb pair 地址');
+    if (!pairCode) {
+      throw new Error(`已指定 adb pair 地址，但未提供配对码。请传 --adb-pair-code，或在 ${configPath} 设置 adbWireless.pairCode。`);
+    }
+  }
+  if (pairCode && !pairAddress) {
+    throw new Error('已提供 adb 配对码，但未指定配对地址（--adb-pair）。');
+  }
+
+  return {
+    connect: [...new Set(connect)],
+    pairAddress,
+    pairCode
+  };
+}
+
+function resolveDumpsysTasks(rawConfig, configPath) {
+  const cfgTasks = rawConfig.dumpsysTasks;
+  if (cfgTasks == null) return DEFAULT_DUMPSYS_TASKS;
+  if (!Array.isArray(cfgTasks) || !cfgTasks.length) {
+    throw new Error(`dumpsysTasks 必须是非空数组: ${configPath}`);
+  }
+
+  const reservedNames = new Set([...Object.keys(CAPTURE_FILES), 'outDir']);
+  const reservedFiles = new Set(Object.values(CAPTURE_FILES));
+  const seenNames = new Set();
+  const seenFiles = new Set();
+
+  return cfgTasks.map((raw, idx) => {
+    const commandDefault = typeof raw === 'string' && DEFAULT_DUMPSYS_TASKS.some((x) => x.name === raw && x.command);
+    const entry = typeof raw === 'string' ? (commandDefault ? { name: raw } : { service: raw }) : (raw || {});
+    const [inlineService, ...inlineArgs] = String(entry.service || '').trim().split(/\s+/).filter(Boolean);
+    const commandRaw = entry.command ?? null;
+    const inlineCommand = commandRaw == null
+      ? []
+      : (Array.isArray(commandRaw) ? commandRaw.map((x) => String(x)) : String(commandRaw).trim().split(/\s+/)).filter(Boolean);
+    if (inlineService && inlineCommand.length) {
+      throw new Error(`dumpsysTasks[${idx}] 不能同时指定 service 与 command。`);
+    }
+    const base = DEFAULT_DUMPSYS_TASKS.find((x) => x.name === (entry.name || inlineService)) || null;
+    const command = inlineCommand.length ? inlineCommand : (!inlineService && base && base.command) || null;
+    const service = command ? '' : (inlineService || (base && base.service) || '');
+    if (!service && !command) {
+      throw new Error(`dumpsysTasks[${idx}] 缺少 service 或 command。`);
+    }
+    const args = command ? [] : (Array.isArray(entry.args)
+      ? entry.args.map((x) => String(x))
+      : (inlineArgs.length ? inlineArgs : ((base && base.args) || [])));
+    const name = String(entry.name || (base && base.name) || (command || [service, ...args]).join('_').replace(/[^a-zA-Z0-9_]+/g, '_').replace(/^_+|_+$/g, '')).toLowerCase();
+    const intervalMs = Number(entry.intervalMs ?? (base ? base.intervalMs : CUSTOM_TASK_DEFAULTS.intervalMs));
+    const lineLimit = Number(entry.lineLimit ?? (base ? base.lineLimit : CUSTOM_TASK_DEFAULTS.lineLimit));
+    const outFile = String(entry.outFile || (base ? base.outFile : (command ? `${name}.log` : `dumpsys_${name}.log`)));
+    const startOffsetMs = Number(entry.startOffsetMs ?? (base ? base.startOffsetMs : idx * CUSTOM_TASK_DEFAULTS.startOffsetStepMs));
+    const queue = String(entry.queue || (base && base.queue) || DEFAULT_TASK_QUEUE);
+
+    if (!TASK_NAME_REGEX.test(name) || reservedNames.has(name)) {
+      throw new Error(`dumpsysTasks[${idx}] 名称无效或与保留名冲突: ${name}`);
+    }
+    if (seenNames.has(name)) {
+      throw new Error(`dumpsysTasks 名称重复: ${name}`);
+    }
+    if (!Number.isFinite(intervalMs) || intervalMs < 500) {
+      throw new Error(`dumpsysTasks[${idx}] intervalMs 无效（至少 500）: ${entry.intervalMs}`);
+    }
+    if (!Number.isInteger(lineLimit) || lineLimit <= 0) {
+      throw new Error(`dumpsysTasks[${idx}] lineLimit 无效: ${entry.lineLimit}`);
+    }
+    if (!Number.isFinite(startOffsetMs) || startOffsetMs < 0) {
+      throw new Error(`dumpsysTasks[${idx}] startOffsetMs 无效: ${entry.startOffsetMs}`);
+    }
+    if (!TASK_NAME_REGEX.test(queue)) {
+      throw new Error(`dumpsysTasks[${idx}] queue 名称无效: ${entry.queue}`);
+    }
+    if (path.basename(outFile) !== outFile || !outFile.endsWith('.log') || reservedFiles.has(outFile) || seenFiles.has(outFile)) {
+      throw new Error(`dumpsysTasks[${idx}] outFile 无效或重复（只能是 .log 文件名）: ${outFile}`);
+    }
+    seenNames.add(name);
+    seenFiles.add(outFile);
+
+    return command
+      ? { name, command, intervalMs, lineLimit, outFile, startOffsetMs, queue }
+      : { name, service, args, intervalMs, lineLimit, outFile, startOffsetMs, queue };
+  });
+}
+
+function applyCpuInterval(args, rawConfig, configPath, tasks) {
+  const raw = args.cpuIntervalMs ?? rawConfig.cpuIntervalMs;
+  if (raw == null) return tasks;
+  const intervalMs = Number(raw);
+  if (!Number.isFinite(intervalMs) || intervalMs < 500) {
+    throw new Error(`cpuIntervalMs 无效（至少 500）: ${raw}`);
+  }
+  if (!tasks.some((t) => t.name === 'cpu')) {
+    throw new Error(`已指定 CPU 采样间隔，但 ${configPath} 的 dumpsysTasks 中没有 cpu 任务。`);
+  }
+  return tasks.map((t) => (t.name === 'cpu' ? { ...t, intervalMs } : t));
+}
+
+function buildFrameStatsCommand(pkg) {
+  return [
+    `S=$(dumpsys SurfaceFlinger --list | grep -F 'SurfaceView' | grep -F '${pkg}' | grep -v '^Background');`,
+    `L=$(echo "$S" | grep -F '(BLAST)' | head -n 1); [ -z "$L" ] && L=$(echo "$S" | head -n 1);`,
+    'echo "---SF LATENCY--- layer=$L"; [ -n "$L" ] && dumpsys SurfaceFlinger --latency "$L";',
+    `dumpsys gfxinfo ${pkg} framestats`
+  ].join(' ');
+}
+
+function applyFrameStats(args, rawConfig, configPath, tasks) {
+  const cfgFrames = rawConfig.frameStats || {};
+  if (!(args.frameStats || args.framePackage || cfgFrames.enabled)) return tasks;
+  const pkg = String(args.framePackage || cfgFrames.package || FRAME_STATS_TASK_DEFAULTS.package).trim();
+  const intervalMs = Number(cfgFrames.intervalMs ?? FRAME_STATS_TASK_DEFAULTS.intervalMs);
+  if (!PACKAGE_NAME_REGEX.test(pkg)) {
+    throw new Error(`帧呈现采集包名无效: ${pkg}`);
+  }
+  if (!Number.isFinite(intervalMs) || intervalMs < 500) {
+    throw new Error(`frameStats.intervalMs 无效（至少 500）: ${cfgFrames.intervalMs}`);
+  }
+  const { name, lineLimit, outFile, startOffsetMs, queue } = FRAME_STATS_TASK_DEFAULTS;
+  if (tasks.some((t) => t.name === name || t.outFile === outFile)) {
+    throw new Error(`已启用帧呈现采集，但 ${configPath} 的 dumpsysTasks 中已有 ${name} 任务或 ${outFile}。`);
+  }
+  return [...tasks, { name, command: [buildFrameStatsCommand(pkg)], package: pkg, intervalMs, lineLimit, outFile, startOffsetMs, queue }];
+}
+
+function resolveAlertConfig(args, rawConfig, configPath, hostPing, tasks) {
+  const cfgAlerts = rawConfig.alerts || {};
+  const latencyMs = args.alertLatencyMs ?? (cfgAlerts.latencyMs == null ? null : Number(cfgAlerts.latencyMs));
+  const jitterMs = args.alertJitterMs ?? (cfgAlerts.jitterMs == null ? null : Number(cfgAlerts.jitterMs));
+  const cooldownSec = Number(args.alertCooldownSec ?? cfgAlerts.cooldownSec ?? 15);
+
+  if (latencyMs == null && jitterMs == null) {
+    return { enabled: false };
+  }
+  if (latencyMs != null && (!Number.isFinite(latencyMs) || latencyMs <= 0)) {
+    throw new Error(`alerts.latencyMs 无效: ${latencyMs}`);
+  }
+  if (jitterMs != null && (!Number.isFinite(jitterMs) || jitterMs <= 0)) {
+    throw new Error(`alerts.jitterMs 无效: ${jitterMs}`);
+  }
+  if (!Number.isFinite(cooldownSec) || cooldownSec < 0) {
+    throw new Error(`alerts.cooldownSec 无效: ${cooldownSec}`);
+  }
+  if (!hostPing.enabled) {
+    throw new Error(`尖峰告警依赖手机侧 ping。请传 --host-ping，或在 ${configPath} 设置 hostPing.enabled=true。`);
+  }
+
+  return {
+    enabled: true,
+    latencyMs,
+    jitterMs,
+    cooldownSec,
+    snapshotTasks: ALERT_SNAPSHOT_TASKS.filter((name) => tasks.some((x) => x.name === name))
+  };
+}
+
 function resolvePingLogTzOffset(args, rawConfig) {
   const cfgOffset = rawConfig.pingLogTzOffset;
   const offset = String(args.pingLogTzOffset || cfgOffset || '+08:00').trim();
@@ -162,10 +340,16 @@ export async function runCaptureFromCli(argv = process.argv.slice(2)) {
   let hostPing;
   let hostSidePing;
   let pingLogTzOffset;
+  let adbWireless;
+  let alerts;
+  let tasks;
   try {
     hostPing = resolveHostPingConfig(args, rawConfig, configPath);
     hostSidePing = resolveHostSidePingConfig(args, rawConfig, configPath);
     pingLogTzOffset = resolvePingLogTzOffset(args, rawConfig);
+    adbWireless = resolveAdbWirelessConfig(args, rawConfig, configPath);
+    tasks = applyFrameStats(args, rawConfig, configPath, applyCpuInterval(args, rawConfig, configPath, resolveDumpsysTasks(rawConfig, configPath)));
+    alerts = resolveAlertConfig(args, rawConfig, configPath, hostPing, tasks);
   } catch (err) {
     console.error('[capture]', err.message);
     process.exit(1);
@@ -174,7 +358,11 @@ export async function runCaptureFromCli(argv = process.argv.slice(2)) {
 
   let env;
   try {
-    env = await ensureAdbAndPickDevice();
+    env = await ensureAdbAndPickDevice({
+      serials: args.serials,
+      allDevices: args.allDevices,
+      adbWireless
+    });
   } catch (err) {
     console.error('[capture]', err.message);
     process.exit(1);
@@ -185,9 +373,13 @@ export async function runCaptureFromCli(argv = process.argv.slice(2)) {
     minutes: args.minutes,
     out: args.out,
     serial: env.serial,
+    serials: env.serials,
     devices: env.devices,
     hostPing,
     hostSidePing,
-    pingLogTzOffset
+    pingLogTzOffset,
+    live: args.live,
+    alerts,
+    tasks
   });
 }
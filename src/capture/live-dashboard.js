@@ -0,0 +1,136 @@
+import { format } from 'node:util';
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const LOSS_CHAR = '×';
+
+function displayWidth(text) {
+  let width = 0;
+  for (const ch of text) width += ch.codePointAt(0) >= 0x2e80 ? 2 : 1;
+  return width;
+}
+
+function truncateToWidth(text, maxWidth) {
+  if (displayWidth(text) <= maxWidth) return text;
+  let out = '';
+  let width = 0;
+  for (const ch of text) {
+    const w = ch.codePointAt(0) >= 0x2e80 ? 2 : 1;
+    if (width + w > maxWidth - 1) break;
+    out += ch;
+    width += w;
+  }
+  return `${out}…`;
+}
+
+function formatMs(value) {
+  return value == null || !Number.isFinite(value) ? 'N/A' : `${value.toFixed(1)}ms`;
+}
+
+function formatPct(value) {
+  return value == null || !Number.isFinite(value) ? 'N/A' : `${value.toFixed(1)}%`;
+}
+
+function formatClock(ms) {
+  const totalSec = Math.max(0, Math.floor(ms / 1000));
+  const m = Math.floor(totalSec / 60);
+  const s = totalSec % 60;
+  return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+function buildSparkline(samples, width) {
+  const recent = samples.slice(-width);
+  const latencies = recent.filter((x) => x.latencyMs != null).map((x) => x.latencyMs);
+  if (!latencies.length) return recent.map(() => LOSS_CHAR).join('');
+  const min = Math.min(...latencies);
+  const max = Math.max(...latencies);
+  const span = Math.max(1, max - min);
+  return recent.map((x) => {
+    if (x.latencyMs == null) return LOSS_CHAR;
+    const idx = Math.min(SPARK_CHARS.length - 1, Math.floor(((x.latencyMs - min) / span) * SPARK_CHARS.length));
+    return SPARK_CHARS[idx];
+  }).join('');
+}
+
+function buildPingLine(title, monitor, sparkWidth) {
+  if (!monitor) return `  ${title}  未启用`;
+  const snap = monitor.snapshot();
+  if (!snap.count) return `  ${title}  等待数据...`;
+  return `  ${title}  ${buildSparkline(snap.samples, sparkWidth)}  last=${formatMs(snap.last)} p95=${formatMs(snap.p95)} loss=${formatPct(snap.lossPct)} (n=${snap.count})`;
+}
+
+function buildTaskLine(stats) {
+  const parts = Object.entries(stats || {})
+    .filter(([, stat]) => stat && typeof stat.runs === 'number')
+    .map(([name, stat]) => `${name} ${stat.ok}/${stat.runs + (stat.extraRuns || 0)}${stat.skipped ? ` skip${stat.skipped}` : ''}${stat.timeout ? ` to${stat.timeout}` : ''}${stat.error ? ` err${stat.error}` : ''}`);
+  return `  dumpsys  ${parts.join(' | ') || 'N/A'}`;
+}
+
+function buildProcessLine(device) {
+  const supervisor = device.meta.supervisor || {};
+  const parts = Object.entries(supervisor)
+    .filter(([, stat]) => stat)
+    .map(([name, stat]) => `${name} 重启${stat.restarts}`);
+  const transportLost = device.transportWatchdog && device.transportWatchdog.isLost();
+  parts.push(`adb ${transportLost ? '断连中' : '正常'}${device.meta.adbTransport.lostCount ? `（断连 ${device.meta.adbTransport.lostCount} 次）` : ''}`);
+  return `  子进程  ${parts.join(' | ')}`;
+}
+
+export function renderLiveDashboard({ devices, startedAt, minutes, columns = 100 }) {
+  const sparkWidth = Math.max(20, Math.min(60, columns - 60));
+  const elapsedMs = Date.now() - startedAt.getTime();
+  const lines = [`=== 实时监控  ${formatClock(elapsedMs)} / ${formatClock(minutes * 60 * 1000)} ===`];
+  for (const device of devices) {
+    lines.push(`[${device.serial}]`);
+    lines.push(buildPingLine('手机侧 ping', device.pingMonitor, sparkWidth));
+    if (device.hostSidePingMonitor) lines.push(buildPingLine('主机侧 ping', device.hostSidePingMonitor, sparkWidth));
+    lines.push(buildTaskLine(device.meta.stats));
+    lines.push(buildProcessLine(device));
+  }
+  return lines.map((x) => truncateToWidth(x, Math.max(20, columns - 1)));
+}
+
+export function startLiveDashboard({ devices, startedAt, minutes, refreshMs = 1000, out = process.stdout, err = process.stderr }) {
+  const interactive = Boolean(out.isTTY);
+  let drawnLines = 0;
+  let stopped = false;
+  let ticks = 0;
+
+  function clearFrame() {
+    if (drawnLines > 0) out.write(`\x1b[${drawnLines}F\x1b[J`);
+    drawnLines = 0;
+  }
+
+  function draw(force = false) {
+    ticks += 1;
+    const lines = renderLiveDashboard({ devices, startedAt, minutes, columns: out.columns || 100 });
+    if (!interactive) {
+      if (force || ticks % 10 === 1) out.write(`${lines.join('\n')}\n`);
+      return;
+    }
+    clearFrame();
+    out.write(`${lines.join('\n')}\n`);
+    drawnLines = lines.length;
+  }
+
+  function print(stream, args) {
+    clearFrame();
+    stream.write(`${format(...args)}\n`);
+    if (interactive && !stopped) draw();
+  }
+
+  draw();
+  const handle = setInterval(() => draw(), refreshMs);
+
+  return {
+    log: (...args) => print(out, args),
+    warn: (...args) => print(err, args),
+    error: (...args) => print(err, args),
+    stop() {
+      if (stopped) return;
+      clearInterval(handle);
+      draw(true);
+      stopped = true;
+      drawnLines = 0;
+    }
+  };
+}
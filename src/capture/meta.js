@@ -1,10 +1,13 @@
-import { TASKS } from './constants.js';
+import { isNetworkSerial } from '../shared/adb.js';
+import { createSubprocessStat } from './supervisor.js';
+import { CLOCK_SAMPLE_INTERVAL_MS } from './constants.js';
 
-export function createCaptureMeta({ startedAtIso, outDir, minutes, serial, devices, hostPing, hostSidePing, pingLogTzOffset }) {
+export function createCaptureMeta({ startedAtIso, outDir, minutes, serial, devices, hostPing, hostSidePing, pingLogTzOffset, captureGroup = null, alerts = null, tasks }) {
   const stats = {};
-  for (const task of TASKS) {
+  for (const task of tasks) {
     stats[task.name] = {
       runs: 0,
+      extraRuns: 0,
       ok: 0,
       skipped: 0,
       timeout: 0,
@@ -19,7 +22,15 @@ export function createCaptureMeta({ startedAtIso, outDir, minutes, serial, devic
     minutes,
     serial,
     devices,
+    captureGroup,
     pingLogTzOffset: pingLogTzOffset || '+08:00',
+    deviceClock: null,
+    clockSync: {
+      intervalMs: CLOCK_SAMPLE_INTERVAL_MS,
+      samples: [],
+      summary: null
+    },
+    dumpsysTasks: tasks,
     hostPing: {
       enabled: Boolean(hostPing && hostPing.enabled),
       hostIp: hostPing && hostPing.enabled ? hostPing.hostIp : '',
@@ -43,8 +54,60 @@ export function createCaptureMeta({ startedAtIso, outDir, minutes, serial, devic
       stoppedAtIso: null,
       exitCode: null
     },
+    alerts: {
+      enabled: Boolean(alerts && alerts.enabled),
+      latencyMs: alerts && alerts.enabled ? alerts.latencyMs : null,
+      jitterMs: alerts && alerts.enabled ? alerts.jitterMs : null,
+      cooldownSec: alerts && alerts.enabled ? alerts.cooldownSec : null,
+      snapshotTasks: alerts && alerts.enabled ? alerts.snapshotTasks : [],
+      fired: 0
+    },
+    adbTransport: {
+      kind: isNetworkSerial(serial) ? 'tcp' : 'usb',
+      endpoint: isNetworkSerial(serial) ? serial : '',
+      lostCount: 0,
+      reconnectAttempts: 0,
+      gaps: []
+    },
+    supervisor: {
+      logcat: createSubprocessStat(),
+      devicePing: hostPing && hostPing.enabled ? createSubprocessStat() : null
+    },
     stopReason: null,
     parseExitCode: null,
     stats
   };
 }
+
+export function createCaptureGroupMeta({ startedAtIso, rootDir, minutes, devices, members, hostPing, hostSidePing, pingLogTzOffset }) {
+  return {
+    version: 1,
+    kind: 'multi_device',
+    startedAtIso,
+    rootDir,
+    minutes,
+    devices,
+    pingLogTzOffset: pingLogTzOffset || '+08:00',
+    hostPing: {
+      enabled: Boolean(hostPing && hostPing.enabled),
+      hostIp: hostPing && hostPing.enabled ? hostPing.hostIp : '',
+      intervalSec: hostPing && hostPing.enabled ? hostPing.intervalSec : null
+    },
+    hostSidePing: {
+      enabled: Boolean(hostSidePing && hostSidePing.enabled),
+      hostIp: hostSidePing && hostSidePing.enabled ? hostSidePing.hostIp : '',
+      serial: hostSidePing && hostSidePing.enabled && members.length ? members[0].serial : ''
+    },
+    members: members.map((m) => ({
+      serial: m.serial,
+      dir: m.dir,
+      meta: m.meta,
+      parseExitCode: null
+    })),
+    stopReason: null,
+    stoppedAtIso: null,
+    endedAtIso: null,
+    durationSec: null,
+    parseExitCode: null
+  };
+}
@@ -0,0 +1,87 @@
+import { quantile } from '../shared/stats.js';
+
+const DEVICE_REPLY_REGEX = /icmp_?seq[=: ](\d+).*?\btime[=<]?\s*(\d+(?:\.\d+)?)\s*ms/i;
+const NPING_SENT_REGEX = /^SENT\s+\(([\d.]+)s\)\s+ICMP\s+\[[^\]]+\bseq=(\d+)\]/i;
+const NPING_RCVD_REGEX = /^RCVD\s+\(([\d.]+)s\)\s+ICMP\s+\[[^\]]+\bseq=(\d+)\]/i;
+const PREFIX_REGEX = /^\[ts_local=[^\]]+\]\[epoch_ms=(\d+)\](?:\[source=([^\]]+)\])?\s*(.*)$/;
+
+export function createPingMonitor({ windowSize = 300, replyTimeoutMs = 2000, onSample = null } = {}) {
+  const samples = [];
+  const pendingSent = new Map();
+  let lastDeviceSeq = null;
+  let totalReplies = 0;
+  let totalLost = 0;
+
+  function pushSample(epochMs, latencyMs) {
+    samples.push({ epochMs, latencyMs });
+    if (latencyMs == null) totalLost += 1;
+    else totalReplies += 1;
+    while (samples.length > windowSize) samples.shift();
+    if (onSample && latencyMs != null) onSample({ epochMs, latencyMs });
+  }
+
+  function expirePending(nowMs) {
+    for (const [seq, sent] of pendingSent.entries()) {
+      if (nowMs - sent.epochMs < replyTimeoutMs) continue;
+      pendingSent.delete(seq);
+      pushSample(sent.epochMs, null);
+    }
+  }
+
+  function push(rawLine, fallbackEpochMs = Date.now()) {
+    const prefixed = String(rawLine || '').match(PREFIX_REGEX);
+    const epochMs = prefixed ? Number(prefixed[1]) : fallbackEpochMs;
+    const line = (prefixed ? prefixed[3] : String(rawLine || '')).trim();
+    if (!line) return;
+
+    const sent = line.match(NPING_SENT_REGEX);
+    if (sent) {
+      expirePending(epochMs);
+      pendingSent.set(Number(sent[2]), { epochMs, elapsedMs: Number(sent[1]) * 1000 });
+      return;
+    }
+    const rcvd = line.match(NPING_RCVD_REGEX);
+    if (rcvd) {
+      const seq = Number(rcvd[2]);
+      const matched = pendingSent.get(seq);
+      if (!matched) return;
+      pendingSent.delete(seq);
+      pushSample(matched.epochMs, Math.max(0, Number(rcvd[1]) * 1000 - matched.elapsedMs));
+      return;
+    }
+
+    const reply = line.match(DEVICE_REPLY_REGEX);
+    if (!reply) return;
+    const seq = Number(reply[1]);
+    if (lastDeviceSeq != null && seq > lastDeviceSeq + 1) {
+      const missing = Math.min(seq - lastDeviceSeq - 1, windowSize);
+      for (let i = 0; i < missing; i += 1) pushSample(epochMs, null);
+    }
+    lastDeviceSeq = seq;
+    pushSample(epochMs, Number(reply[2]));
+  }
+
+  function resetSequence() {
+    lastDeviceSeq = null;
+  }
+
+  function snapshot() {
+    expirePending(Date.now());
+    const latencies = samples.filter((x) => x.latencyMs != null).map((x) => x.latencyMs);
+    const sortedLatencies = latencies.slice().sort((a, b) => a - b);
+    const lost = samples.length - latencies.length;
+    return {
+      samples: samples.slice(),
+      count: samples.length,
+      lossPct: samples.length ? (lost * 100) / samples.length : null,
+      p50: quantile(sortedLatencies, 0.5),
+      p95: quantile(sortedLatencies, 0.95),
+      last: latencies.length ? latencies[latencies.length - 1] : null,
+      lastEpochMs: samples.length ? samples[samples.length - 1].epochMs : null,
+      totalReplies,
+      totalLost
+    };
+  }
+
+  return { push, resetSequence, snapshot };
+}
@@ -2,25 +2,35 @@ import path from 'node:path';
 import PQueue from 'p-queue';
 import { execa } from 'execa';
 import open from 'open';
-import { runAdb, adbArgsForSerial } from '../shared/adb.js';
-import { appendSnapshot, closeStreams, writeJson } from '../shared/io.js';
+import { runAdb, adbArgsForSerial, isNetworkSerial } from '../shared/adb.js';
+import { appendSnapshot, closeStreams, writeJson, readJsonIfExists } from '../shared/io.js';
 import { sleep } from '../shared/time.js';
-import { TASKS, TASK_START_OFFSETS_MS } from './constants.js';
-import { buildCapturePaths, createCaptureStreams } from './files.js';
-import { createCaptureMeta } from './meta.js';
+import { summarizeClockSamples } from '../shared/clock-sync.js';
+import { BOOKMARK_TRIGGER_FILE, CLOCK_SAMPLE_INTERVAL_MS, DEFAULT_TASK_QUEUE, STARTUP_SNAPSHOT_TASKS } from './constants.js';
+import { buildCaptureRootDir, buildCaptureGroupPaths, buildCapturePaths, buildDeviceDirName, createCaptureStreams } from './files.js';
+import { createCaptureMeta, createCaptureGroupMeta } from './meta.js';
 import { runParseReport } from './report-runner.js';
+import { startAdbTransportWatchdog } from './adb-transport.js';
+import { superviseSubprocess } from './supervisor.js';
+import { createPingMonitor } from './ping-monitor.js';
+import { startLiveDashboard } from './live-dashboard.js';
+import { createBookmarkRecorder } from './bookmarks.js';
+import { readDeviceClock } from './environment.js';
+import { createSpikeAlerter } from './spike-alert.js';
+import { startBookmarkInput } from './bookmark-input.js';
 
 const TZ_OFFSET_REGEX = /^[+-](\d{2}):(\d{2})$/;
 const PREFXED_LOG_LINE_REGEX = /^\[ts_local=[^\]]+\]\[epoch_ms=\d+\](?:\[source=[^\]]+\])?\s/;
 
-async function runDumpsysTask({ task, stat, serial, streams }) {
+async function runDumpsysTask({ task, stat, serial, streams, tag = '' }) {
   const started = Date.now();
   let status = 'OK';
   let detail = '';
   let payload = '';
 
   try {
-    const result = await runAdb(adbArgsForSerial(serial, ['shell', 'dumpsys', task.service]), {
+    const shellArgs = task.command || ['dumpsys', task.service, ...task.args];
+    const result = await runAdb(adbArgsForSerial(serial, ['shell', ...shellArgs]), {
       timeout: 20000,
       maxBuffer: 64 * 1024 * 1024
     });
@@ -43,7 +53,13 @@ async function runDumpsysTask({ task, stat, serial, streams }) {
   } finally {
     const durationMs = Date.now() - started;
     stat.lastDurationMs = durationMs;
-    appendSnapshot(streams[task.name], { taskName: task.name, status, durationMs, detail, payload });
+    appendSnapshot(streams[task.name], {
+      taskName: task.name,
+      status,
+      durationMs,
+      detail: [tag, detail].filter(Boolean).join(' '),
+      payload
+    });
   }
 }
 
@@ -104,7 +120,12 @@ function writePrefixedLogLine(stream, rawLine, { source, tzOffsetMinutes }) {
   stream.write(`[ts_local=${tsLocal}][epoch_ms=${epochMs}][source=${source}] ${line}\n`);
 }
 
-function bindProcessOutputWithPrefix(proc, stream, { source, tzOffsetMinutes }) {
+function writeLineAndNotify(stream, line, { source, tzOffsetMinutes, onLine }) {
+  writePrefixedLogLine(stream, line, { source, tzOffsetMinutes });
+  if (onLine && line) onLine(line, Date.now());
+}
+
+function bindProcessOutputWithPrefix(proc, stream, { source, tzOffsetMinutes, onLine = null }) {
   let stdoutBuffer = '';
   let stderrBuffer = '';
 
@@ -119,12 +140,12 @@ function bindProcessOutputWithPrefix(proc, stream, { source, tzOffsetMinutes })
   if (proc.stdout) {
     proc.stdout.on('data', (chunk) => {
       stdoutBuffer = flushLines(stdoutBuffer, chunk, (line) => {
-        writePrefixedLogLine(stream, line, { source, tzOffsetMinutes });
+        writeLineAndNotify(stream, line, { source, tzOffsetMinutes, onLine });
       });
     });
     proc.stdout.on('end', () => {
       if (stdoutBuffer) {
-        writePrefixedLogLine(stream, stdoutBuffer, { source, tzOffsetMinutes });
+        writeLineAndNotify(stream, stdoutBuffer, { source, tzOffsetMinutes, onLine });
         stdoutBuffer = '';
       }
     });
@@ -161,11 +182,11 @@ function buildRemoteScriptPath(hostSidePing, scriptName) {
   return `${dir}\\${scriptName}`;
 }
 
-function startDeviceHostPingProcess({ serial, hostPing, streams, meta, pingLogTzOffset }) {
+function startDeviceHostPingProcess({ serial, hostPing, streams, meta, pingLogTzOffset, label = '[capture]', onLine = null }) {
   if (!hostPing || !hostPing.enabled || !hostPing.hostIp) return null;
 
   const pingArgs = buildDevicePingArgs(hostPing);
-  console.log(`[capture] 启动 host ping: ip=${hostPing.hostIp}, interval=${normalizePingIntervalSec(hostPing.intervalSec)}s`);
+  console.log(`${label} 启动 host ping: ip=${hostPing.hostIp}, interval=${normalizePingIntervalSec(hostPing.intervalSec)}s`);
   const pingProc = execa('adb', adbArgsForSerial(serial, ['shell', ...pingArgs]), {
     stdout: 'pipe',
     stderr: 'pipe',
@@ -176,10 +197,11 @@ function startDeviceHostPingProcess({ serial, hostPing, streams, meta, pingLogTz
 
   bindProcessOutputWithPrefix(pingProc, streams.pingHost, {
     source: 'device_side_ping',
-    tzOffsetMinutes: parseTzOffsetToMinutes(pingLogTzOffset)
+    tzOffsetMinutes: parseTzOffsetToMinutes(pingLogTzOffset),
+    onLine
   });
 
-  meta.hostPing.startedAtIso = new Date().toISOString();
+  if (!meta.hostPing.startedAtIso) meta.hostPing.startedAtIso = new Date().toISOString();
   return {
     proc: pingProc,
     exitPromise: pingProc.catch(() => null)
@@ -267,14 +289,14 @@ async function verifyHostSidePingReady(hostSidePing) {
   }
 }
 
-function startHostSidePingProcess({ hostSidePing, streams, meta, pingLogTzOffset }) {
+function startHostSidePingProcess({ hostSidePing, streams, meta, pingLogTzOffset, label = '[capture]', onLine = null }) {
   if (!hostSidePing || !hostSidePing.enabled) return null;
 
   const startScriptPath = buildRemoteScriptPath(hostSidePing, 'start_host_ping.ps1');
   const remoteLogPath = buildRemoteScriptPath(hostSidePing, 'host_side_ping.log');
   const remotePidPath = buildRemoteScriptPath(hostSidePing, 'host_side_ping.pid');
   const intervalMs = Math.max(1, Math.round(Number(hostSidePing.intervalSec || 0.2) * 1000));
-  console.log(`[capture] 启动 host-side ping: ssh=${hostSidePing.sshUser}@${hostSidePing.sshHost}:${hostSidePing.sshPort}, target=${hostSidePing.hostIp}, interval=${normalizePingIntervalSec(hostSidePing.intervalSec)}s`);
+  console.log(`${label} 启动 host-side ping: ssh=${hostSidePing.sshUser}@${hostSidePing.sshHost}:${hostSidePing.sshPort}, target=${hostSidePing.hostIp}, interval=${normalizePingIntervalSec(hostSidePing.intervalSec)}s`);
 
   const sshArgs = buildSshArgs(hostSidePing, [
     'powershell',
@@ -305,7 +327,8 @@ function startHostSidePingProcess({ hostSidePing, streams, meta, pingLogTzOffset
 
   bindProcessOutputWithPrefix(hostSideProc, streams.pingHostSide, {
     source: 'host_side_ping',
-    tzOffsetMinutes: parseTzOffsetToMinutes(pingLogTzOffset)
+    tzOffsetMinutes: parseTzOffsetToMinutes(pingLogTzOffset),
+    onLine
   });
 
   meta.hostSidePing.startedAtIso = new Date().toISOString();
@@ -369,12 +392,44 @@ async function terminateSubprocess(proc, exitPromise) {
   await Promise.race([exitPromise, sleep(1500)]);
 }
 
-export async function runCaptureFlow({ minutes, out, serial, devices, hostPing, hostSidePing, pingLogTzOffset }) {
-  const pingTzOffset = pingLogTzOffset || '+08:00';
-  await verifyHostSidePingReady(hostSidePing);
+function startLogcatProcess({ serial, streams }) {
+  const logcatProc = execa('adb', adbArgsForSerial(serial, ['logcat', '-v', 'threadtime']), {
+    stdout: 'pipe',
+    stderr: 'pipe',
+    buffer: false,
+    reject: false,
+    windowsHide: true
+  });
+  if (logcatProc.stdout) logcatProc.stdout.pipe(streams.logcatAll, { end: false });
+  if (logcatProc.stderr) logcatProc.stderr.pipe(streams.logcatErr, { end: false });
+  return {
+    proc: logcatProc,
+    exitPromise: logcatProc.catch(() => null)
+  };
+}
 
-  const startedAt = new Date();
-  const filePaths = buildCapturePaths(out, startedAt);
+function recordClockSample(meta, sample) {
+  if (!sample) return;
+  meta.clockSync.samples.push(sample);
+  meta.clockSync.summary = summarizeClockSamples(meta.clockSync.samples);
+}
+
+async function startDeviceCapture({
+  serial,
+  outDir,
+  startedAt,
+  minutes,
+  devices,
+  hostPing,
+  hostSidePing,
+  pingLogTzOffset,
+  captureGroup,
+  alerts,
+  tasks,
+  logger = console
+}) {
+  const label = captureGroup ? `[capture][${serial}]` : '[capture]';
+  const filePaths = buildCapturePaths(outDir, tasks);
   const streams = createCaptureStreams(filePaths, {
     enablePingHost: Boolean(hostPing && hostPing.enabled),
     enablePingHostSide: Boolean(hostSidePing && hostSidePing.enabled)
@@ -387,52 +442,370 @@ export async function runCaptureFlow({ minutes, out, serial, devices, hostPing,
     devices,
     hostPing,
     hostSidePing,
-    pingLogTzOffset: pingTzOffset
+    pingLogTzOffset,
+    captureGroup,
+    alerts,
+    tasks
   });
   writeJson(filePaths.meta, meta);
 
-  console.log(`[capture] 输出目录: ${filePaths.outDir}`);
-  console.log('[capture] 清空 logcat 缓冲...');
+  console.log(`${label} 输出目录: ${filePaths.outDir}`);
+  console.log(`${label} 清空 logcat 缓冲...`);
   try {
     await runAdb(adbArgsForSerial(serial, ['logcat', '-c']));
   } catch (err) {
-    console.warn('[capture] logcat -c 失败，继续执行:', String(err.message || err));
+    console.warn(`${label} logcat -c 失败，继续执行:`, String(err.message || err));
   }
 
-  console.log('[capture] 启动全量 logcat 采集...');
-  const logcatProc = execa('adb', adbArgsForSerial(serial, ['logcat', '-v', 'threadtime']), {
-    stdout: 'pipe',
-    stderr: 'pipe',
-    buffer: false,
-    reject: false,
-    windowsHide: true
+  meta.deviceClock = await readDeviceClock(serial, { withTimezone: true });
+  if (meta.deviceClock) {
+    const { hostEpochMs, deviceEpochMs, roundTripMs } = meta.deviceClock;
+    recordClockSample(meta, { hostEpochMs, deviceEpochMs, roundTripMs });
+    console.log(`${label} 设备时区: ${meta.deviceClock.timezone || 'unknown'}（UTC${meta.deviceClock.utcOffset}），设备时钟与主机相差 ${deviceEpochMs - hostEpochMs}ms`);
+  } else {
+    console.warn(`${label} 读取设备时钟/时区失败，分析时将按采集开始年份与分析机本地时区解析 logcat 时间`);
+  }
+  writeJson(filePaths.meta, meta);
+
+  const device = {
+    serial,
+    label,
+    filePaths,
+    streams,
+    meta,
+    tasks,
+    hostPing,
+    hostSidePing,
+    pingLogTzOffset,
+    transportWatchdog: null,
+    logcatSupervisor: null,
+    pingSupervisor: null,
+    hostSidePingRuntime: null,
+    bookmarks: createBookmarkRecorder({ stream: streams.bookmarks, serial }),
+    spikeAlerter: alerts && alerts.enabled
+      ? createSpikeAlerter({ latencyMs: alerts.latencyMs, jitterMs: alerts.jitterMs, cooldownMs: alerts.cooldownSec * 1000 })
+      : null,
+    logger,
+    pingMonitor: null,
+    hostSidePingMonitor: hostSidePing && hostSidePing.enabled ? createPingMonitor() : null,
+    queues: new Map()
+  };
+  if (hostPing && hostPing.enabled) {
+    device.pingMonitor = createPingMonitor({
+      onSample: device.spikeAlerter ? (sample) => handleSpikeSample(device, sample, alerts) : null
+    });
+  }
+
+  const tzOffsetMinutes = parseTzOffsetToMinutes(pingLogTzOffset);
+  const supervisorOptions = {
+    label,
+    logger,
+    terminate: (runtime) => terminateSubprocess(runtime.proc, runtime.exitPromise),
+    canRestart: () => !(device.transportWatchdog && device.transportWatchdog.isLost()),
+    onChange: () => writeJson(filePaths.meta, meta)
+  };
+  console.log(`${label} 启动全量 logcat 采集...`);
+  device.logcatSupervisor = superviseSubprocess({
+    ...supervisorOptions,
+    name: 'logcat',
+    start: () => startLogcatProcess({ serial, streams }),
+    writeMarker: (text) => writePrefixedLogLine(streams.logcatAll, text, { source: 'capture_supervisor', tzOffsetMinutes }),
+    stat: meta.supervisor.logcat
   });
-  if (logcatProc.stdout) logcatProc.stdout.pipe(streams.logcatAll, { end: false });
-  if (logcatProc.stderr) logcatProc.stderr.pipe(streams.logcatErr, { end: false });
-  const logcatExitPromise = logcatProc.catch(() => null);
-  const pingRuntime = startDeviceHostPingProcess({ serial, hostPing, streams, meta, pingLogTzOffset: pingTzOffset });
-  const hostSidePingRuntime = startHostSidePingProcess({
+  if (hostPing && hostPing.enabled && hostPing.hostIp) {
+    device.pingSupervisor = superviseSubprocess({
+      ...supervisorOptions,
+      name: 'device_ping',
+      start: () => {
+        device.pingMonitor.resetSequence();
+        return startDeviceHostPingProcess({
+          serial,
+          hostPing,
+          streams,
+          meta,
+          pingLogTzOffset,
+          label,
+          onLine: (line, epochMs) => device.pingMonitor.push(line, epochMs)
+        });
+      },
+      writeMarker: (text) => writePrefixedLogLine(streams.pingHost, text, { source: 'capture_supervisor', tzOffsetMinutes }),
+      stat: meta.supervisor.devicePing
+    });
+  }
+  device.hostSidePingRuntime = startHostSidePingProcess({
     hostSidePing,
     streams,
     meta,
-    pingLogTzOffset: pingTzOffset
+    pingLogTzOffset,
+    label,
+    onLine: device.hostSidePingMonitor ? (line, epochMs) => device.hostSidePingMonitor.push(line, epochMs) : null
+  });
+
+  return device;
+}
+
+function getTaskQueue(device, task) {
+  const key = task.queue || DEFAULT_TASK_QUEUE;
+  if (!device.queues.has(key)) device.queues.set(key, new PQueue({ concurrency: 1 }));
+  return device.queues.get(key);
+}
+
+function handleSpikeSample(device, { epochMs, latencyMs }, alerts) {
+  const { label, meta, streams, logger } = device;
+  if (meta.stopReason) return;
+  const trigger = device.spikeAlerter.check(latencyMs, epochMs);
+  if (!trigger) return;
+
+  const bookmark = device.bookmarks.record({ kind: 'auto_spike', source: 'device_ping', epochMs, trigger });
+  meta.alerts.fired += 1;
+  logger.log(`${label} 检测到 ping 尖峰（${trigger.metric}=${trigger.value.toFixed(1)}ms ≥ ${trigger.threshold}ms），书签 ${bookmark.id}，补抓快照...`);
+  if (device.transportWatchdog && device.transportWatchdog.isLost()) return;
+
+  const snapshotTasks = device.tasks.filter((x) => alerts.snapshotTasks.includes(x.name));
+  const busyQueues = new Set(snapshotTasks.map((task) => getTaskQueue(device, task)).filter((queue) => queue.pending + queue.size > 0));
+  for (const task of snapshotTasks) {
+    const stat = meta.stats[task.name];
+    const queue = getTaskQueue(device, task);
+    if (busyQueues.has(queue)) {
+      stat.skipped += 1;
+      appendSnapshot(streams[task.name], { taskName: task.name, status: 'SKIPPED', durationMs: 0, detail: `bookmark=${bookmark.id} reason=busy` });
+      continue;
+    }
+    stat.extraRuns += 1;
+    void queue.add(() => runDumpsysTask({ task, stat, serial: device.serial, streams, tag: `bookmark=${bookmark.id}` }));
+  }
+}
+
+function writeTransportMarker(device, text) {
+  const tzOffsetMinutes = parseTzOffsetToMinutes(device.pingLogTzOffset);
+  const targets = [device.streams.logcatAll, device.streams.pingHost].filter(Boolean);
+  targets.forEach((stream) => writePrefixedLogLine(stream, text, { source: 'capture_adb_transport', tzOffsetMinutes }));
+}
+
+function handleTransportLost(device, lostEpochMs) {
+  device.meta.adbTransport.lostCount += 1;
+  device.logcatSupervisor.pause();
+  if (device.pingSupervisor) device.pingSupervisor.pause();
+  writeTransportMarker(device, `ADB_TRANSPORT_LOST lost_epoch_ms=${lostEpochMs}`);
+  writeJson(device.filePaths.meta, device.meta);
+}
+
+async function handleTransportRestored(device, { lostEpochMs, restoredEpochMs }) {
+  const { label, meta, logger } = device;
+  const gapMs = restoredEpochMs - lostEpochMs;
+  writeTransportMarker(device, `ADB_TRANSPORT_GAP lost_epoch_ms=${lostEpochMs} restored_epoch_ms=${restoredEpochMs} gap_ms=${gapMs}`);
+  meta.adbTransport.gaps.push({
+    lostAtIso: new Date(lostEpochMs).toISOString(),
+    restoredAtIso: new Date(restoredEpochMs).toISOString(),
+    lostEpochMs,
+    restoredEpochMs,
+    gapMs,
+    restored: true
+  });
+  writeJson(device.filePaths.meta, meta);
+
+  logger.log(`${label} 重启 logcat 与手机侧 ping...`);
+  await Promise.all([
+    device.logcatSupervisor.restart('adb_transport_restored'),
+    device.pingSupervisor ? device.pingSupervisor.restart('adb_transport_restored') : null
+  ]);
+}
+
+function stopTransportWatchdog(device) {
+  const watchdog = device.transportWatchdog;
+  if (!watchdog) return;
+  watchdog.stop();
+  const lostEpochMs = watchdog.lostEpochMs();
+  if (lostEpochMs == null) return;
+  const stoppedEpochMs = Date.now();
+  device.meta.adbTransport.gaps.push({
+    lostAtIso: new Date(lostEpochMs).toISOString(),
+    restoredAtIso: null,
+    lostEpochMs,
+    restoredEpochMs: null,
+    gapMs: stoppedEpochMs - lostEpochMs,
+    restored: false
+  });
+}
+
+async function stopDeviceCapture(device, { reason }) {
+  const { label, meta, pingSupervisor, hostSidePingRuntime, logcatSupervisor } = device;
+  meta.stopReason = reason;
+  meta.stoppedAtIso = new Date().toISOString();
+
+  await Promise.race([Promise.all([...device.queues.values()].map((q) => q.onIdle())), sleep(25000)]);
+
+  try {
+    await logcatSupervisor.stop();
+  } catch (err) {
+    console.warn(`${label} 结束 logcat 子进程时出现异常:`, String(err.message || err));
+  }
+  if (pingSupervisor) {
+    const pingRuntime = pingSupervisor.runtime;
+    try {
+      await pingSupervisor.stop();
+    } catch (err) {
+      console.warn(`${label} 结束 ping 子进程时出现异常:`, String(err.message || err));
+    }
+    const pingResult = await Promise.race([pingRuntime.exitPromise, sleep(800)]);
+    if (pingResult && typeof pingResult.exitCode === 'number') {
+      meta.hostPing.exitCode = pingResult.exitCode;
+    } else if (pingRuntime.proc && typeof pingRuntime.proc.exitCode === 'number') {
+      meta.hostPing.exitCode = pingRuntime.proc.exitCode;
+    }
+    meta.hostPing.stoppedAtIso = new Date().toISOString();
+  }
+  if (hostSidePingRuntime) {
+    try {
+      await terminateSubprocess(hostSidePingRuntime.proc, hostSidePingRuntime.exitPromise);
+    } catch (err) {
+      console.warn(`${label} 结束 host-side SSH 子进程时出现异常:`, String(err.message || err));
+    }
+    try {
+      await stopHostSidePingRemote(device.hostSidePing, hostSidePingRuntime.remotePidPath);
+    } catch (err) {
+      console.warn(`${label} 调用 host-side stop 脚本时出现异常:`, String(err.message || err));
+    }
+    const hostSideResult = await Promise.race([hostSidePingRuntime.exitPromise, sleep(800)]);
+    if (hostSideResult && typeof hostSideResult.exitCode === 'number') {
+      meta.hostSidePing.exitCode = hostSideResult.exitCode;
+    } else if (hostSidePingRuntime.proc && typeof hostSidePingRuntime.proc.exitCode === 'number') {
+      meta.hostSidePing.exitCode = hostSidePingRuntime.proc.exitCode;
+    }
+    meta.hostSidePing.stoppedAtIso = new Date().toISOString();
+  }
+
+  if (!(device.transportWatchdog && device.transportWatchdog.isLost())) {
+    recordClockSample(meta, await readDeviceClock(device.serial));
+  }
+  const clockSummary = meta.clockSync.summary;
+  if (clockSummary && clockSummary.segments.length) {
+    const drift = clockSummary.driftPpm == null ? 'N/A' : `${clockSummary.driftPpm.toFixed(1)}ppm`;
+    const offsets = clockSummary.segments.map((x) => `${x.offsetMs}ms（${x.offsetMinMs}~${x.offsetMaxMs}ms）`).join(' -> ');
+    console.log(`${label} 设备时钟偏移 ${offsets}，${clockSummary.usedSampleCount} 次采样，漂移 ${drift}${clockSummary.steps.length ? `，跳变 ${clockSummary.steps.length} 次` : ''}`);
+  }
+
+  meta.endedAtIso = new Date().toISOString();
+  meta.durationSec = Math.round((new Date(meta.endedAtIso).getTime() - new Date(meta.startedAtIso).getTime()) / 1000);
+
+  await closeStreams(device.streams);
+  writeJson(device.filePaths.meta, meta);
+}
+
+export async function runCaptureFlow({ minutes, out, serial, serials, devices, hostPing, hostSidePing, pingLogTzOffset, live = false, alerts = null, tasks }) {
+  const pingTzOffset = pingLogTzOffset || '+08:00';
+  const targetSerials = serials && serials.length ? serials : [serial];
+  const multiDevice = targetSerials.length > 1;
+  await verifyHostSidePingReady(hostSidePing);
+  if (multiDevice && hostSidePing && hostSidePing.enabled) {
+    console.log(`[capture] host-side ping 仅针对一个目标 IP，结果写入第一台设备目录: ${targetSerials[0]}`);
+  }
+
+  const startedAt = new Date();
+  const rootDir = buildCaptureRootDir(out, startedAt);
+  const groupPaths = multiDevice ? buildCaptureGroupPaths(rootDir) : null;
+  const members = targetSerials.map((s) => {
+    const dir = multiDevice ? buildDeviceDirName(s) : '.';
+    return {
+      serial: s,
+      dir,
+      meta: path.join(dir, 'capture_meta.json')
+    };
   });
+  const groupMeta = multiDevice
+    ? createCaptureGroupMeta({
+      startedAtIso: startedAt.toISOString(),
+      rootDir,
+      minutes,
+      devices,
+      members,
+      hostPing,
+      hostSidePing,
+      pingLogTzOffset: pingTzOffset
+    })
+    : null;
+  if (groupMeta) {
+    writeJson(groupPaths.meta, groupMeta);
+    console.log(`[capture] 多设备根目录: ${rootDir}`);
+  }
 
-  const queue = new PQueue({ concurrency: 1 });
   const state = {
     stopping: false,
     intervalHandles: [],
     timeoutHandles: [],
-    autoStopHandle: null
+    autoStopHandle: null,
+    dashboard: null,
+    bookmarkInput: null
+  };
+  const logger = {
+    log: (...args) => (state.dashboard || console).log(...args),
+    warn: (...args) => (state.dashboard || console).warn(...args),
+    error: (...args) => (state.dashboard || console).error(...args)
   };
 
+  const deviceRuntimes = [];
+  for (const [idx, member] of members.entries()) {
+    let runtime;
+    try {
+      runtime = await startDeviceCapture({
+        serial: member.serial,
+        outDir: path.join(rootDir, member.dir),
+        startedAt,
+        minutes,
+        devices,
+        hostPing,
+        hostSidePing: idx === 0 ? hostSidePing : null,
+        pingLogTzOffset: pingTzOffset,
+        alerts,
+        tasks,
+        logger,
+        captureGroup: multiDevice
+          ? {
+            rootDir,
+            rootMeta: path.relative(path.join(rootDir, member.dir), groupPaths.meta),
+            serials: targetSerials
+          }
+          : null
+      });
+    } catch (err) {
+      await Promise.all(deviceRuntimes.map((device) => stopDeviceCapture(device, { reason: 'start_failed' }).catch((stopErr) => {
+        console.warn(`${device.label} 启动失败后清理时出现异常:`, String(stopErr.message || stopErr));
+      })));
+      throw err;
+    }
+    deviceRuntimes.push(runtime);
+  }
+
   let finalizeResolve;
   const finalizePromise = new Promise((resolve) => {
     finalizeResolve = resolve;
   });
 
-  function scheduleTask(task) {
-    const stat = meta.stats[task.name];
+  for (const device of deviceRuntimes) {
+    const endpoint = isNetworkSerial(device.serial) ? device.serial : '';
+    device.transportWatchdog = startAdbTransportWatchdog({
+      serial: device.serial,
+      endpoint,
+      label: device.label,
+      logger,
+      onLost: (lostEpochMs) => {
+        if (state.stopping) return;
+        handleTransportLost(device, lostEpochMs);
+      },
+      onRestored: async (gap) => {
+        if (state.stopping) return;
+        await handleTransportRestored(device, gap);
+      },
+      onReconnectAttempt: () => {
+        device.meta.adbTransport.reconnectAttempts += 1;
+      }
+    });
+  }
+
+  function scheduleTask(device, task) {
+    const stat = device.meta.stats[task.name];
+    const { streams } = device;
+    const queue = getTaskQueue(device, task);
     stat.runs += 1;
 
     if (state.stopping) {
@@ -441,128 +814,162 @@ export async function runCaptureFlow({ minutes, out, serial, devices, hostPing,
       return;
     }
 
+    if (device.transportWatchdog && device.transportWatchdog.isLost()) {
+      stat.skipped += 1;
+      appendSnapshot(streams[task.name], { taskName: task.name, status: 'SKIPPED', durationMs: 0, detail: 'reason=adb_transport_lost' });
+      return;
+    }
+
     if (queue.pending + queue.size > 0) {
       stat.skipped += 1;
       appendSnapshot(streams[task.name], { taskName: task.name, status: 'SKIPPED', durationMs: 0, detail: 'reason=busy' });
       return;
     }
 
-    void queue.add(() => runDumpsysTask({ task, stat, serial, streams }));
+    void queue.add(() => runDumpsysTask({ task, stat, serial: device.serial, streams }));
+  }
+
+  async function sampleClock(device) {
+    if (state.stopping || (device.transportWatchdog && device.transportWatchdog.isLost())) return;
+    const sample = await readDeviceClock(device.serial);
+    if (state.stopping) return;
+    recordClockSample(device.meta, sample);
+    writeJson(device.filePaths.meta, device.meta);
+  }
+
+  function recordUserBookmark({ epochMs, note, source }) {
+    if (state.stopping) return;
+    const ids = deviceRuntimes.map((device) => device.bookmarks.record({ kind: 'user', source, epochMs, note }).id);
+    logger.log(`[capture] 已记录书签 ${[...new Set(ids)].join(',')}${note ? `：${note}` : ''}`);
   }
 
   async function stop(reason, exitCode = 0) {
     if (state.stopping) return;
     state.stopping = true;
-    meta.stopReason = reason;
-    meta.stoppedAtIso = new Date().toISOString();
+    if (state.dashboard) state.dashboard.stop();
+    if (state.bookmarkInput) state.bookmarkInput.stop();
     console.log(`[capture] 停止采集，原因: ${reason}`);
 
     state.intervalHandles.forEach((h) => clearInterval(h));
     state.timeoutHandles.forEach((h) => clearTimeout(h));
     if (state.autoStopHandle) clearTimeout(state.autoStopHandle);
+    deviceRuntimes.forEach((device) => stopTransportWatchdog(device));
 
-    await Promise.race([queue.onIdle(), sleep(25000)]);
+    await Promise.all(deviceRuntimes.map((device) => stopDeviceCapture(device, { reason })));
 
-    try {
-      await terminateSubprocess(logcatProc, logcatExitPromise);
-    } catch (err) {
-      console.warn('[capture] 结束 logcat 子进程时出现异常:', String(err.message || err));
+    if (groupMeta) {
+      groupMeta.stopReason = reason;
+      groupMeta.stoppedAtIso = deviceRuntimes[0].meta.stoppedAtIso;
+      groupMeta.endedAtIso = new Date().toISOString();
+      groupMeta.durationSec = Math.round((new Date(groupMeta.endedAtIso).getTime() - new Date(groupMeta.startedAtIso).getTime()) / 1000);
+      writeJson(groupPaths.meta, groupMeta);
     }
-    if (pingRuntime) {
-      try {
-        await terminateSubprocess(pingRuntime.proc, pingRuntime.exitPromise);
-      } catch (err) {
-        console.warn('[capture] 结束 ping 子进程时出现异常:', String(err.message || err));
-      }
-      const pingResult = await Promise.race([pingRuntime.exitPromise, sleep(800)]);
-      if (pingResult && typeof pingResult.exitCode === 'number') {
-        meta.hostPing.exitCode = pingResult.exitCode;
-      } else if (pingRuntime.proc && typeof pingRuntime.proc.exitCode === 'number') {
-        meta.hostPing.exitCode = pingRuntime.proc.exitCode;
-      }
-      meta.hostPing.stoppedAtIso = new Date().toISOString();
-    }
-    if (hostSidePingRuntime) {
-      try {
-        await terminateSubprocess(hostSidePingRuntime.proc, hostSidePingRuntime.exitPromise);
-      } catch (err) {
-        console.warn('[capture] 结束 host-side SSH 子进程时出现异常:', String(err.message || err));
-      }
-      try {
-        await stopHostSidePingRemote(hostSidePing, hostSidePingRuntime.remotePidPath);
-      } catch (err) {
-        console.warn('[capture] 调用 host-side stop 脚本时出现异常:', String(err.message || err));
+
+    console.log('[capture] 采集完成，开始解析报告...');
+    let failedParseCount = 0;
+    if (groupMeta) {
+      const parseExitCode = await runParseReport(rootDir);
+      const comparisonMeta = readJsonIfExists(path.join(rootDir, 'comparison_meta.json'));
+      const failedSerials = new Set(((comparisonMeta && comparisonMeta.failedMembers) || []).map((x) => x.serial));
+      for (const [idx, device] of deviceRuntimes.entries()) {
+        const memberExitCode = (parseExitCode !== 0 || failedSerials.has(device.serial)) ? 1 : 0;
+        device.meta.parseExitCode = memberExitCode;
+        writeJson(device.filePaths.meta, device.meta);
+        groupMeta.members[idx].parseExitCode = memberExitCode;
+        if (memberExitCode !== 0) {
+          failedParseCount += 1;
+          console.error(`${device.label} 报告解析失败`);
+        }
       }
-      const hostSideResult = await Promise.race([hostSidePingRuntime.exitPromise, sleep(800)]);
-      if (hostSideResult && typeof hostSideResult.exitCode === 'number') {
-        meta.hostSidePing.exitCode = hostSideResult.exitCode;
-      } else if (hostSidePingRuntime.proc && typeof hostSidePingRuntime.proc.exitCode === 'number') {
-        meta.hostSidePing.exitCode = hostSidePingRuntime.proc.exitCode;
+      groupMeta.parseExitCode = parseExitCode;
+      writeJson(groupPaths.meta, groupMeta);
+    } else {
+      const [device] = deviceRuntimes;
+      const parseExitCode = await runParseReport(device.filePaths.outDir);
+      device.meta.parseExitCode = parseExitCode;
+      writeJson(device.filePaths.meta, device.meta);
+      if (parseExitCode !== 0) {
+        failedParseCount += 1;
+        console.error(`${device.label} parse_report.js 返回非零退出码: ${parseExitCode}`);
       }
-      meta.hostSidePing.stoppedAtIso = new Date().toISOString();
     }
 
-    meta.endedAtIso = new Date().toISOString();
-    meta.durationSec = Math.round((new Date(meta.endedAtIso).getTime() - new Date(meta.startedAtIso).getTime()) / 1000);
-
-    await closeStreams(streams);
-    writeJson(filePaths.meta, meta);
-
-    console.log('[capture] 采集完成，开始解析报告...');
-    const parseExitCode = await runParseReport(filePaths.outDir);
-    meta.parseExitCode = parseExitCode;
-    writeJson(filePaths.meta, meta);
-
-    if (parseExitCode !== 0) {
-      console.error(`[capture] parse_report.js 返回非零退出码: ${parseExitCode}`);
+    if (failedParseCount === deviceRuntimes.length) {
       finalizeResolve(1);
       return;
     }
 
-    const reportPath = path.join(filePaths.outDir, 'report.md');
+    const reportPaths = deviceRuntimes
+      .filter((device) => device.meta.parseExitCode === 0)
+      .map((device) => path.join(device.filePaths.outDir, 'report.md'));
+    if (groupMeta) reportPaths.unshift(path.join(rootDir, 'comparison_report.md'));
     console.log('[capture] 全部完成。');
-    console.log(`[capture] 结果目录: ${filePaths.outDir}`);
-    console.log(`[capture] 查看报告: ${reportPath}`);
+    console.log(`[capture] 结果目录: ${rootDir}`);
+    reportPaths.forEach((p) => console.log(`[capture] 查看报告: ${p}`));
 
     try {
-      await open(reportPath, { wait: false });
+      await open(reportPaths[0], { wait: false });
       console.log('[capture] 已尝试自动打开报告。');
     } catch (err) {
       console.warn('[capture] 自动打开报告失败，可手动打开:', String(err.message || err));
     }
 
-    finalizeResolve(exitCode);
+    finalizeResolve(failedParseCount > 0 ? 1 : exitCode);
   }
 
   process.on('SIGINT', () => { void stop('SIGINT', 0); });
   process.on('SIGTERM', () => { void stop('SIGTERM', 0); });
   process.on('SIGBREAK', () => { void stop('SIGBREAK', 0); });
   process.on('uncaughtException', (err) => {
-    console.error('[capture] uncaughtException:', err);
+    logger.error('[capture] uncaughtException:', err);
     void stop('uncaughtException', 1);
   });
   process.on('unhandledRejection', (reason) => {
-    console.error('[capture] unhandledRejection:', reason);
+    logger.error('[capture] unhandledRejection:', reason);
     void stop('unhandledRejection', 1);
   });
 
-  TASKS.forEach((task, idx) => {
-    const offset = TASK_START_OFFSETS_MS[idx] || 0;
-    const timeoutHandle = setTimeout(() => {
-      scheduleTask(task);
-      const intervalHandle = setInterval(() => {
-        scheduleTask(task);
-      }, task.intervalMs);
-      state.intervalHandles.push(intervalHandle);
-    }, offset);
-    state.timeoutHandles.push(timeoutHandle);
-  });
+  await Promise.all(deviceRuntimes.map((device) => Promise.all(device.tasks
+    .filter((task) => STARTUP_SNAPSHOT_TASKS.includes(task.name))
+    .map((task) => {
+      device.meta.stats[task.name].runs += 1;
+      return runDumpsysTask({ task, stat: device.meta.stats[task.name], serial: device.serial, streams: device.streams, tag: 'startup' });
+    }))));
+
+  for (const device of deviceRuntimes) {
+    state.intervalHandles.push(setInterval(() => { void sampleClock(device); }, CLOCK_SAMPLE_INTERVAL_MS));
+    device.tasks.forEach((task) => {
+      const timeoutHandle = setTimeout(() => {
+        if (!STARTUP_SNAPSHOT_TASKS.includes(task.name)) scheduleTask(device, task);
+        const intervalHandle = setInterval(() => {
+          scheduleTask(device, task);
+        }, task.intervalMs);
+        state.intervalHandles.push(intervalHandle);
+      }, task.startOffsetMs);
+      state.timeoutHandles.push(timeoutHandle);
+    });
+  }
 
   const autoStopMs = Math.round(minutes * 60 * 1000);
   console.log(`[capture] 采集时长: ${minutes} 分钟。按 Ctrl+C 可提前优雅停止。`);
+  const bookmarkTriggerPath = path.join(rootDir, BOOKMARK_TRIGGER_FILE);
+  if (live) {
+    console.log(`[capture] 实时面板模式下不读取终端输入，看到卡顿时写入文件 ${bookmarkTriggerPath} 即可打书签`);
+  } else {
+    console.log(`[capture] 看到卡顿时输入 b [备注] 并回车即可打书签；无终端时可写入文件 ${bookmarkTriggerPath}`);
+  }
+  state.bookmarkInput = startBookmarkInput({
+    input: live ? null : process.stdin,
+    triggerPath: bookmarkTriggerPath,
+    logger,
+    onBookmark: recordUserBookmark
+  });
   state.autoStopHandle = setTimeout(() => {
     void stop('duration_reached', 0);
   }, autoStopMs);
+  if (live) {
+    state.dashboard = startLiveDashboard({ devices: deviceRuntimes, startedAt, minutes });
+  }
 
   const finalCode = await finalizePromise;
   process.exit(finalCode);
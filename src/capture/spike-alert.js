@@ -0,0 +1,25 @@
+import { jitterDeltaMs } from '../shared/stats.js';
+
+export function createSpikeAlerter({ latencyMs = null, jitterMs = null, cooldownMs = 15000 }) {
+  let prevLatencyMs = null;
+  let lastAlertEpochMs = -Infinity;
+
+  function check(latency, epochMs) {
+    const prev = prevLatencyMs;
+    prevLatencyMs = latency;
+    if (epochMs - lastAlertEpochMs < cooldownMs) return null;
+
+    let trigger = null;
+    const deltaMs = prev != null ? jitterDeltaMs(prev, latency) : null;
+    if (latencyMs != null && latency >= latencyMs) {
+      trigger = { metric: 'latency_ms', value: latency, threshold: latencyMs, prev_latency_ms: prev };
+    } else if (jitterMs != null && deltaMs != null && deltaMs >= jitterMs) {
+      trigger = { metric: 'jitter_delta_ms', value: deltaMs, threshold: jitterMs, prev_latency_ms: prev, latency_ms: latency };
+    }
+    if (!trigger) return null;
+    lastAlertEpochMs = epochMs;
+    return trigger;
+  }
+
+  return { check };
+}
@@ -0,0 +1,129 @@
+import { sleep } from '../shared/time.js';
+
+export function createSubprocessStat() {
+  return {
+    restarts: 0,
+    exits: 0,
+    totalGapMs: 0,
+    gaps: []
+  };
+}
+
+export function superviseSubprocess({
+  name,
+  label = '[capture]',
+  logger = console,
+  start,
+  terminate,
+  writeMarker,
+  stat,
+  canRestart = () => true,
+  onChange = () => {},
+  initialBackoffMs = 1000,
+  maxBackoffMs = 30000,
+  stableMs = 30000
+}) {
+  const state = {
+    stopped: false,
+    paused: false,
+    runtime: null,
+    startedEpochMs: 0,
+    backoffMs: initialBackoffMs,
+    generation: 0,
+    diedEpochMs: null,
+    exitCode: null
+  };
+
+  function recordGap(restartedEpochMs, reason) {
+    if (state.diedEpochMs == null) return null;
+    const gapMs = restartedEpochMs - state.diedEpochMs;
+    stat.totalGapMs += gapMs;
+    stat.gaps.push({
+      diedAtIso: new Date(state.diedEpochMs).toISOString(),
+      restartedAtIso: new Date(restartedEpochMs).toISOString(),
+      diedEpochMs: state.diedEpochMs,
+      restartedEpochMs,
+      gapMs,
+      exitCode: state.exitCode,
+      reason
+    });
+    state.diedEpochMs = null;
+    state.exitCode = null;
+    return gapMs;
+  }
+
+  function launch() {
+    state.generation += 1;
+    const generation = state.generation;
+    state.runtime = start();
+    state.startedEpochMs = Date.now();
+    if (state.runtime && state.runtime.exitPromise) {
+      void state.runtime.exitPromise.then((result) => handleExit(generation, result));
+    }
+    return state.runtime;
+  }
+
+  async function handleExit(generation, result) {
+    if (state.stopped || generation !== state.generation) return;
+    const diedEpochMs = Date.now();
+    const exitCode = result && typeof result.exitCode === 'number' ? result.exitCode : null;
+    state.diedEpochMs = diedEpochMs;
+    state.exitCode = exitCode;
+    stat.exits += 1;
+    writeMarker(`SUBPROCESS_EXIT name=${name} exit_code=${exitCode == null ? 'unknown' : exitCode} died_epoch_ms=${diedEpochMs}`);
+
+    if (diedEpochMs - state.startedEpochMs >= stableMs) state.backoffMs = initialBackoffMs;
+    while (!state.stopped && generation === state.generation) {
+      const waitMs = state.backoffMs;
+      state.backoffMs = Math.min(maxBackoffMs, state.backoffMs * 2);
+      logger.warn(`${label} ${name} 子进程已退出（exit=${exitCode == null ? 'unknown' : exitCode}），${waitMs}ms 后重启...`);
+      await sleep(waitMs);
+      if (state.stopped || generation !== state.generation) return;
+      if (state.paused || !canRestart()) continue;
+
+      const restartedEpochMs = Date.now();
+      const gapMs = recordGap(restartedEpochMs, 'exited');
+      stat.restarts += 1;
+      writeMarker(`SUBPROCESS_RESTART name=${name} died_epoch_ms=${diedEpochMs} restarted_epoch_ms=${restartedEpochMs} gap_ms=${gapMs} restarts=${stat.restarts} reason=exited`);
+      launch();
+      onChange();
+      return;
+    }
+  }
+
+  async function restart(reason) {
+    const prev = state.runtime;
+    state.generation += 1;
+    if (prev) await terminate(prev);
+    if (state.stopped) return null;
+    state.paused = false;
+    state.backoffMs = initialBackoffMs;
+    const restartedEpochMs = Date.now();
+    const diedEpochMs = state.diedEpochMs;
+    const gapMs = recordGap(restartedEpochMs, reason);
+    stat.restarts += 1;
+    writeMarker(gapMs == null
+      ? `SUBPROCESS_RESTART name=${name} restarted_epoch_ms=${restartedEpochMs} reason=${reason}`
+      : `SUBPROCESS_RESTART name=${name} died_epoch_ms=${diedEpochMs} restarted_epoch_ms=${restartedEpochMs} gap_ms=${gapMs} reason=${reason}`);
+    const runtime = launch();
+    onChange();
+    return runtime;
+  }
+
+  launch();
+
+  return {
+    get runtime() {
+      return state.runtime;
+    },
+    pause() {
+      state.paused = true;
+    },
+    restart,
+    async stop() {
+      state.stopped = true;
+      state.generation += 1;
+      if (state.runtime) await terminate(state.runtime);
+    }
+  };
+}
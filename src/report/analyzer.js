@@ -1,9 +1,15 @@
 import { toCsv } from '../shared/csv.js';
 import { buildMinuteRange, formatMinuteKey } from '../shared/time.js';
 import { quantile, median, secondsDiffs, buildTopBins, computePeriodicity, countInRange, lowerBound } from '../shared/stats.js';
-import { TIMELINE_COLUMNS, INTERVAL_EVENT_TYPES, PERIOD_TARGETS_SEC, TOP_CANDIDATES, NETWORK_EVENT_TYPES, TRANSITION_TYPES } from './constants.js';
+import { isRangeInCoverageHole } from './coverage-parser.js';
+import { parseBandTransition } from './wifi-band.js';
+import { DEFAULT_APP_PROFILE } from './app-profiles.js';
+import { TIMELINE_COLUMNS, INTERVAL_EVENT_TYPES, PERIOD_TARGETS_SEC, TOP_CANDIDATES, NETWORK_EVENT_TYPES, TRANSITION_TYPES, THERMAL_EVENT_TYPES, THERMAL_STATUS_NAMES, WIFI_BAND_EVENT_TYPES, WIFI_RSSI_DROP_DB, WIFI_LINK_SPEED_DROP_RATIO, WIFI_LINK_CHANGE_TYPES, KNOWN_UID_NAMES, BACKGROUND_TRAFFIC_BUSY_KBPS, THROUGHPUT_SURGE_RATIO, THROUGHPUT_SURGE_MIN_DELTA_KBPS, CPU_SATURATION_PCT, CLUE_KINDS, RECOVERY_EVENT_TYPES, RECOVERY_EPISODE_GAP_MS, RECOVERY_CORRELATION_SLACK_MS } from './constants.js';
 
-export function buildTimeline({ startTs, endTs, events, wakelockMinuteHits }) {
+const CLUE_UID_REGEX = /\buid[:= ](\d+)/i;
+const CLUE_PID_REGEX = /\bpid[:= ](\d+)/i;
+
+export function buildTimeline({ startTs, endTs, events, wakelockMinuteHits, coverageHoles = [] }) {
   const minuteList = buildMinuteRange(startTs, endTs);
   const minuteCounters = new Map();
   for (const m of minuteList) {
@@ -39,25 +45,49 @@ export function buildTimeline({ startTs, endTs, events, wakelockMinuteHits }) {
 
   const records = minuteList.map((m) => {
     const key = formatMinuteKey(m);
-    return { minute: key, ...minuteCounters.get(key) };
+    const minuteStartMs = m.getTime();
+    const minuteEndMs = minuteStartMs + 60 * 1000;
+    const holeMs = coverageHoles.reduce((acc, h) => {
+      const overlap = Math.min(minuteEndMs, h.endMs) - Math.max(minuteStartMs, h.startMs);
+      return acc + Math.max(0, overlap);
+    }, 0);
+    return { minute: key, ...minuteCounters.get(key), coverage_hole_sec: (holeMs / 1000).toFixed(1) };
   });
 
   return {
     minuteList,
     minuteCounters,
-    csv: toCsv(records, ['minute', ...TIMELINE_COLUMNS]),
+    csv: toCsv(records, ['minute', ...TIMELINE_COLUMNS, 'coverage_hole_sec']),
     wakelockStats: { wlMedian, wlP25, wlP75, wlIqr, wlThreshold }
   };
 }
 
-export function buildIntervals(eventsByType) {
+function secondsDiffsOutsideHoles(tsList, coverageHoles) {
+  if (!coverageHoles.length) return { diffs: secondsDiffs(tsList), skipped: 0 };
+  const diffs = [];
+  let skipped = 0;
+  for (let i = 1; i < tsList.length; i += 1) {
+    const prevMs = tsList[i - 1].getTime();
+    const curMs = tsList[i].getTime();
+    if (isRangeInCoverageHole(coverageHoles, prevMs, curMs)) {
+      skipped += 1;
+      continue;
+    }
+    const diff = (curMs - prevMs) / 1000;
+    if (diff > 0) diffs.push(diff);
+  }
+  return { diffs, skipped };
+}
+
+export function buildIntervals(eventsByType, { coverageHoles = [] } = {}) {
   const intervalStats = {};
   const periodicityByType = {};
   const records = [];
 
   for (const type of INTERVAL_EVENT_TYPES) {
     const tsList = (eventsByType.get(type) || []).slice().sort((a, b) => a.getTime() - b.getTime());
-    const diffs = secondsDiffs(tsList).sort((a, b) => a - b);
+    const diffResult = secondsDiffsOutsideHoles(tsList, coverageHoles);
+    const diffs = diffResult.diffs.sort((a, b) => a - b);
     const med = median(diffs);
     const p25 = quantile(diffs, 0.25);
     const p75 = quantile(diffs, 0.75);
@@ -71,11 +101,13 @@ export function buildIntervals(eventsByType) {
       p75,
       bins,
       periodicity,
-      eventsCount: tsList.length
+      eventsCount: tsList.length,
+      skippedAcrossHoles: diffResult.skipped
     };
     records.push({
       event_type: type,
       count: diffs.length,
+      skipped_across_holes: diffResult.skipped,
       median_sec: med == null ? '' : med.toFixed(2),
       p25_sec: p25 == null ? '' : p25.toFixed(2),
       p75_sec: p75 == null ? '' : p75.toFixed(2),
@@ -84,7 +116,7 @@ export function buildIntervals(eventsByType) {
   }
 
   return {
-    csv: toCsv(records, ['event_type', 'count', 'median_sec', 'p25_sec', 'p75_sec', 'top_bins']),
+    csv: toCsv(records, ['event_type', 'count', 'skipped_across_holes', 'median_sec', 'p25_sec', 'p75_sec', 'top_bins']),
     intervalStats,
     periodicityByType
   };
@@ -366,6 +398,114 @@ function buildScoreBreakdownEvidence(referenceTs, cause, overlap, leadLag, inten
   ];
 }
 
+function buildThermalElevation(thermalSamples, upCount, jitterPointTimes) {
+  const samples = (thermalSamples || []).slice().sort((a, b) => a.ts.getTime() - b.ts.getTime());
+  const segments = [];
+  for (const x of samples) {
+    const last = segments[segments.length - 1];
+    if (x.status > 0 && last && last.open) {
+      last.maxStatus = Math.max(last.maxStatus, x.status);
+    } else if (x.status > 0) {
+      segments.push({ startMs: x.ts.getTime(), maxStatus: x.status, hits: 0, open: true });
+    } else if (last) {
+      last.open = false;
+    }
+  }
+  const times = samples.map((x) => x.ts.getTime());
+  const segmentStarts = segments.map((x) => x.startMs);
+  let elevatedCount = 0;
+  for (const pointMs of jitterPointTimes) {
+    const idx = lowerBound(times, pointMs + 1) - 1;
+    if (idx < 0 || samples[idx].status <= 0) continue;
+    elevatedCount += 1;
+    const segIdx = lowerBound(segmentStarts, pointMs + 1) - 1;
+    if (segIdx >= 0) segments[segIdx].hits += 1;
+  }
+  return {
+    upCount,
+    elevatedJitterPoints: elevatedCount,
+    hitRatio: jitterPointTimes.length ? elevatedCount / jitterPointTimes.length : 0,
+    evidence: segments
+      .filter((x) => x.hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .map((x) => ({
+        ts: new Date(x.startMs),
+        metric: 'THERMAL_STATUS',
+        value: x.hits,
+        detail: `温控状态 >NONE（最高 ${THERMAL_STATUS_NAMES[x.maxStatus] || x.maxStatus}）期间抖动点数量=${x.hits}`
+      }))
+  };
+}
+
+function nearestSample(sortedSamples, sortedTimes, ms, windowMs) {
+  const idx = lowerBound(sortedTimes, ms);
+  const candidates = [sortedSamples[idx - 1], sortedSamples[idx]].filter(Boolean);
+  const best = candidates.sort((a, b) => Math.abs(a.ts.getTime() - ms) - Math.abs(b.ts.getTime() - ms))[0];
+  return best && Math.abs(best.ts.getTime() - ms) <= windowMs ? best : null;
+}
+
+function pickDecodeSpikes(metricSamplesByType) {
+  const metric = (metricSamplesByType.get('decode_ms') || []).length ? 'decode_ms' : 'total_ms';
+  const values = metricSamplesByType.get(metric) || [];
+  if (!values.length) return { metric, threshold: null, spikes: [] };
+  const sortedValues = values.map((x) => x.value).sort((a, b) => a - b);
+  const threshold = Math.max(quantile(sortedValues, 0.9), median(sortedValues) * 1.5);
+  return { metric, threshold, spikes: values.filter((x) => x.value >= threshold) };
+}
+
+function buildCpuAroundDecodeSpikes(cpuSamples, metricSamplesByType, streamPackageRegex, windowMs = 5000) {
+  const samples = (cpuSamples || []).slice().sort((a, b) => a.ts.getTime() - b.ts.getTime());
+  const { metric, threshold, spikes } = pickDecodeSpikes(metricSamplesByType);
+  const out = { sampleCount: samples.length, metric, spikeCount: 0, matchedSpikes: 0, saturatedSpikes: 0, saturatedRatio: 0, busyP95: null, topProcesses: [], evidence: [] };
+  if (!samples.length || threshold == null) return out;
+
+  const cpuTimes = samples.map((x) => x.ts.getTime());
+  const gaps = cpuTimes.slice(1).map((ms, i) => ms - cpuTimes[i]).sort((a, b) => a - b);
+  const matchWindowMs = Math.max(windowMs, median(gaps) || 0);
+  const matched = spikes
+    .map((spike) => ({ spike, cpu: nearestSample(samples, cpuTimes, spike.ts.getTime(), matchWindowMs) }))
+    .filter((x) => x.cpu);
+  const isCompeting = (p) => p.cpuPct > 0 && !streamPackageRegex.test(p.name) && !/^top\b/.test(p.name);
+  const procStats = new Map();
+  for (const { cpu } of matched) {
+    for (const p of cpu.processes.filter(isCompeting)) {
+      const cur = procStats.get(p.name) || { name: p.name, sumPct: 0, maxPct: 0, hits: 0 };
+      cur.sumPct += p.cpuPct;
+      cur.maxPct = Math.max(cur.maxPct, p.cpuPct);
+      cur.hits += 1;
+      procStats.set(p.name, cur);
+    }
+  }
+  const saturated = matched.filter((x) => x.cpu.busyPct >= CPU_SATURATION_PCT);
+  const busyValues = matched.map((x) => x.cpu.busyPct).sort((a, b) => a - b);
+  return {
+    ...out,
+    threshold,
+    spikeCount: spikes.length,
+    matchedSpikes: matched.length,
+    saturatedSpikes: saturated.length,
+    saturatedRatio: spikes.length ? saturated.length / spikes.length : 0,
+    busyP95: quantile(busyValues, 0.95),
+    topProcesses: [...procStats.values()]
+      .sort((a, b) => b.sumPct - a.sumPct)
+      .slice(0, 5)
+      .map((x) => ({ name: x.name, avgPct: x.sumPct / x.hits, maxPct: x.maxPct, hits: x.hits })),
+    evidence: matched
+      .slice()
+      .sort((a, b) => b.cpu.busyPct - a.cpu.busyPct || b.spike.value - a.spike.value)
+      .slice(0, 3)
+      .map(({ spike, cpu }) => {
+        const competing = cpu.processes.filter(isCompeting).slice(0, 3).map((p) => `${p.name} ${p.cpuPct.toFixed(0)}%`);
+        return {
+          ts: spike.ts,
+          metric: 'cpu_busy_pct',
+          value: cpu.busyPct,
+          detail: `${metric}=${spike.value}ms 时 CPU ${cpu.busyPct.toFixed(1)}%（${cpu.cores} 核）${cpu.busyPct >= CPU_SATURATION_PCT ? ' 饱和' : ''}，竞争进程: ${competing.join(', ') || '无'}`
+        };
+      })
+  };
+}
+
 function buildCauseRanking({
   degraded,
   windowMs,
@@ -381,6 +521,11 @@ function buildCauseRanking({
   systemAroundJitter,
   systemEventTimes,
   jitterPointTimes,
+  wifiBandEvents,
+  uidTraffic,
+  thermalSamples,
+  cpuSamples,
+  streamPackageRegex,
   referenceTs
 }) {
   const ranking = [];
@@ -473,7 +618,9 @@ function buildCauseRanking({
   const totalNearCount = (appMetricAroundJitter.total_ms && appMetricAroundJitter.total_ms.count) || 0;
   const lossNearCount = (appMetricAroundJitter.loss_pct && appMetricAroundJitter.loss_pct.count)
     || (appMetricAroundJitter.lost_frame_pct && appMetricAroundJitter.lost_frame_pct.count) || 0;
+  const thermal = buildThermalElevation(thermalSamples, (systemEventTimes.THERMAL_STATUS_UP || []).length, jitterPointTimes);
   const decodeOverlap = clamp01((decodeNearCount + renderNearCount + totalNearCount + lossNearCount) / Math.max(1, (jitterEvents || []).length * 1.2));
+  const cpu = buildCpuAroundDecodeSpikes(cpuSamples, metricSamplesByType, streamPackageRegex);
   const decodeLeadLag = clamp01(appAnomalyAroundHighLatency.hitRatio || 0);
   const decodeIntensity = average([
     normalize(Math.max(totalSummary.p95 || 0, decodeSummary.p95 || 0, renderSummary.p95 || 0), 12, 80),
@@ -483,6 +630,8 @@ function buildCauseRanking({
   const decodeScore = computeScore(decodeOverlap, decodeLeadLag, decodeIntensity);
   const decodeEvidence = ensureEvidenceRows(
     [
+      ...thermal.evidence.slice(0, 2),
+      ...cpu.evidence.slice(0, 2),
       ...pickMetricEvidence('total_ms', metricSamplesByType, jitterEvents || [], windowMs, 3),
       ...pickMetricEvidence('loss_pct', metricSamplesByType, jitterEvents || [], windowMs, 2)
     ],
@@ -509,7 +658,115 @@ function buildCauseRanking({
     intensity: decodeIntensity,
     level: scoreToLevel(decodeAdjustedScore),
     confidence: degraded ? 'low' : scoreToLevel(decodeScore),
-    evidence: decodeEvidence
+    evidence: decodeEvidence,
+    thermal: {
+      upCount: thermal.upCount,
+      elevatedJitterPoints: thermal.elevatedJitterPoints,
+      hitRatio: thermal.hitRatio
+    },
+    cpu: { ...cpu, evidence: undefined }
+  });
+
+  const bandWindowMs = Math.max(windowMs, 3000);
+  const bandChanges = (wifiBandEvents || []).map((e) => {
+    const ms = e.ts.getTime();
+    const transition = parseBandTransition(e.rawLine);
+    return {
+      ts: e.ts,
+      type: e.type,
+      hits: countInRange(jitterPointTimes, ms - bandWindowMs, ms + bandWindowMs),
+      label: transition
+        ? `${transition.fromBand}->${transition.toBand} (ch ${transition.fromChannel}->${transition.toChannel})`
+        : 'N/A'
+    };
+  });
+  const bandCount = bandChanges.filter((x) => x.type === 'BAND_CHANGE').length;
+  const channelCount = bandChanges.length - bandCount;
+  const bandTimes = bandChanges.map((x) => x.ts.getTime()).sort((a, b) => a - b);
+  const bandOverlap = countItemsNearPoints(bandTimes, jitterPointTimes, bandWindowMs).hitRatio;
+  const bandLeadLag = bandChanges.length ? bandChanges.filter((x) => x.hits > 0).length / bandChanges.length : 0;
+  const bandIntensity = normalize(bandCount + channelCount * 0.5, 0.5, 4);
+  const bandScore = computeScore(bandOverlap, bandLeadLag, bandIntensity);
+  const toBandEvidence = (x) => ({
+    ts: x.ts,
+    metric: x.type,
+    value: x.hits,
+    detail: `${x.type} ${x.label}，±${(bandWindowMs / 1000).toFixed(0)}s 抖动点数量=${x.hits}`
+  });
+  const bandEvidence = ensureEvidenceRows(
+    bandChanges.filter((x) => x.hits > 0)
+      .sort((a, b) => (b.type === 'BAND_CHANGE') - (a.type === 'BAND_CHANGE') || b.hits - a.hits)
+      .map(toBandEvidence),
+    [
+      ...bandChanges.slice(0, 3).map(toBandEvidence),
+      ...buildScoreBreakdownEvidence(referenceTs, 'wifi_band_switch', bandOverlap, bandLeadLag, bandIntensity)
+    ],
+    3,
+    5
+  );
+  const bandAdjustedScore = degraded ? bandScore * 0.7 : bandScore;
+  ranking.push({
+    cause: 'wifi_band_switch',
+    score: bandAdjustedScore,
+    overlap: bandOverlap,
+    leadLag: bandLeadLag,
+    intensity: bandIntensity,
+    level: scoreToLevel(bandAdjustedScore),
+    confidence: degraded ? 'low' : scoreToLevel(bandScore),
+    evidence: bandEvidence,
+    wifiBand: {
+      bandChanges: bandCount,
+      channelChanges: channelCount
+    }
+  });
+
+  const busyIntervals = (uidTraffic && uidTraffic.busyIntervals) || [];
+  const busyHits = busyIntervals.map((x) => ({
+    ...x,
+    hits: countInRange(jitterPointTimes, x.startTs.getTime() - windowMs, x.ts.getTime() + windowMs)
+  }));
+  const jitterInBusy = jitterPointTimes
+    .filter((ms) => busyIntervals.some((x) => ms >= x.startTs.getTime() - windowMs && ms <= x.ts.getTime() + windowMs))
+    .length;
+  const trafficTotal = uidTraffic ? uidTraffic.streamBytes + uidTraffic.otherBytes : 0;
+  const trafficOverlap = jitterPointTimes.length ? jitterInBusy / jitterPointTimes.length : 0;
+  const trafficLeadLag = busyHits.length ? busyHits.filter((x) => x.hits > 0).length / busyHits.length : 0;
+  const trafficIntensity = average([
+    normalize(trafficTotal > 0 ? uidTraffic.otherBytes / trafficTotal : 0, 0.05, 0.5),
+    normalize(busyHits.reduce((acc, x) => Math.max(acc, x.otherKbps), 0), 1000, 20000)
+  ]);
+  const trafficScore = computeScore(trafficOverlap, trafficLeadLag, trafficIntensity);
+  const trafficEvidence = ensureEvidenceRows(
+    busyHits.filter((x) => x.hits > 0)
+      .sort((a, b) => b.hits - a.hits || b.otherKbps - a.otherKbps)
+      .map((x) => ({
+        ts: x.ts,
+        metric: 'background_kbps',
+        value: x.otherKbps,
+        detail: `${x.topLabel} ${x.topKbps.toFixed(0)}kbps（后台合计 ${x.otherKbps.toFixed(0)}kbps），附近抖动点=${x.hits}`
+      })),
+    [
+      ...(referenceTs && uidTraffic ? uidTraffic.topUids.slice(0, 3).map((x) => ({
+        ts: referenceTs,
+        metric: 'background_uid_bytes',
+        value: x.totalBytes,
+        detail: `uid=${x.uid} ${x.label} rx=${(x.rxBytes / 1048576).toFixed(2)}MB tx=${(x.txBytes / 1048576).toFixed(2)}MB`
+      })) : []),
+      ...buildScoreBreakdownEvidence(referenceTs, 'background_app_traffic', trafficOverlap, trafficLeadLag, trafficIntensity)
+    ],
+    3,
+    5
+  );
+  const trafficAdjustedScore = degraded ? trafficScore * 0.7 : trafficScore;
+  ranking.push({
+    cause: 'background_app_traffic',
+    score: trafficAdjustedScore,
+    overlap: trafficOverlap,
+    leadLag: trafficLeadLag,
+    intensity: trafficIntensity,
+    level: scoreToLevel(trafficAdjustedScore),
+    confidence: degraded ? 'low' : scoreToLevel(trafficScore),
+    evidence: trafficEvidence
   });
 
   const keySystemTypes = ['DISCONNECT', 'DHCP', 'DOZE_ENTER', 'DOZE_EXIT', 'IDLE_ENTER', 'IDLE_EXIT', 'CONNECT'];
@@ -682,13 +939,73 @@ function countItemsNearPoints(sortedTimes, pointTimes, windowMs) {
 
 function extractSortedSystemEventTimes(eventsByType) {
   const out = {};
-  const types = [...new Set([...NETWORK_EVENT_TYPES, ...TRANSITION_TYPES])];
+  const types = [...new Set([...NETWORK_EVENT_TYPES, ...TRANSITION_TYPES, ...THERMAL_EVENT_TYPES])];
   for (const t of types) {
     out[t] = (eventsByType.get(t) || []).map((d) => d.getTime()).sort((a, b) => a - b);
   }
   return out;
 }
 
+function streamKbpsAt(streamRates, startMs, endMs) {
+  const midMs = (startMs + endMs) / 2;
+  const hit = streamRates.find((x) => midMs >= x.startTs.getTime() && midMs <= x.ts.getTime());
+  return hit ? hit.streamKbps : null;
+}
+
+function buildThroughputCorrelation(throughputSamples, jitterPointTimes, windowMs, streamRates = []) {
+  const samples = (throughputSamples || [])
+    .map((x) => {
+      const totalKbps = x.rxKbps + x.txKbps;
+      const streamKbps = streamKbpsAt(streamRates, x.startTs.getTime(), x.ts.getTime());
+      return { ...x, totalKbps, streamKbps, otherKbps: Math.max(0, totalKbps - (streamKbps || 0)) };
+    })
+    .sort((a, b) => a.ts.getTime() - b.ts.getTime());
+  if (!samples.length) {
+    return { available: false, sampleCount: 0, surgeCount: 0, surgesWithJitter: 0, jitterPoints: jitterPointTimes.length, jitterNearSurge: 0, hitRatio: 0, evidence: [] };
+  }
+  const totals = samples.map((x) => x.totalKbps).sort((a, b) => a - b);
+  const others = samples.map((x) => x.otherKbps).sort((a, b) => a - b);
+  const baselineKbps = median(others);
+  const surgeThresholdKbps = Math.max(baselineKbps * THROUGHPUT_SURGE_RATIO, baselineKbps + THROUGHPUT_SURGE_MIN_DELTA_KBPS);
+  const surges = samples
+    .filter((x) => x.otherKbps >= surgeThresholdKbps)
+    .map((x) => ({
+      ...x,
+      jitterHits: countInRange(jitterPointTimes, x.startTs.getTime() - windowMs, x.ts.getTime() + windowMs)
+    }));
+  const jitterNearSurge = jitterPointTimes
+    .filter((ms) => surges.some((x) => ms >= x.startTs.getTime() - windowMs && ms <= x.ts.getTime() + windowMs))
+    .length;
+  return {
+    available: true,
+    sampleCount: samples.length,
+    streamSubtractedCount: samples.filter((x) => x.streamKbps !== null).length,
+    medianKbps: median(totals),
+    p95Kbps: quantile(totals, 0.95),
+    maxKbps: totals[totals.length - 1],
+    baselineKbps,
+    surgeThresholdKbps,
+    surgeCount: surges.length,
+    surgesWithJitter: surges.filter((x) => x.jitterHits > 0).length,
+    jitterPoints: jitterPointTimes.length,
+    jitterNearSurge,
+    hitRatio: jitterPointTimes.length ? jitterNearSurge / jitterPointTimes.length : 0,
+    evidence: surges
+      .filter((x) => x.jitterHits > 0)
+      .sort((a, b) => b.jitterHits - a.jitterHits || b.otherKbps - a.otherKbps)
+      .slice(0, 5)
+      .map((x) => ({
+        ts: x.ts,
+        intervalMs: x.intervalMs,
+        rxKbps: x.rxKbps,
+        txKbps: x.txKbps,
+        streamKbps: x.streamKbps,
+        otherKbps: x.otherKbps,
+        jitterHits: x.jitterHits
+      }))
+  };
+}
+
 function inferPingFindings({
   latencySummary,
   jitterSummary,
@@ -735,10 +1052,75 @@ function inferPingFindings({
   return findings;
 }
 
+function buildRecoveryEpisodes(recoveryEvents, gapMs) {
+  const episodes = [];
+  let cur = null;
+  for (const e of recoveryEvents) {
+    if (!cur || e.ts.getTime() - cur.endTs.getTime() > gapMs) {
+      cur = { startTs: e.ts, endTs: e.ts, counts: Object.fromEntries(RECOVERY_EVENT_TYPES.map((t) => [t, 0])), eventCount: 0 };
+      episodes.push(cur);
+    }
+    cur.endTs = e.ts;
+    cur.counts[e.type] = (cur.counts[e.type] || 0) + e.count;
+    cur.eventCount += 1;
+  }
+  return episodes;
+}
+
+function buildLossRecoveryCorrelation(recoveryEvents, pingFocus, {
+  gapMs = RECOVERY_EPISODE_GAP_MS,
+  slackMs = RECOVERY_CORRELATION_SLACK_MS
+} = {}) {
+  const events = (recoveryEvents || []).slice().sort((a, b) => a.ts.getTime() - b.ts.getTime());
+  const countsByType = Object.fromEntries(RECOVERY_EVENT_TYPES.map((t) => [t, 0]));
+  events.forEach((e) => { countsByType[e.type] = (countsByType[e.type] || 0) + e.count; });
+  const bursts = (pingFocus && pingFocus.highLatencyBursts) || [];
+  const failureTimes = ((pingFocus && pingFocus.samples) || [])
+    .filter((x) => !x.success)
+    .map((x) => x.ts.getTime())
+    .sort((a, b) => a - b);
+  if (!events.length) {
+    return { available: false, eventCount: 0, countsByType, episodes: [], burstCount: bursts.length, episodesWithBurst: 0, burstsWithRecovery: 0, hitRatio: 0 };
+  }
+  const episodes = buildRecoveryEpisodes(events, gapMs).map((ep, i) => {
+    const fromMs = ep.startTs.getTime() - slackMs;
+    const toMs = ep.endTs.getTime() + slackMs;
+    const burst = bursts.find((b) => b.startTs.getTime() <= toMs && b.endTs.getTime() >= fromMs) || null;
+    return {
+      index: i + 1,
+      ...ep,
+      pingBurstStartTs: burst ? burst.startTs : null,
+      pingBurstLeadMs: burst ? ep.startTs.getTime() - burst.startTs.getTime() : null,
+      pingBurstMaxMs: burst ? burst.maxLatencyMs : null,
+      pingFailureCount: countInRange(failureTimes, fromMs, toMs)
+    };
+  });
+  const burstsWithRecovery = bursts.filter((b) => episodes.some((ep) => b.startTs.getTime() <= ep.endTs.getTime() + slackMs && b.endTs.getTime() >= ep.startTs.getTime() - slackMs)).length;
+  const episodesWithBurst = episodes.filter((ep) => ep.pingBurstStartTs || ep.pingFailureCount > 0).length;
+  return {
+    available: true,
+    eventCount: events.length,
+    countsByType,
+    gapMs,
+    slackMs,
+    episodes,
+    burstCount: bursts.length,
+    episodesWithBurst,
+    burstsWithRecovery,
+    hitRatio: episodes.length ? episodesWithBurst / episodes.length : 0
+  };
+}
+
 export function buildPingAppAnalysis(pingFocus, appFocus, eventsByType, {
   windowSec = 1,
   allowedPhases = ['stream'],
-  degraded = false
+  degraded = false,
+  events = [],
+  throughputSamples = [],
+  uidTraffic = null,
+  thermalSamples = [],
+  cpuSamples = [],
+  streamPackageRegex = DEFAULT_APP_PROFILE.packageRegex
 } = {}) {
   const allowedPhaseSet = new Set(allowedPhases || []);
   const selectedAnomalyEvents = filterByPhase(appFocus.anomalyEvents, allowedPhaseSet);
@@ -834,6 +1216,22 @@ export function buildPingAppAnalysis(pingFocus, appFocus, eventsByType, {
     aroundJitter: appAnomalyAroundJitter,
     aroundHighLatency: appAnomalyAroundHighLatency
   });
+  const throughputCorrelation = buildThroughputCorrelation(throughputSamples, jitterPointTimes, windowMs, (uidTraffic && uidTraffic.intervals) || []);
+  const lossRecovery = buildLossRecoveryCorrelation(filterByPhase(appFocus.recoveryEvents || [], allowedPhaseSet), pingFocus);
+  if (lossRecovery.episodesWithBurst > 0 && lossRecovery.hitRatio >= 0.3) {
+    findings.push({
+      type: 'loss_recovery_with_ping_burst',
+      level: 'medium',
+      detail: `App 丢包恢复（IDR/RFI/FEC 无法恢复/网络丢帧）片段中 ${(lossRecovery.hitRatio * 100).toFixed(1)}% 伴随 ping 高延迟段或丢包`
+    });
+  }
+  if (throughputCorrelation.surgesWithJitter > 0 && throughputCorrelation.hitRatio >= 0.3) {
+    findings.push({
+      type: 'throughput_surge_correlated',
+      level: 'medium',
+      detail: `wlan0 非串流吞吐突增（≥${throughputCorrelation.surgeThresholdKbps.toFixed(0)}kbps）附近的抖动点占比 ${(throughputCorrelation.hitRatio * 100).toFixed(1)}%`
+    });
+  }
   const normalizedFindings = degraded
     ? findings.map((x) => ({
       ...x,
@@ -868,6 +1266,11 @@ export function buildPingAppAnalysis(pingFocus, appFocus, eventsByType, {
     systemAroundJitter,
     systemEventTimes,
     jitterPointTimes,
+    wifiBandEvents: events.filter((e) => WIFI_BAND_EVENT_TYPES.includes(e.type)),
+    uidTraffic,
+    thermalSamples,
+    cpuSamples,
+    streamPackageRegex,
     referenceTs
   });
 
@@ -889,6 +1292,8 @@ export function buildPingAppAnalysis(pingFocus, appFocus, eventsByType, {
     appAnomalyAroundHighLatency,
     systemAroundJitter,
     appMetricAroundJitter,
+    throughputCorrelation,
+    lossRecovery,
     findings: normalizedFindings,
     causeRanking,
     highLatencyBursts: (pingFocus.highLatencyBursts || []).slice(0, 24),
@@ -1135,3 +1540,585 @@ export function buildBidirectionalPingAnalysis(devicePingFocus, hostSidePingFocu
     findings
   };
 }
+
+function pickInWindow(items, centerMs, windowMs) {
+  return items.filter((x) => x && x.ts instanceof Date && Math.abs(x.ts.getTime() - centerMs) <= windowMs);
+}
+
+function summarizePingWindow(pingFocus, centerMs, windowMs) {
+  const samples = pickInWindow((pingFocus && pingFocus.samples) || [], centerMs, windowMs)
+    .sort((a, b) => a.ts.getTime() - b.ts.getTime());
+  const latencySummary = summarizeValues(samples.filter((x) => x.success && Number.isFinite(x.latencyMs)).map((x) => x.latencyMs));
+  return {
+    sampleCount: samples.length,
+    successCount: samples.filter((x) => x.success).length,
+    failureCount: samples.filter((x) => !x.success).length,
+    minMs: latencySummary.min,
+    p50Ms: latencySummary.p50,
+    maxMs: latencySummary.max,
+    series: samples.map((x) => ({ offsetMs: x.ts.getTime() - centerMs, latencyMs: x.latencyMs }))
+  };
+}
+
+export function buildBookmarkContexts(bookmarks, { pingFocus, hostSidePingFocus, appFocus, events, windowMs = 5000 }) {
+  return bookmarks.map((bookmark) => {
+    const centerMs = bookmark.ts.getTime();
+    return {
+      id: bookmark.id,
+      windowMs,
+      devicePing: summarizePingWindow(pingFocus, centerMs, windowMs),
+      hostSidePing: summarizePingWindow(hostSidePingFocus, centerMs, windowMs),
+      metrics: pickInWindow((appFocus && appFocus.metricSamples) || [], centerMs, windowMs).map((x) => ({
+        ts: x.ts,
+        offsetMs: x.ts.getTime() - centerMs,
+        type: x.type,
+        value: x.value,
+        unit: x.unit
+      })),
+      events: pickInWindow(events || [], centerMs, windowMs).map((e) => ({
+        ts: e.ts,
+        offsetMs: e.ts.getTime() - centerMs,
+        type: e.type,
+        source: e.source
+      }))
+    };
+  });
+}
+
+export function buildSessionFailureContexts(attempts, { pingFocus, hostSidePingFocus, events, wifiLinkChanges = [], windowMs = 30000 }) {
+  const wifiEventTypes = new Set(NETWORK_EVENT_TYPES);
+  return (attempts || [])
+    .filter((a) => (a.outcome === 'failed' || a.outcome === 'terminated') && a.endTs)
+    .map((attempt) => {
+      const endMs = attempt.endTs.getTime();
+      const before = (items) => items.filter((x) => x && x.ts instanceof Date && x.ts.getTime() <= endMs && endMs - x.ts.getTime() <= windowMs);
+      const summarizeBefore = (focus) => {
+        const { series, ...summary } = summarizePingWindow(focus, endMs - windowMs / 2, windowMs / 2);
+        return summary;
+      };
+      const bursts = ((pingFocus && pingFocus.highLatencyBursts) || [])
+        .filter((b) => b.startTs.getTime() <= endMs && b.endTs.getTime() >= endMs - windowMs);
+      return {
+        ...attempt,
+        windowMs,
+        devicePing: {
+          ...summarizeBefore(pingFocus),
+          jitterCount: before((pingFocus && pingFocus.jitterEvents) || []).length,
+          highLatencyBurstCount: bursts.length
+        },
+        hostSidePing: summarizeBefore(hostSidePingFocus),
+        wifiEvents: [
+          ...before((events || []).filter((e) => wifiEventTypes.has(e.type))).map((e) => ({ ts: e.ts, type: e.type, detail: e.source })),
+          ...before(wifiLinkChanges).map((c) => ({ ts: c.ts, type: c.type, detail: c.detail }))
+        ]
+          .sort((a, b) => a.ts.getTime() - b.ts.getTime())
+          .map((x) => ({ ...x, offsetMs: x.ts.getTime() - endMs }))
+      };
+    });
+}
+
+const CODEC_CONFIG_FIELDS = ['codec', 'mime', 'width', 'height', 'fps', 'bitrateKbps', 'decoder', 'lowLatency', 'lowLatencyOptions'];
+
+export function formatCodecConfig(config) {
+  if (!config || !config.codec) return 'unknown';
+  const parts = [config.codec];
+  if (config.width && config.height) parts.push(`${config.width}x${config.height}${config.fps ? `@${config.fps}` : ''}`);
+  else if (config.fps) parts.push(`@${config.fps}`);
+  if (config.bitrateKbps != null) parts.push(`${Math.round(config.bitrateKbps)}kbps`);
+  if (config.decoder) parts.push(config.decoder);
+  if (config.lowLatency != null) parts.push(config.lowLatency ? 'low-latency' : 'no-low-latency');
+  if (config.hdr === 'true') parts.push('HDR');
+  return parts.join(' ');
+}
+
+function foldCodecConfig(configs, startMs, endMs) {
+  const config = {};
+  configs
+    .filter((x) => x.ts.getTime() >= startMs && x.ts.getTime() <= endMs)
+    .forEach((x) => CODEC_CONFIG_FIELDS.forEach((f) => { if (x[f] != null) config[f] = x[f]; }));
+  return config;
+}
+
+export function buildSessionCodecConfigs(windows, appFocus, { lookbackMs = 30000 } = {}) {
+  const configs = (appFocus && appFocus.codecConfigs) || [];
+  const stats = (appFocus && appFocus.internalStatsSamples) || [];
+  const attempts = (appFocus && appFocus.sessionAttempts) || [];
+  return (windows || []).map((w) => {
+    const winStartMs = w.startTs.getTime();
+    const winEndMs = w.endTs.getTime();
+    const spans = attempts
+      .map((a) => ({
+        attempt: a,
+        startMs: a.startTs ? a.startTs.getTime() : winStartMs - lookbackMs,
+        endMs: (a.endTs || a.lastActivityTs || w.endTs).getTime()
+      }))
+      .map((x) => ({ ...x, overlapMs: Math.min(x.endMs, winEndMs) - Math.max(x.startMs, winStartMs) }))
+      .filter((x) => x.overlapMs >= 0);
+    const best = spans.reduce((acc, x) => (!acc || x.overlapMs > acc.overlapMs ? x : acc), null);
+    const startMs = best ? best.startMs : winStartMs - lookbackMs;
+    const endMs = best ? Math.min(best.endMs, winEndMs) : winEndMs;
+    const config = { windowId: w.id, attemptIndex: best ? best.attempt.index : null, attemptCount: spans.length, ...foldCodecConfig(configs, startMs, endMs) };
+    const inSpan = stats.filter((x) => x.ts.getTime() >= startMs && x.ts.getTime() <= endMs);
+    const withDecoder = inSpan.find((x) => x.decoder);
+    if (!config.decoder && withDecoder) config.decoder = withDecoder.decoder;
+    const withHdr = inSpan.find((x) => x.hdr);
+    config.hdr = withHdr ? withHdr.hdr : '';
+    config.label = formatCodecConfig(config);
+    return config;
+  });
+}
+
+export function buildCodecComparison(sessionConfigs, windows, pingFocus, appFocus) {
+  const groups = new Map();
+  (windows || []).forEach((w, i) => {
+    if (!w.valid) return;
+    const config = sessionConfigs[i];
+    if (!groups.has(config.label)) groups.set(config.label, { label: config.label, config, windows: [] });
+    groups.get(config.label).windows.push(w);
+  });
+  const inAny = (list, ts) => list.some((w) => ts >= w.startTs && ts <= w.endTs);
+  const metricValues = (list, type) => ((appFocus && appFocus.metricSamples) || [])
+    .filter((x) => x.type === type && inAny(list, x.ts))
+    .map((x) => x.value);
+  const rows = [...groups.values()].map((g) => {
+    const samples = ((pingFocus && pingFocus.samples) || []).filter((x) => inAny(g.windows, x.ts));
+    const latency = summarizeValues(samples.filter((x) => x.success && Number.isFinite(x.latencyMs)).map((x) => x.latencyMs));
+    return {
+      label: g.label,
+      config: g.config,
+      windowIds: g.windows.map((w) => w.id),
+      durationSec: g.windows.reduce((acc, w) => acc + Math.max(0, w.endTs.getTime() - w.startTs.getTime()), 0) / 1000,
+      pingSampleCount: samples.length,
+      pingLossPct: samples.length ? (samples.filter((x) => !x.success).length * 100) / samples.length : null,
+      pingP50Ms: latency.p50,
+      pingP95Ms: latency.p95,
+      rttP50Ms: summarizeValues(metricValues(g.windows, 'rtt_ms')).p50,
+      appLossPctAvg: summarizeValues(metricValues(g.windows, 'loss_pct')).avg,
+      decodeP50Ms: summarizeValues(metricValues(g.windows, 'decode_ms')).p50,
+      bitrateP50Kbps: summarizeValues(metricValues(g.windows, 'bitrate_kbps')).p50
+    };
+  });
+  return { groupCount: rows.length, rows };
+}
+
+export function buildPowerSourceAnalysis(batterySamples, pingFocus) {
+  const states = (batterySamples || [])
+    .filter((x) => x.plugged != null)
+    .sort((a, b) => a.ts.getTime() - b.ts.getTime());
+  const stateTimes = states.map((x) => x.ts.getTime());
+  const counts = {
+    battery: { pingSamples: 0, jitterEvents: 0, highLatencyBursts: 0 },
+    charger: { pingSamples: 0, jitterEvents: 0, highLatencyBursts: 0 }
+  };
+  if (!states.length) {
+    return { available: false, verdict: 'no_battery_data', sampleCount: 0, counts };
+  }
+
+  const stateAt = (ms) => {
+    const idx = lowerBound(stateTimes, ms + 1) - 1;
+    return states[Math.max(0, idx)].plugged ? 'charger' : 'battery';
+  };
+  ((pingFocus && pingFocus.samples) || []).forEach((x) => { counts[stateAt(x.ts.getTime())].pingSamples += 1; });
+  ((pingFocus && pingFocus.jitterEvents) || []).forEach((x) => { counts[stateAt(x.ts.getTime())].jitterEvents += 1; });
+  ((pingFocus && pingFocus.highLatencyBursts) || []).forEach((x) => { counts[stateAt(x.startTs.getTime())].highLatencyBursts += 1; });
+
+  for (const c of Object.values(counts)) {
+    c.jitterPer100Samples = c.pingSamples > 0 ? (c.jitterEvents * 100) / c.pingSamples : null;
+  }
+  const { battery, charger } = counts;
+  let verdict = 'both';
+  if (battery.jitterEvents + charger.jitterEvents === 0) verdict = 'no_jitter';
+  else if (charger.pingSamples === 0) verdict = 'always_battery';
+  else if (battery.pingSamples === 0) verdict = 'always_charger';
+  else if (charger.jitterEvents === 0) verdict = 'battery_only';
+  else if (battery.jitterEvents === 0) verdict = 'charger_only';
+
+  return {
+    available: true,
+    verdict,
+    sampleCount: states.length,
+    pluggedTypes: [...new Set(states.filter((x) => x.plugged).map((x) => x.pluggedType))],
+    maxTempC: states.reduce((acc, x) => (x.tempC != null && (acc == null || x.tempC > acc) ? x.tempC : acc), null),
+    counts
+  };
+}
+
+function detectWifiLinkChanges(linkSamples) {
+  const changes = [];
+  let prev = null;
+  for (const cur of linkSamples) {
+    if (prev) {
+      if (prev.rssi != null && cur.rssi != null && prev.rssi - cur.rssi >= WIFI_RSSI_DROP_DB) {
+        changes.push({ ts: cur.ts, type: 'rssi_drop', detail: `RSSI ${prev.rssi}->${cur.rssi}dBm` });
+      }
+      if (prev.linkSpeedMbps && cur.linkSpeedMbps != null
+        && (prev.linkSpeedMbps - cur.linkSpeedMbps) / prev.linkSpeedMbps >= WIFI_LINK_SPEED_DROP_RATIO) {
+        changes.push({ ts: cur.ts, type: 'link_speed_drop', detail: `link ${prev.linkSpeedMbps}->${cur.linkSpeedMbps}Mbps` });
+      }
+      if (prev.frequencyMhz != null && cur.frequencyMhz != null && prev.frequencyMhz !== cur.frequencyMhz) {
+        changes.push({
+          ts: cur.ts,
+          type: 'channel_change',
+          detail: `ch ${prev.channel ?? '?'}(${prev.frequencyMhz}MHz)->${cur.channel ?? '?'}(${cur.frequencyMhz}MHz)`
+        });
+      }
+      if (prev.bssid && cur.bssid && prev.bssid !== cur.bssid) {
+        changes.push({ ts: cur.ts, type: 'bssid_change', detail: `BSSID ${prev.bssid}->${cur.bssid}` });
+      }
+    }
+    prev = cur;
+  }
+  return changes;
+}
+
+function nearestOffsetMs(sortedTimes, centerMs, windowMs) {
+  const idx = lowerBound(sortedTimes, centerMs - windowMs);
+  let best = null;
+  for (let i = idx; i < sortedTimes.length && sortedTimes[i] <= centerMs + windowMs; i += 1) {
+    const offset = sortedTimes[i] - centerMs;
+    if (best == null || Math.abs(offset) < Math.abs(best)) best = offset;
+  }
+  return best;
+}
+
+export function buildWifiLinkAnalysis(linkSamples, pingFocus, appFocus, { windowMs = 3000 } = {}) {
+  const samples = (linkSamples || []).slice().sort((a, b) => a.ts.getTime() - b.ts.getTime());
+  const byType = Object.fromEntries(WIFI_LINK_CHANGE_TYPES.map((type) => [type, { count: 0, nearBurst: 0, nearRttVarSpike: 0 }]));
+  if (!samples.length) {
+    return { available: false, sampleCount: 0, byType, changes: [], burstCount: 0, burstsWithChange: 0, rttVarSpikeCount: 0 };
+  }
+
+  const rssiSummary = summarizeValues(samples.filter((x) => x.rssi != null).map((x) => x.rssi));
+  const linkSummary = summarizeValues(samples.filter((x) => x.linkSpeedMbps != null).map((x) => x.linkSpeedMbps));
+  const burstTimes = ((pingFocus && pingFocus.highLatencyBursts) || []).map((x) => x.startTs.getTime()).sort((a, b) => a - b);
+  const rttVarSamples = ((appFocus && appFocus.metricSamples) || []).filter((x) => x.type === 'rtt_var_ms' && Number.isFinite(x.value));
+  const rttVarValues = rttVarSamples.map((x) => x.value).sort((a, b) => a - b);
+  const rttVarThreshold = rttVarValues.length ? Math.max(quantile(rttVarValues, 0.9), median(rttVarValues) + 5) : null;
+  const rttVarSpikeTimes = rttVarSamples
+    .filter((x) => rttVarThreshold != null && x.value >= rttVarThreshold)
+    .map((x) => x.ts.getTime())
+    .sort((a, b) => a - b);
+
+  const changes = detectWifiLinkChanges(samples).map((c) => {
+    const burstOffsetMs = nearestOffsetMs(burstTimes, c.ts.getTime(), windowMs);
+    const rttVarOffsetMs = nearestOffsetMs(rttVarSpikeTimes, c.ts.getTime(), windowMs);
+    const stat = byType[c.type];
+    stat.count += 1;
+    if (burstOffsetMs != null) stat.nearBurst += 1;
+    if (rttVarOffsetMs != null) stat.nearRttVarSpike += 1;
+    return { ...c, burstOffsetMs, rttVarOffsetMs };
+  });
+  const changeTimes = changes.map((c) => c.ts.getTime()).sort((a, b) => a - b);
+  const burstsWithChange = burstTimes.filter((ms) => nearestOffsetMs(changeTimes, ms, windowMs) != null).length;
+
+  return {
+    available: true,
+    windowMs,
+    sampleCount: samples.length,
+    bssids: [...new Set(samples.map((x) => x.bssid).filter(Boolean))],
+    bands: [...new Set(samples.map((x) => x.band).filter(Boolean))],
+    rssi: { min: rssiSummary.min, p50: rssiSummary.p50, max: rssiSummary.max },
+    linkSpeedMbps: { min: linkSummary.min, p50: linkSummary.p50, max: linkSummary.max },
+    rttVarThreshold,
+    rttVarSpikeCount: rttVarSpikeTimes.length,
+    burstCount: burstTimes.length,
+    burstsWithChange,
+    byType,
+    changes
+  };
+}
+
+function summarizePingRange(pingFocus, startMs, endMs) {
+  const inRange = (ms) => ms >= startMs && ms < endMs;
+  const samples = ((pingFocus && pingFocus.samples) || []).filter((x) => inRange(x.ts.getTime()));
+  const successCount = samples.filter((x) => x.success).length;
+  const latencySummary = summarizeValues(samples.filter((x) => x.success && Number.isFinite(x.latencyMs)).map((x) => x.latencyMs));
+  const jitterEvents = ((pingFocus && pingFocus.jitterEvents) || []).filter((x) => inRange(x.ts.getTime())).length;
+  return {
+    pingSamples: samples.length,
+    lossPct: samples.length ? ((samples.length - successCount) * 100) / samples.length : null,
+    p50Ms: latencySummary.p50,
+    p95Ms: latencySummary.p95,
+    jitterEvents,
+    jitterPer100Samples: samples.length ? (jitterEvents * 100) / samples.length : null,
+    highLatencyBursts: ((pingFocus && pingFocus.highLatencyBursts) || []).filter((x) => inRange(x.startTs.getTime())).length
+  };
+}
+
+export function buildBssidSegments(linkSamples, roamTimes, pingFocus, { mergeMs = 3000 } = {}) {
+  const samples = (linkSamples || []).filter((x) => x.bssid).sort((a, b) => a.ts.getTime() - b.ts.getTime());
+  if (!samples.length) return { available: false, segments: [], byBssid: [] };
+
+  const boundaries = [{ ms: samples[0].ts.getTime(), reason: 'start', bssid: samples[0].bssid }];
+  for (let i = 1; i < samples.length; i += 1) {
+    if (samples[i].bssid === samples[i - 1].bssid) continue;
+    const prevMs = samples[i - 1].ts.getTime();
+    const curMs = samples[i].ts.getTime();
+    const roamMs = (roamTimes || []).find((ms) => ms > prevMs && ms <= curMs);
+    boundaries.push({ ms: roamMs == null ? curMs : roamMs, reason: 'bssid_change', bssid: samples[i].bssid });
+  }
+  for (const ms of roamTimes || []) {
+    if (ms <= boundaries[0].ms || boundaries.some((b) => Math.abs(b.ms - ms) <= mergeMs)) continue;
+    boundaries.push({ ms, reason: 'roam', bssid: null });
+  }
+  boundaries.sort((a, b) => a.ms - b.ms);
+
+  const pingTimes = ((pingFocus && pingFocus.samples) || []).map((x) => x.ts.getTime());
+  const firstMs = Math.min(boundaries[0].ms, ...pingTimes.slice(0, 1));
+  const lastMs = Math.max(samples[samples.length - 1].ts.getTime(), ...pingTimes.slice(-1)) + 1;
+  let currentBssid = boundaries[0].bssid;
+  const segments = boundaries.map((b, idx) => {
+    const startMs = idx === 0 ? firstMs : b.ms;
+    const endMs = idx + 1 < boundaries.length ? boundaries[idx + 1].ms : lastMs;
+    if (b.bssid) currentBssid = b.bssid;
+    else {
+      const next = samples.find((x) => x.ts.getTime() >= startMs && x.ts.getTime() < endMs);
+      if (next) currentBssid = next.bssid;
+    }
+    const inSegment = samples.filter((x) => x.ts.getTime() >= startMs && x.ts.getTime() < endMs);
+    const rssi = summarizeValues(inSegment.filter((x) => x.rssi != null).map((x) => x.rssi));
+    return {
+      index: idx + 1,
+      bssid: currentBssid,
+      boundary: b.reason,
+      startTs: new Date(startMs),
+      endTs: new Date(endMs),
+      durationMs: endMs - startMs,
+      rssiP50: rssi.p50,
+      bands: [...new Set(inSegment.map((x) => x.band).filter(Boolean))],
+      ...summarizePingRange(pingFocus, startMs, endMs)
+    };
+  });
+
+  const byBssid = [...new Set(segments.map((x) => x.bssid))].map((bssid) => {
+    const own = segments.filter((x) => x.bssid === bssid);
+    const ranges = own.map((x) => [x.startTs.getTime(), x.endTs.getTime()]);
+    const inOwn = (ms) => ranges.some(([s, e]) => ms >= s && ms < e);
+    const subset = {
+      samples: ((pingFocus && pingFocus.samples) || []).filter((x) => inOwn(x.ts.getTime())),
+      jitterEvents: ((pingFocus && pingFocus.jitterEvents) || []).filter((x) => inOwn(x.ts.getTime())),
+      highLatencyBursts: ((pingFocus && pingFocus.highLatencyBursts) || []).filter((x) => inOwn(x.startTs.getTime()))
+    };
+    const rssi = summarizeValues(samples.filter((x) => x.bssid === bssid && x.rssi != null).map((x) => x.rssi));
+    return {
+      bssid,
+      segmentCount: own.length,
+      durationMs: own.reduce((acc, x) => acc + x.durationMs, 0),
+      rssiP50: rssi.p50,
+      ...summarizePingRange(subset, -Infinity, Infinity)
+    };
+  }).sort((a, b) => (b.p95Ms ?? -1) - (a.p95Ms ?? -1));
+
+  return {
+    available: true,
+    segments,
+    byBssid,
+    worstBssid: byBssid.length > 1 && byBssid[0].p95Ms != null ? byBssid[0].bssid : null
+  };
+}
+
+function labelUid(uid, packagesByUid) {
+  const packages = packagesByUid.get(uid);
+  if (packages && packages.length) return packages.join(',');
+  return KNOWN_UID_NAMES[uid] || `uid:${uid}`;
+}
+
+function overlapWithWindowsMs(startMs, endMs, windows) {
+  return windows.reduce((acc, w) => acc + Math.max(0, Math.min(endMs, w.endTs.getTime()) - Math.max(startMs, w.startTs.getTime())), 0);
+}
+
+export function buildUidTrafficAnalysis(uidTraffic, packagesByUid, windows, {
+  busyKbps = BACKGROUND_TRAFFIC_BUSY_KBPS,
+  streamPackageRegex = DEFAULT_APP_PROFILE.packageRegex
+} = {}) {
+  const intervals = (uidTraffic && uidTraffic.intervals) || [];
+  const negativeDeltaCount = (uidTraffic && uidTraffic.negativeDeltaCount) || 0;
+  if (!intervals.length) {
+    return { available: false, source: (uidTraffic && uidTraffic.source) || null, negativeDeltaCount, streamBytes: 0, otherBytes: 0, topUids: [], streamUids: [], intervals: [], busyIntervals: [] };
+  }
+  const isStreamUid = (uid) => (packagesByUid.get(uid) || []).some((x) => streamPackageRegex.test(x));
+  const byUid = new Map();
+  const rows = [];
+  for (const interval of intervals) {
+    const startMs = interval.startTs.getTime();
+    const endMs = interval.ts.getTime();
+    const ratio = endMs > startMs ? overlapWithWindowsMs(startMs, endMs, windows) / (endMs - startMs) : 0;
+    if (ratio <= 0) continue;
+    let streamBytes = 0;
+    let otherBytes = 0;
+    let top = null;
+    for (const [uid, bytes] of interval.byUid.entries()) {
+      const rxBytes = bytes.rxBytes * ratio;
+      const txBytes = bytes.txBytes * ratio;
+      const cur = byUid.get(uid) || { uid, rxBytes: 0, txBytes: 0 };
+      cur.rxBytes += rxBytes;
+      cur.txBytes += txBytes;
+      byUid.set(uid, cur);
+      if (isStreamUid(uid)) {
+        streamBytes += rxBytes + txBytes;
+        continue;
+      }
+      otherBytes += rxBytes + txBytes;
+      if (!top || rxBytes + txBytes > top.bytes) top = { uid, bytes: rxBytes + txBytes };
+    }
+    const durationMs = (endMs - startMs) * ratio;
+    rows.push({
+      startTs: interval.startTs,
+      ts: interval.ts,
+      streamKbps: (streamBytes * 8) / durationMs,
+      otherKbps: (otherBytes * 8) / durationMs,
+      topUid: top ? top.uid : null,
+      topLabel: top ? labelUid(top.uid, packagesByUid) : null,
+      topKbps: top ? (top.bytes * 8) / durationMs : 0
+    });
+  }
+
+  const uidRows = [...byUid.values()].map((x) => ({
+    uid: x.uid,
+    label: labelUid(x.uid, packagesByUid),
+    isStreamApp: isStreamUid(x.uid),
+    rxBytes: x.rxBytes,
+    txBytes: x.txBytes,
+    totalBytes: x.rxBytes + x.txBytes
+  })).sort((a, b) => b.totalBytes - a.totalBytes);
+  return {
+    available: true,
+    source: uidTraffic.source,
+    negativeDeltaCount,
+    busyKbps,
+    streamBytes: uidRows.filter((x) => x.isStreamApp).reduce((acc, x) => acc + x.totalBytes, 0),
+    otherBytes: uidRows.filter((x) => !x.isStreamApp).reduce((acc, x) => acc + x.totalBytes, 0),
+    topUids: uidRows.filter((x) => !x.isStreamApp).slice(0, 10),
+    streamUids: uidRows.filter((x) => x.isStreamApp),
+    uidRows,
+    intervals: rows,
+    busyIntervals: rows.filter((x) => x.otherKbps >= busyKbps)
+  };
+}
+
+function attributeClue(clue, resolvePid, packagesByUid) {
+  const uidMatch = clue.line.match(CLUE_UID_REGEX);
+  if (uidMatch) {
+    const uid = Number(uidMatch[1]);
+    return { packageName: labelUid(uid, packagesByUid), via: 'uid', uid, pid: null };
+  }
+  const pidMatch = clue.line.match(CLUE_PID_REGEX);
+  const proc = pidMatch ? resolvePid(Number(pidMatch[1]), clue.ts) : null;
+  if (proc && proc.packageName) return { packageName: proc.packageName, via: 'pid', uid: proc.uid, pid: Number(pidMatch[1]) };
+  const logger = resolvePid(clue.pid, clue.ts);
+  if (logger && logger.packageName) return { packageName: logger.packageName, via: 'logger_pid', uid: logger.uid, pid: clue.pid };
+  return { packageName: null, via: null, uid: null, pid: clue.pid };
+}
+
+function rankPackages(rows, topN) {
+  const counts = new Map();
+  rows.forEach((x) => counts.set(x.packageName, (counts.get(x.packageName) || 0) + 1));
+  return [...counts.entries()]
+    .map(([packageName, count]) => ({ packageName, count }))
+    .sort((a, b) => b.count - a.count || a.packageName.localeCompare(b.packageName))
+    .slice(0, topN);
+}
+
+export function buildEventAttribution(clues, { resolvePid, packagesByUid, windows, wakelockSpikeMinutes = new Set(), processSnapshotCount = 0, topN = 5 }) {
+  const rows = clues
+    .filter((c) => windows.some((w) => c.ts >= w.startTs && c.ts <= w.endTs))
+    .map((c) => ({ ts: c.ts, kind: c.kind, line: c.line, ...attributeClue(c, resolvePid, packagesByUid) }));
+  const attributed = rows.filter((x) => x.packageName);
+  const byKind = CLUE_KINDS.map((kind) => {
+    const kindRows = rows.filter((x) => x.kind === kind);
+    return {
+      kind,
+      count: kindRows.length,
+      attributedCount: kindRows.filter((x) => x.packageName).length,
+      topPackages: rankPackages(kindRows.filter((x) => x.packageName), topN)
+    };
+  }).filter((x) => x.count > 0);
+  const spikeRows = attributed.filter((x) => x.kind === 'wakelock' && wakelockSpikeMinutes.has(formatMinuteKey(x.ts)));
+  return {
+    available: rows.length > 0,
+    processSnapshotCount,
+    clueCount: rows.length,
+    attributedCount: attributed.length,
+    byKind,
+    wakelockSpike: {
+      minuteCount: wakelockSpikeMinutes.size,
+      lineCount: spikeRows.length,
+      topPackages: rankPackages(spikeRows, topN)
+    },
+    rows
+  };
+}
+
+export function buildFrameAnalysis(frameStats, appFocus, pingFocus, windows, { allowedPhases = ['stream'], windowMs = 1000 } = {}) {
+  const inWindows = (f) => windows.some((w) => f.ts >= w.startTs && f.ts <= w.endTs);
+  const sfFrames = frameStats.sfFrames.filter(inWindows);
+  const gfxFrames = frameStats.gfxFrames.filter(inWindows);
+  const base = { layer: frameStats.layer, snapshotCount: frameStats.snapshotCount };
+  if (!sfFrames.length && !gfxFrames.length) {
+    return { ...base, available: false, sfFrameCount: 0, displayJankCount: 0, stallCount: 0, stallsByKind: {}, gfx: null, topDisplayJank: [], frames: [] };
+  }
+
+  const refreshPeriodMs = frameStats.refreshPeriodMs || 1000 / 60;
+  const sortedIntervals = sfFrames.map((f) => f.intervalMs).filter((x) => x != null).sort((a, b) => a - b);
+  const sortedDelays = sfFrames.map((f) => f.presentDelayMs).sort((a, b) => a - b);
+  const expectedIntervalMs = median(sortedIntervals) || refreshPeriodMs;
+  const lateThresholdMs = (median(sortedDelays) || 0) + refreshPeriodMs;
+  const stallThresholdMs = Math.max(expectedIntervalMs, refreshPeriodMs) * 1.5;
+
+  const metricSamplesByType = new Map();
+  for (const sample of filterByPhase(appFocus.metricSamples, new Set(allowedPhases))) {
+    if (!metricSamplesByType.has(sample.type)) metricSamplesByType.set(sample.type, []);
+    metricSamplesByType.get(sample.type).push(sample);
+  }
+  const toSortedMs = (items) => items.map((x) => x.ts.getTime()).sort((a, b) => a - b);
+  const networkTimes = [
+    ...toSortedMs((metricSamplesByType.get('loss_pct') || []).filter((x) => x.value > 0)),
+    ...toSortedMs((pingFocus.samples || []).filter((x) => !x.success)),
+    ...toSortedMs((pingFocus.highLatencyBursts || []).map((x) => ({ ts: x.startTs })))
+  ].sort((a, b) => a - b);
+  const decodeTimes = toSortedMs(pickDecodeSpikes(metricSamplesByType).spikes);
+  const nearGap = (times, f) => countInRange(times, f.ts.getTime() - f.intervalMs - windowMs, f.ts.getTime() + windowMs) > 0;
+
+  const annotated = sfFrames.map((f) => {
+    const late = f.presentDelayMs > lateThresholdMs;
+    const stall = f.intervalMs != null && f.intervalMs > stallThresholdMs;
+    let jankKind = '';
+    if (late) jankKind = 'display';
+    else if (stall && nearGap(networkTimes, f)) jankKind = 'network';
+    else if (stall && nearGap(decodeTimes, f)) jankKind = 'decode';
+    else if (stall) jankKind = 'upstream';
+    return { ...f, late, stall, jankKind };
+  });
+  const stallsByKind = { display: 0, network: 0, decode: 0, upstream: 0 };
+  annotated.filter((f) => f.stall).forEach((f) => { stallsByKind[f.jankKind] += 1; });
+  const displayJank = annotated.filter((f) => f.late);
+  const gfxAnnotated = gfxFrames.map((f) => ({ ...f, jankKind: f.frameMs > refreshPeriodMs ? 'ui' : '' }));
+  const gfxJankCount = gfxAnnotated.filter((f) => f.jankKind).length;
+
+  const firstMs = sfFrames.length ? sfFrames[0].ts.getTime() : null;
+  const lastMs = sfFrames.length ? sfFrames[sfFrames.length - 1].ts.getTime() : null;
+  const sampledSpanMs = windows.reduce((acc, w) => acc + Math.max(0, Math.min(w.endTs.getTime(), lastMs) - Math.max(w.startTs.getTime(), firstMs)), 0);
+  const coveredMs = sfFrames.reduce((acc, f) => acc + (f.intervalMs == null ? expectedIntervalMs : f.intervalMs), 0);
+
+  return {
+    ...base,
+    available: true,
+    refreshPeriodMs,
+    sfFrameCount: sfFrames.length,
+    coverageRatio: sampledSpanMs > 0 ? Math.min(1, coveredMs / sampledSpanMs) : null,
+    expectedIntervalMs,
+    lateThresholdMs,
+    stallThresholdMs,
+    displayJankCount: displayJank.length,
+    displayJankPer1000: sfFrames.length ? (displayJank.length * 1000) / sfFrames.length : null,
+    stallCount: annotated.filter((f) => f.stall).length,
+    stallsByKind,
+    gfx: gfxFrames.length ? { frameCount: gfxFrames.length, jankCount: gfxJankCount, jankPct: (gfxJankCount * 100) / gfxFrames.length } : null,
+    topDisplayJank: displayJank
+      .slice()
+      .sort((a, b) => b.presentDelayMs - a.presentDelayMs)
+      .slice(0, 5)
+      .map((f) => ({ ts: f.ts, presentDelayMs: f.presentDelayMs, intervalMs: f.intervalMs })),
+    frames: [...annotated, ...gfxAnnotated].sort((a, b) => a.ts.getTime() - b.ts.getTime())
+  };
+}
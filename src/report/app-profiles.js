@@ -0,0 +1,309 @@
+import fs from 'node:fs';
+import readline from 'node:readline';
+import { readJsonIfExists } from '../shared/io.js';
+import { INTERNAL_STATS_FIELDS, RECOVERY_EVENT_TYPES } from './constants.js';
+
+const THREADTIME_TAG_REGEX = /^\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2}\.\d{3}\s+\d+\s+\d+\s+[VDIWEAF]\s+([^:]+):/;
+const PROFILE_NAME_REGEX = /^[a-z][a-z0-9_-]*$/;
+const NEVER_MATCH_REGEX = /(?!)/;
+const STATS_FIELD_NAMES = new Set([...INTERNAL_STATS_FIELDS.map((x) => x.field), 'decoder']);
+
+const KV_STATS_FIELDS = {
+  bitrateKbps: /bit\s*rate[:=\s]+(\d+(?:\.\d+)?)\s*([kmg]?bit\/s|[kmg]?bps)/i,
+  lossPct: /(?:frame|packet)?\s*loss[:=\s]+(\d+(?:\.\d+)?)\s*%/i,
+  lossFrames: /(?:dropped|lost)\s*frames?[:=\s]+(\d+)/i,
+  decodeMs: /decod(?:e|ing)(?:\s*(?:latency|time))?[:=\s]+(\d+(?:\.\d+)?)\s*ms/i,
+  encodeMs: /encod(?:e|ing)(?:\s*(?:latency|time))?[:=\s]+(\d+(?:\.\d+)?)\s*ms/i,
+  rttMs: /(?:ping|rtt|network(?:\s*latency)?)[:=\s]+(\d+(?:\.\d+)?)\s*ms/i,
+  fpsTotal: /(\d+(?:\.\d+)?)\s*fps\b/i
+};
+const KV_STATS_LINE_REGEX = /bit\s*rate.*(?:ping|rtt|latency|loss)|(?:ping|rtt|latency|loss).*bit\s*rate/i;
+
+const MOONLIGHT_PROFILE = {
+  name: 'moonlight',
+  label: 'Moonlight（含 Artemis 等 com.limelight 分支）',
+  packages: ['com.limelight'],
+  lineHint: /(com\.limelight|limelight\.qiin|moonlight-common-c|LimeLog|NvConnection|MediaCodecDecoderRenderer|\[STREAM_SESSION\])/i,
+  tagHint: /(LimeLog|moonlight-common-c|NvConnection|MediaCodecDecoderRenderer|com\.limelight)/i,
+  markerHint: /(\[INTERNAL_STATS\]|\[STREAM_SESSION\]|Launched new game session|Resumed existing game session|Connection terminated|stage .* failed|Average end-to-end client latency|Average hardware decoder latency|Configuring with format|Using codec)/i,
+  primaryTag: /com\.limelight\.LimeLog/i,
+  sessionMarker: /(Launched new game session|Resumed existing game session|Connection terminated|stage .* failed|Configuring with format|Using codec|Average end-to-end client latency|Average hardware decoder latency|\[STREAM_SESSION\])/i,
+  pollNoise: /(Starting parallel poll|Starting poll thread|Polling .*TimeoutConfig\{)/i,
+  noise: /(failed to load disk cached box art|cache\/applist\/.*enoent)/i,
+  internalStats: true,
+  session: {
+    strongStart: [/(\[INTERNAL_STATS\]|\[STREAM_SESSION\]\s*(CONNECTED|HEARTBEAT|APP_SESSION_READY))/i],
+    midStart: [
+      /Configuring with format/i,
+      /Using codec/i,
+      /Average end-to-end client latency/i,
+      /Average hardware decoder latency/i,
+      /\[STREAM_SESSION\]\s*(CONNECT_REQUEST|CONNECT_PIPELINE_START)/i
+    ],
+    weakStart: [
+      /Launched new game session/i,
+      /Resumed existing game session/i,
+      /\[STREAM_SESSION\]\s*(START|RESUME)/i
+    ],
+    end: [
+      /Connection terminated/i,
+      /stage .* failed/i,
+      /\[STREAM_SESSION\]\s*(STOP_REQUEST|FAILED|TERMINATED)/i
+    ],
+    activity: [
+      /\[INTERNAL_STATS\]/i,
+      /Rx\s+\d+(?:\.\d+)?\s*\/\s*Rd\s+\d+(?:\.\d+)?/i,
+      /Average end-to-end client latency/i,
+      /Average hardware decoder latency/i,
+      /Configuring with format/i,
+      /Using codec/i,
+      /\[STREAM_SESSION\]\s*(HEARTBEAT|CONNECTED|APP_SESSION_READY)/i
+    ]
+  },
+  metrics: [
+    { pattern: /Rx\s+(\d+(?:\.\d+)?)\s*\/\s*Rd\s+(\d+(?:\.\d+)?)\s*FPS/i, metrics: [{ type: 'fps_rx', unit: 'fps' }, { type: 'fps_rd', unit: 'fps' }] },
+    { pattern: /(\d+(?:\.\d+)?)\s*±\s*(\d+(?:\.\d+)?)\s*ms/i, metrics: [{ type: 'rtt_ms', unit: 'ms' }, { type: 'jitter_ms', unit: 'ms' }] },
+    { pattern: /(?:丢帧率|跳帧率|loss\s*rate)\s*[:：]?\s*(-?\d+(?:\.\d+)?)\s*%/i, metrics: [{ type: 'lost_frame_pct', unit: '%' }] },
+    {
+      pattern: /精确同步:\s*(\d+)帧,\s*跳帧:\s*(\d+),\s*平均误差:\s*(-?\d+(?:\.\d+)?)ms/,
+      metrics: [
+        { type: 'precise_sync_frames', unit: 'count' },
+        { type: 'precise_sync_skipped_frames', unit: 'count' },
+        { type: 'precise_sync_avg_error_ms', unit: 'ms' }
+      ]
+    },
+    {
+      pattern: /\[精确同步:\s*(\d+)渲染\/(\d+)接收,\s*跳帧率:\s*(-?\d+(?:\.\d+)?)%\]/,
+      metrics: [
+        { type: 'precise_sync_rendered_frames', unit: 'count' },
+        { type: 'precise_sync_received_frames', unit: 'count' },
+        { type: 'precise_sync_skip_rate_pct', unit: '%' }
+      ]
+    },
+    { pattern: /Too much pending audio data:\s*(-?\d+(?:\.\d+)?)\s*ms/i, metrics: [{ type: 'pending_audio_ms', unit: 'ms' }] },
+    {
+      pattern: /TimeoutConfig\{connect=(\d+)ms,\s*read=(\d+)ms,\s*stun=(\d+)ms\}/i,
+      metrics: [
+        { type: 'timeout_connect_ms', unit: 'ms' },
+        { type: 'timeout_read_ms', unit: 'ms' },
+        { type: 'timeout_stun_ms', unit: 'ms' }
+      ]
+    },
+    {
+      pattern: /Stats\{success=(\d+),\s*failure=(\d+),\s*rate=([\d.]+)%.*avg_response=(\d+)ms\}/i,
+      metrics: [
+        { type: 'conn_success_count', unit: 'count' },
+        { type: 'conn_failure_count', unit: 'count' },
+        { type: 'conn_success_rate_pct', unit: '%' },
+        { type: 'conn_avg_response_ms', unit: 'ms' }
+      ]
+    },
+    { pattern: /Average end-to-end client latency:\s*(\d+)\s*ms/i, metrics: [{ type: 'e2e_latency_ms', unit: 'ms' }] },
+    { pattern: /Average hardware decoder latency:\s*(\d+)\s*ms/i, metrics: [{ type: 'decoder_latency_ms', unit: 'ms' }] },
+    { pattern: /Display refresh rate:\s*(-?\d+(?:\.\d+)?)\s*Hz/i, metrics: [{ type: 'display_refresh_hz', unit: 'hz' }] }
+  ],
+  anomalies: [
+    { key: 'network_unstable', pattern: /Network is unstable|Network marked as unstable/i, type: 'network_unstable' },
+    { key: 'connection_failure', pattern: /Connection failure for/i, type: 'connection_failure' },
+    { key: 'poll_failed_quickly', pattern: /Poll failed quickly/i, type: 'poll_failed_quickly' },
+    { key: 'offline', pattern: /\boffline\b/i, type: 'offline' },
+    { key: 'pending_audio_backlog', pattern: /Too much pending audio data/i, type: 'pending_audio_backlog' },
+    { key: 'stream_failed_or_terminated', pattern: /stage .* failed|Connection terminated/i, type: 'stream_failed_or_terminated' },
+    { key: 'frame_pacing_or_skip', pattern: /时间漂移过大|跳帧率|loss=\d+\/\d+\(/i, type: 'frame_pacing_or_skip' }
+  ],
+  recovery: [
+    { type: 'idr_request', pattern: /IDR frame request sent|Requesting IDR frame|request(?:ing)? (?:an )?IDR\b/i },
+    { type: 'rfi', pattern: /Invalidating reference frames?|Reference frame invalidation/i },
+    { type: 'fec_unrecoverable', pattern: /Unrecoverable frame/i },
+    { type: 'network_frame_drop', pattern: /Network dropped (?:an entire frame|(\d+) frames?)/i }
+  ]
+};
+
+const STEAM_LINK_PROFILE = {
+  name: 'steamlink',
+  label: 'Steam Link',
+  experimental: true,
+  packages: ['com.valvesoftware.steamlink'],
+  lineHint: /(com\.valvesoftware\.steamlink|SteamLink|CStreamClient|CStreamingClient)/i,
+  tagHint: /(SteamLink|steamlink)/i,
+  primaryTag: /SteamLink/i,
+  sessionMarker: /(Starting streaming session|Stream(?:ing)? (?:started|stopped|ended|connected|disconnected)|Connection closed)/i,
+  stats: { match: KV_STATS_LINE_REGEX, fields: KV_STATS_FIELDS },
+  session: {
+    strongStart: [KV_STATS_LINE_REGEX],
+    midStart: [/Stream(?:ing)? (?:started|connected)/i],
+    weakStart: [/Starting streaming session/i],
+    end: [/Stream(?:ing)? (?:stopped|ended|disconnected)|Connection closed/i],
+    activity: [KV_STATS_LINE_REGEX]
+  },
+  anomalies: [
+    { key: 'stream_failed_or_terminated', pattern: /Stream(?:ing)? (?:stopped|disconnected)|Connection closed/i, type: 'stream_failed_or_terminated' },
+    { key: 'network_unstable', pattern: /(?:poor|unstable|bad) (?:network|connection)/i, type: 'network_unstable' }
+  ]
+};
+
+const PARSEC_PROFILE = {
+  name: 'parsec',
+  label: 'Parsec',
+  experimental: true,
+  packages: ['tv.parsec.client'],
+  lineHint: /(tv\.parsec|\bParsec\b)/i,
+  tagHint: /parsec/i,
+  primaryTag: /parsec/i,
+  sessionMarker: /(Connected to host|Connection established|Disconnected|Connection (?:closed|lost))/i,
+  stats: { match: KV_STATS_LINE_REGEX, fields: KV_STATS_FIELDS },
+  session: {
+    strongStart: [KV_STATS_LINE_REGEX],
+    midStart: [/Connected to host|Connection established/i],
+    weakStart: [],
+    end: [/Disconnected|Connection (?:closed|lost)/i],
+    activity: [KV_STATS_LINE_REGEX]
+  },
+  anomalies: [
+    { key: 'stream_failed_or_terminated', pattern: /Disconnected(?![^(]*\(code 0\))|Connection (?:closed|lost)/i, type: 'stream_failed_or_terminated' },
+    { key: 'network_unstable', pattern: /(?:poor|unstable|bad) (?:network|connection)/i, type: 'network_unstable' }
+  ]
+};
+
+export const BUILTIN_APP_PROFILES = [MOONLIGHT_PROFILE, STEAM_LINK_PROFILE, PARSEC_PROFILE];
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toRegex(value, where) {
+  if (value instanceof RegExp) return value;
+  if (typeof value !== 'string' || !value) {
+    throw new Error(`${where} 必须是非空正则字符串`);
+  }
+  try {
+    return new RegExp(value, 'i');
+  } catch (err) {
+    throw new Error(`${where} 正则无效: ${err.message}`);
+  }
+}
+
+function toRegexList(value, where) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).map((x, i) => toRegex(x, `${where}[${i}]`));
+}
+
+function toOptionalRegex(value, where) {
+  return value == null ? NEVER_MATCH_REGEX : toRegex(value, where);
+}
+
+function compileStats(raw, where) {
+  const fields = {};
+  for (const [field, pattern] of Object.entries(raw.fields || {})) {
+    if (!STATS_FIELD_NAMES.has(field)) {
+      throw new Error(`${where}.fields.${field} 不是可用字段（可用: ${[...STATS_FIELD_NAMES].join(', ')}）`);
+    }
+    fields[field] = toRegex(pattern, `${where}.fields.${field}`);
+  }
+  if (!Object.keys(fields).length) throw new Error(`${where}.fields 不能为空`);
+  return { match: toRegex(raw.match, `${where}.match`), fields };
+}
+
+function compileProfile(raw, where) {
+  if (!raw || typeof raw !== 'object') throw new Error(`${where} 必须是对象`);
+  const name = String(raw.name || '').trim();
+  if (!PROFILE_NAME_REGEX.test(name)) throw new Error(`${where}.name 无效: ${raw.name}`);
+  const at = `${where}(${name})`;
+  const packages = (Array.isArray(raw.packages) ? raw.packages : []).map((x) => String(x).trim()).filter(Boolean);
+  if (!packages.length) throw new Error(`${at}.packages 不能为空`);
+  const session = raw.session || {};
+  const profile = {
+    name,
+    label: String(raw.label || name),
+    experimental: Boolean(raw.experimental),
+    packages,
+    packageRegex: new RegExp(`^(?:${packages.map(escapeRegex).join('|')})`),
+    lineHint: toRegex(raw.lineHint, `${at}.lineHint`),
+    tagHint: toOptionalRegex(raw.tagHint, `${at}.tagHint`),
+    markerHint: toOptionalRegex(raw.markerHint, `${at}.markerHint`),
+    primaryTag: toOptionalRegex(raw.primaryTag, `${at}.primaryTag`),
+    sessionMarker: toOptionalRegex(raw.sessionMarker, `${at}.sessionMarker`),
+    pollNoise: toOptionalRegex(raw.pollNoise, `${at}.pollNoise`),
+    noise: toOptionalRegex(raw.noise, `${at}.noise`),
+    internalStats: Boolean(raw.internalStats),
+    stats: raw.stats ? compileStats(raw.stats, `${at}.stats`) : null,
+    session: {
+      strongStart: toRegexList(session.strongStart, `${at}.session.strongStart`),
+      midStart: toRegexList(session.midStart, `${at}.session.midStart`),
+      weakStart: toRegexList(session.weakStart, `${at}.session.weakStart`),
+      end: toRegexList(session.end, `${at}.session.end`),
+      activity: toRegexList(session.activity, `${at}.session.activity`)
+    },
+    metrics: (raw.metrics || []).map((m, i) => {
+      const metrics = (m.metrics || []).map((x) => ({ type: String(x.type || ''), unit: String(x.unit || '') }));
+      if (!metrics.length || metrics.some((x) => !x.type)) throw new Error(`${at}.metrics[${i}].metrics 需列出每个捕获组的 type`);
+      return { pattern: toRegex(m.pattern, `${at}.metrics[${i}].pattern`), metrics };
+    }),
+    anomalies: (raw.anomalies || []).map((a, i) => {
+      const type = String(a.type || a.key || '');
+      if (!type) throw new Error(`${at}.anomalies[${i}] 缺少 type`);
+      return { key: String(a.key || type), type, pattern: toRegex(a.pattern, `${at}.anomalies[${i}].pattern`) };
+    }),
+    recovery: (raw.recovery || []).map((r, i) => {
+      const type = String(r.type || '');
+      if (!RECOVERY_EVENT_TYPES.includes(type)) throw new Error(`${at}.recovery[${i}].type 无效: ${r.type}（可选: ${RECOVERY_EVENT_TYPES.join(', ')}）`);
+      return { type, pattern: toRegex(r.pattern, `${at}.recovery[${i}].pattern`) };
+    })
+  };
+  if (![...profile.session.strongStart, ...profile.session.midStart, ...profile.session.weakStart].length) {
+    throw new Error(`${at}.session 至少需要一个开始标记（strongStart/midStart/weakStart）`);
+  }
+  return profile;
+}
+
+export const DEFAULT_APP_PROFILE = compileProfile(MOONLIGHT_PROFILE, 'builtin');
+
+export function loadAppProfiles(profilesFile = '') {
+  const byName = new Map(BUILTIN_APP_PROFILES.map((p) => [p.name, compileProfile(p, 'builtin')]));
+  if (!profilesFile) return [...byName.values()];
+  let raw;
+  try {
+    raw = readJsonIfExists(profilesFile);
+  } catch (err) {
+    throw new Error(`App 配置文件解析失败: ${profilesFile}: ${err.message}`);
+  }
+  if (raw == null) throw new Error(`App 配置文件不存在: ${profilesFile}`);
+  const list = Array.isArray(raw) ? raw : (Array.isArray(raw.profiles) ? raw.profiles : [raw]);
+  list.forEach((p, i) => {
+    const profile = compileProfile(p, `${profilesFile} profiles[${i}]`);
+    byName.set(profile.name, profile);
+  });
+  return [...byName.values()];
+}
+
+export function isProfileLine(profile, line, tag, payload) {
+  if (profile.lineHint.test(line)) return true;
+  if (tag && profile.tagHint.test(tag)) return true;
+  return profile.markerHint.test(payload);
+}
+
+export async function resolveAppProfile(logcatPath, profiles, requested = 'auto') {
+  if (requested && requested !== 'auto') {
+    const profile = profiles.find((p) => p.name === requested);
+    if (!profile) {
+      throw new Error(`未知的 App 配置: ${requested}（可选: auto, ${profiles.map((p) => p.name).join(', ')}）`);
+    }
+    return { profile, mode: 'explicit', hits: {} };
+  }
+
+  const hits = Object.fromEntries(profiles.map((p) => [p.name, 0]));
+  if (fs.existsSync(logcatPath)) {
+    const input = fs.createReadStream(logcatPath);
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of rl) {
+      const m = line.match(THREADTIME_TAG_REGEX);
+      const tag = m ? m[1].trim() : '';
+      for (const p of profiles) {
+        if (p.lineHint.test(line) || (tag && p.tagHint.test(tag))) hits[p.name] += 1;
+      }
+    }
+  }
+  const best = profiles.reduce((acc, p) => (hits[p.name] > hits[acc.name] ? p : acc), profiles[0]);
+  const profile = hits[best.name] > 0 ? best : (profiles.find((p) => p.name === DEFAULT_APP_PROFILE.name) || profiles[0]);
+  return { profile, mode: hits[best.name] > 0 ? 'auto' : 'auto_default', hits };
+}
@@ -0,0 +1,90 @@
+import fs from 'node:fs';
+import readline from 'node:readline';
+import { parseIsoDateSafe } from '../shared/time.js';
+
+const BOOKMARK_TAG_REGEX = /bookmark=(bm-\d+)/;
+
+function summarizeSnapshot(task, bodyLines) {
+  const text = bodyLines.join('\n');
+  if (task === 'wifi') {
+    const rssi = (text.match(/RSSI:\s*(-?\d+)/i) || [])[1];
+    const linkSpeed = (text.match(/Link speed:\s*(\d+)\s*Mbps/i) || [])[1];
+    const freq = (text.match(/Frequency:\s*(\d+)\s*MHz/i) || [])[1];
+    return [
+      rssi == null ? null : `rssi=${rssi}`,
+      linkSpeed == null ? null : `link=${linkSpeed}Mbps`,
+      freq == null ? null : `freq=${freq}MHz`
+    ].filter(Boolean).join(' ');
+  }
+  if (task === 'connectivity') {
+    const defaultId = (text.match(/Active default network:\s*(\d+)/i) || [])[1];
+    return defaultId == null ? '' : `default_network=${defaultId}`;
+  }
+  return '';
+}
+
+export async function parseBookmarksFile(filePath) {
+  const bookmarks = [];
+  if (!filePath || !fs.existsSync(filePath)) return bookmarks;
+  const input = fs.createReadStream(filePath);
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const rawLine of rl) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!record || record.type !== 'BOOKMARK' || !Number.isFinite(Number(record.epoch_ms))) continue;
+    bookmarks.push({
+      id: String(record.id || ''),
+      kind: String(record.kind || 'unknown'),
+      ts: new Date(Number(record.epoch_ms)),
+      serial: record.serial || '',
+      note: record.note || '',
+      trigger: record.trigger || null,
+      snapshots: []
+    });
+  }
+  return bookmarks.sort((a, b) => a.ts.getTime() - b.ts.getTime());
+}
+
+export function attachBookmarkSnapshots(bookmarks, snapshotsByTask, { windowMs = 10000, limitPerTask = 2 } = {}) {
+  for (const bookmark of bookmarks) {
+    const bookmarkMs = bookmark.ts.getTime();
+    for (const [task, snapshots] of Object.entries(snapshotsByTask)) {
+      const candidates = [];
+      for (const s of snapshots) {
+        const ts = parseIsoDateSafe(s.hostTs);
+        if (!ts) continue;
+        const tag = (s.detail.match(BOOKMARK_TAG_REGEX) || [])[1] || null;
+        const offsetMs = ts.getTime() - bookmarkMs;
+        const linked = tag === bookmark.id;
+        if (!linked && (tag || Math.abs(offsetMs) > windowMs)) continue;
+        candidates.push({
+          task,
+          ts,
+          offsetMs,
+          linked,
+          status: s.status,
+          durationMs: s.durationMs,
+          summary: s.status === 'OK' ? summarizeSnapshot(task, s.bodyLines) : ''
+        });
+      }
+      candidates
+        .sort((a, b) => (Number(b.linked) - Number(a.linked)) || (Math.abs(a.offsetMs) - Math.abs(b.offsetMs)))
+        .slice(0, limitPerTask)
+        .forEach((x) => bookmark.snapshots.push(x));
+    }
+    bookmark.snapshots.sort((a, b) => a.ts.getTime() - b.ts.getTime());
+  }
+  return bookmarks;
+}
+
+export function formatBookmarkTrigger(trigger) {
+  if (!trigger) return '';
+  const value = Number(trigger.value);
+  return `${trigger.metric}=${Number.isFinite(value) ? value.toFixed(1) : trigger.value} (阈值 ${trigger.threshold})`;
+}
@@ -5,6 +5,7 @@ const NON_WIFI_ROAM_NOISE_REGEX = /(roam_msg_mgr|group_roam_msg_worker|ntkernel)
 const ROAM_STRONG_REGEX = /(reassoc|association|bssid.*change|roam(?:ing)?\s+(to|from|candidate|start|complete|fail|failure))/i;
 const ROAM_CONTEXT_REGEX = /(wifi|wlan|supplicant|wificlientmodeimpl|wifinative|networkagent|connectivityservice|networkmonitor|bssid)/i;
 const DOZE_IDLE_SYSTEM_CONTEXT_REGEX = /(deviceidlecontroller|powermanagerservice|deviceidlejobscontroller|idle maintenance|idle mode changed|doze)/i;
+const SUPPLICANT_FREQ_REGEX = /supplicant\b.*(?:CTRL-EVENT-CHANNEL-SWITCH|CTRL-EVENT-CONNECTED|Trying to associate|Trying to authenticate|Associated with).*\bfreq=(\d{4})\b/i;
 const NETWORK_CONTEXT_REGEX = /(wifi|wlan|supplicant|connectivity|networkagent|networkmonitor|linkproperties|dhcp|captive|portal|route|ip address|wificlientmodeimpl|wifinative|bssid)/i;
 
 export function getLineFilterReason(line) {
@@ -14,6 +15,11 @@ export function getLineFilterReason(line) {
   return null;
 }
 
+export function extractSupplicantFrequency(line) {
+  const m = line.match(SUPPLICANT_FREQ_REGEX);
+  return m ? Number(m[1]) : null;
+}
+
 export function classifyLogcatLine(line) {
   const lower = line.toLowerCase();
   const types = new Set();
@@ -13,6 +13,8 @@ function createReportProgram() {
     .option('--session-post-buffer-sec <sec>', '会话后置缓冲秒数', '10')
     .option('--clock-skew-tolerance-sec <sec>', '时钟偏移容差秒数', '2')
     .option('--no-valid-session-policy <policy>', '无有效会话策略：empty-main|degraded', 'empty-main')
+    .option('--app-profile <name>', '串流 App 配置：auto 或配置名（内置 moonlight、steamlink、parsec）', 'auto')
+    .option('--app-profiles <path>', '额外 App 配置 JSON 文件（同名覆盖内置配置）')
     .helpOption('-h, --help', '显示帮助');
 }
 
@@ -32,7 +34,9 @@ export function parseReportArgs(argv) {
     sessionPreBufferSec: z.coerce.number().nonnegative().default(5),
     sessionPostBufferSec: z.coerce.number().nonnegative().default(10),
     clockSkewToleranceSec: z.coerce.number().nonnegative().default(2),
-    noValidSessionPolicy: z.enum(['empty-main', 'degraded']).default('empty-main')
+    noValidSessionPolicy: z.enum(['empty-main', 'degraded']).default('empty-main'),
+    appProfile: z.string().min(1).default('auto'),
+    appProfiles: z.string().optional()
   }).parse(opts);
   return {
     dir: parsed.dir || '',
@@ -42,6 +46,8 @@ export function parseReportArgs(argv) {
     sessionPreBufferSec: parsed.sessionPreBufferSec,
     sessionPostBufferSec: parsed.sessionPostBufferSec,
     clockSkewToleranceSec: parsed.clockSkewToleranceSec,
-    noValidSessionPolicy: parsed.noValidSessionPolicy
+    noValidSessionPolicy: parsed.noValidSessionPolicy,
+    appProfile: parsed.appProfile.trim(),
+    appProfiles: parsed.appProfiles || ''
   };
 }
@@ -0,0 +1,304 @@
+import { markdownTable } from 'markdown-table';
+import { formatTs, formatMinuteKey } from '../shared/time.js';
+import { countInRange } from '../shared/stats.js';
+import { TIMELINE_COLUMNS } from './constants.js';
+import { CAUSE_LABELS } from './report-builder.js';
+
+const SCOPE_LABELS = {
+  all_devices: '全部设备（AP/主机侧）',
+  single_device: '单设备（手机端）',
+  partial: '部分设备',
+  insufficient_coverage: '覆盖不足'
+};
+
+const VERDICT_LABELS = {
+  shared_path: '多数尖峰同时出现在所有设备上，更可能是 AP / 主机侧问题',
+  device_local: '多数尖峰只出现在单台设备上，更可能是手机端问题',
+  mixed: '共同尖峰与单设备尖峰并存，AP/主机侧与手机端因素都需排查',
+  no_spikes: '各设备均未检测到高延迟突发',
+  insufficient_coverage: '尖峰时段缺少多台设备的 ping 覆盖，无法判断'
+};
+
+function toFixedOrNA(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return 'N/A';
+  return value.toFixed(digits);
+}
+
+function buildDeviceView(result) {
+  const pingFocus = result.pingFocus || {};
+  const samples = pingFocus.samples || [];
+  return {
+    serial: result.serial,
+    logDir: result.logDir,
+    startTs: result.startTs,
+    endTs: result.endTs,
+    sampleMs: samples.map((x) => x.ts.getTime()).sort((a, b) => a - b),
+    pingSampleCount: samples.length,
+    highLatencyThresholdMs: pingFocus.highLatencyThresholdMs == null ? null : pingFocus.highLatencyThresholdMs,
+    bursts: pingFocus.highLatencyBursts || [],
+    highLatencyBurstCount: (pingFocus.highLatencyBursts || []).length,
+    events: result.eventsAll || [],
+    minuteCounters: (result.timelineAll && result.timelineAll.minuteCounters) || new Map(),
+    causeRanking: (result.pingAnalysis && result.pingAnalysis.causeRanking) || [],
+    soloSpikeCount: 0,
+    sharedSpikeCount: 0
+  };
+}
+
+function clusterBursts(devices, alignWindowMs) {
+  const all = [];
+  for (const d of devices) {
+    for (const b of d.bursts) all.push({ serial: d.serial, burst: b });
+  }
+  all.sort((a, b) => a.burst.startTs.getTime() - b.burst.startTs.getTime());
+
+  const clusters = [];
+  let cur = null;
+  for (const item of all) {
+    const startMs = item.burst.startTs.getTime();
+    const endMs = item.burst.endTs.getTime();
+    if (cur && startMs <= cur.endMs + alignWindowMs) {
+      cur.endMs = Math.max(cur.endMs, endMs);
+      cur.members.push(item);
+      continue;
+    }
+    cur = { startMs, endMs, members: [item] };
+    clusters.push(cur);
+  }
+  return clusters;
+}
+
+function countNearbyEvents(events, startMs, endMs) {
+  const out = {};
+  for (const e of events) {
+    const ms = e.ts.getTime();
+    if (ms < startMs || ms > endMs) continue;
+    out[e.type] = (out[e.type] || 0) + 1;
+  }
+  return out;
+}
+
+function resolveScope(hitCount, coveredCount, deviceCount) {
+  if (coveredCount < 2) return 'insufficient_coverage';
+  if (coveredCount >= deviceCount && hitCount >= coveredCount) return 'all_devices';
+  if (hitCount === 1) return 'single_device';
+  return 'partial';
+}
+
+function resolveVerdict(summary, devices) {
+  if (!summary.clusterCount) return { code: 'no_spikes', dominantSerial: null };
+  const judged = summary.allDevicesCount + summary.singleDeviceCount + summary.partialCount;
+  if (!judged) return { code: 'insufficient_coverage', dominantSerial: null };
+  const dominant = devices.slice().sort((a, b) => b.soloSpikeCount - a.soloSpikeCount)[0];
+  const dominantSerial = dominant && dominant.soloSpikeCount > 0 ? dominant.serial : null;
+  if (summary.allDevicesCount / judged >= 0.6) return { code: 'shared_path', dominantSerial };
+  if (summary.singleDeviceCount / judged >= 0.6) return { code: 'device_local', dominantSerial };
+  return { code: 'mixed', dominantSerial };
+}
+
+export function buildCrossDeviceComparison(deviceResults, { alignWindowMs = 1000, coverageWindowMs = 2000, eventWindowMs = 5000 } = {}) {
+  const devices = deviceResults.map(buildDeviceView);
+  const bySerial = new Map(devices.map((d) => [d.serial, d]));
+
+  const clusters = clusterBursts(devices, alignWindowMs).map((c, idx) => {
+    const hitMap = new Map();
+    for (const m of c.members) {
+      const prev = hitMap.get(m.serial);
+      const maxLatencyMs = Math.max(prev ? prev.maxLatencyMs : 0, m.burst.maxLatencyMs || 0);
+      hitMap.set(m.serial, { maxLatencyMs });
+    }
+    const coveredSerials = devices
+      .filter((d) => hitMap.has(d.serial) || countInRange(d.sampleMs, c.startMs - coverageWindowMs, c.endMs + coverageWindowMs) > 0)
+      .map((d) => d.serial);
+    const hitSerials = [...hitMap.keys()];
+    const scope = resolveScope(hitSerials.length, coveredSerials.length, devices.length);
+
+    if (scope === 'single_device') bySerial.get(hitSerials[0]).soloSpikeCount += 1;
+    if (scope === 'all_devices') hitSerials.forEach((s) => { bySerial.get(s).sharedSpikeCount += 1; });
+
+    const nearbyEvents = {};
+    for (const d of devices) {
+      nearbyEvents[d.serial] = countNearbyEvents(d.events, c.startMs - eventWindowMs, c.endMs + eventWindowMs);
+    }
+
+    return {
+      id: idx + 1,
+      startTs: new Date(c.startMs),
+      endTs: new Date(c.endMs),
+      scope,
+      hitSerials,
+      coveredSerials,
+      hitDetail: hitSerials.map((s) => ({ serial: s, maxLatencyMs: hitMap.get(s).maxLatencyMs })),
+      maxLatencyMs: Math.max(...[...hitMap.values()].map((x) => x.maxLatencyMs)),
+      nearbyEvents
+    };
+  });
+
+  const summary = {
+    deviceCount: devices.length,
+    clusterCount: clusters.length,
+    allDevicesCount: clusters.filter((c) => c.scope === 'all_devices').length,
+    singleDeviceCount: clusters.filter((c) => c.scope === 'single_device').length,
+    partialCount: clusters.filter((c) => c.scope === 'partial').length,
+    insufficientCoverageCount: clusters.filter((c) => c.scope === 'insufficient_coverage').length,
+    alignWindowMs,
+    coverageWindowMs,
+    eventWindowMs
+  };
+
+  return {
+    devices,
+    clusters,
+    summary,
+    verdict: resolveVerdict(summary, devices)
+  };
+}
+
+export function buildComparisonSpikeRows(comparison) {
+  return comparison.clusters.map((c) => ({
+    cluster_id: c.id,
+    start_ts: formatTs(c.startTs),
+    end_ts: formatTs(c.endTs),
+    scope: c.scope,
+    hit_devices: c.hitSerials.join('|'),
+    covered_devices: c.coveredSerials.join('|'),
+    max_latency_ms: toFixedOrNA(c.maxLatencyMs),
+    device_detail: c.hitDetail.map((x) => `${x.serial}:${toFixedOrNA(x.maxLatencyMs)}ms`).join(';')
+  }));
+}
+
+export function buildComparisonTimelineRows(comparison) {
+  const minuteKeys = new Set();
+  const burstCounters = new Map();
+  for (const d of comparison.devices) {
+    for (const key of d.minuteCounters.keys()) minuteKeys.add(key);
+    const counter = new Map();
+    for (const b of d.bursts) {
+      const key = formatMinuteKey(b.startTs);
+      minuteKeys.add(key);
+      counter.set(key, (counter.get(key) || 0) + 1);
+    }
+    burstCounters.set(d.serial, counter);
+  }
+
+  const rows = [];
+  for (const minute of [...minuteKeys].sort()) {
+    for (const d of comparison.devices) {
+      const counters = d.minuteCounters.get(minute) || {};
+      const row = { minute, serial: d.serial, high_latency_bursts: burstCounters.get(d.serial).get(minute) || 0 };
+      TIMELINE_COLUMNS.forEach((c) => { row[c] = counters[c] || 0; });
+      rows.push(row);
+    }
+  }
+  return rows;
+}
+
+function formatEventCounter(counter, limit = 4) {
+  const entries = Object.entries(counter || {}).sort((a, b) => b[1] - a[1]).slice(0, limit);
+  return entries.length ? entries.map(([k, v]) => `${k}x${v}`).join(', ') : '-';
+}
+
+export function buildComparisonMarkdownReport({ rootDir, groupMeta, comparison, failedMembers, outputFiles }) {
+  const lines = [];
+  const { summary, verdict, devices, clusters } = comparison;
+
+  lines.push('# 多设备跨设备对比报告');
+  lines.push('');
+  lines.push(`- 采集根目录: ${rootDir}`);
+  lines.push(`- 解析时间: ${new Date().toISOString()}`);
+  lines.push(`- 采集开始: ${(groupMeta && groupMeta.startedAtIso) || 'N/A'}`);
+  lines.push(`- 参与对比设备: ${devices.map((d) => d.serial).join(', ')}`);
+  lines.push(`- 尖峰对齐容差: ${summary.alignWindowMs}ms，覆盖判定窗口: ±${summary.coverageWindowMs}ms，关联事件窗口: ±${summary.eventWindowMs}ms`);
+  lines.push('');
+
+  lines.push('## 0) 结论');
+  lines.push(`- 判定: ${VERDICT_LABELS[verdict.code] || verdict.code}`);
+  if (verdict.dominantSerial) lines.push(`- 单设备尖峰最多的设备: ${verdict.dominantSerial}`);
+  lines.push(`- 对齐后的尖峰簇: ${summary.clusterCount}（全部设备 ${summary.allDevicesCount} / 单设备 ${summary.singleDeviceCount} / 部分设备 ${summary.partialCount} / 覆盖不足 ${summary.insufficientCoverageCount}）`);
+  lines.push('');
+
+  lines.push('## 1) 设备概览');
+  const deviceTable = [['设备', 'ping 样本', '高延迟阈值(ms)', '高延迟突发', '单设备尖峰', '全设备尖峰', '首位原因']];
+  devices.forEach((d) => {
+    const top = d.causeRanking[0];
+    deviceTable.push([
+      d.serial,
+      String(d.pingSampleCount),
+      toFixedOrNA(d.highLatencyThresholdMs),
+      String(d.highLatencyBurstCount),
+      String(d.soloSpikeCount),
+      String(d.sharedSpikeCount),
+      top ? `${CAUSE_LABELS[top.cause] || top.cause} (${toFixedOrNA(top.score)})` : 'N/A'
+    ]);
+  });
+  lines.push(markdownTable(deviceTable, { align: ['l', 'r', 'r', 'r', 'r', 'r', 'l'] }));
+  lines.push('');
+
+  lines.push('## 2) 尖峰对齐（共享时间轴）');
+  lines.push(`- 明细 CSV: ${outputFiles.spikesCsv}`);
+  if (clusters.length) {
+    const table = [['#', '开始', '结束', '范围', '命中设备', '最大延迟(ms)', '附近系统事件']];
+    clusters.slice(0, 40).forEach((c) => {
+      table.push([
+        String(c.id),
+        formatTs(c.startTs),
+        formatTs(c.endTs),
+        SCOPE_LABELS[c.scope] || c.scope,
+        `${c.hitSerials.join(', ')} / ${c.coveredSerials.length}`,
+        toFixedOrNA(c.maxLatencyMs),
+        devices.map((d) => `${d.serial}: ${formatEventCounter(c.nearbyEvents[d.serial])}`).join('; ')
+      ]);
+    });
+    lines.push('');
+    lines.push(markdownTable(table, { align: ['r', 'l', 'l', 'l', 'l', 'r', 'l'] }));
+    if (clusters.length > 40) lines.push(`- 仅展示前 40 个，共 ${clusters.length} 个尖峰簇。`);
+  } else {
+    lines.push('- 无高延迟突发。');
+  }
+  lines.push('');
+
+  lines.push('## 3) 原因排名对比');
+  const causes = Object.keys(CAUSE_LABELS);
+  const causeTable = [['原因', ...devices.map((d) => d.serial)]];
+  causes.forEach((cause) => {
+    causeTable.push([
+      CAUSE_LABELS[cause],
+      ...devices.map((d) => {
+        const idx = d.causeRanking.findIndex((x) => x.cause === cause);
+        if (idx < 0) return 'N/A';
+        const row = d.causeRanking[idx];
+        return `#${idx + 1} ${toFixedOrNA(row.score)} (${row.level || 'low'})`;
+      })
+    ]);
+  });
+  lines.push(markdownTable(causeTable, { align: ['l', ...devices.map(() => 'l')] }));
+  lines.push('');
+
+  lines.push('## 4) 每分钟事件对比');
+  lines.push(`- 明细 CSV: ${outputFiles.timelineCsv}`);
+  const burstMinutes = buildComparisonTimelineRows(comparison).filter((x) => x.high_latency_bursts > 0);
+  if (burstMinutes.length) {
+    const table = [['分钟', '设备', '高延迟突发', '同分钟系统事件']];
+    burstMinutes.slice(0, 40).forEach((row) => {
+      const counter = {};
+      TIMELINE_COLUMNS.forEach((c) => { if (row[c]) counter[c] = row[c]; });
+      table.push([row.minute, row.serial, String(row.high_latency_bursts), formatEventCounter(counter, 6)]);
+    });
+    lines.push('');
+    lines.push(markdownTable(table, { align: ['l', 'l', 'r', 'l'] }));
+  } else {
+    lines.push('- 无包含高延迟突发的分钟。');
+  }
+  lines.push('');
+
+  lines.push('## 5) 说明');
+  lines.push('- ping 时间戳由采集主机统一打点，可直接跨设备对齐；logcat/dumpsys 事件使用各设备自身时钟，可能存在秒级偏差。');
+  lines.push('- 某尖峰时段内没有 ping 样本的设备不计入覆盖，不会被当作“未命中”；但只要有设备缺少覆盖，该尖峰就不会判定为全部设备。');
+  lines.push(`- 各设备单独报告: ${devices.map((d) => `${d.serial} -> ${d.logDir}`).join('; ')}`);
+  if (failedMembers && failedMembers.length) {
+    lines.push(`- 解析失败的设备: ${failedMembers.map((x) => `${x.serial} (${x.reason})`).join('; ')}`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
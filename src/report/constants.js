@@ -1,6 +1,8 @@
 export const TIMELINE_COLUMNS = [
   'SCAN',
   'ROAM',
+  'BAND_CHANGE',
+  'CHANNEL_CHANGE',
   'DISCONNECT',
   'CONNECT',
   'DHCP',
@@ -24,12 +26,19 @@ export const TIMELINE_COLUMNS = [
   'ALARM_WAKEUP_BURST',
   'ALARM_WAKEUP_SOON',
   'JOB_ACTIVE_SPIKE',
+  'THERMAL_STATUS_UP',
+  'THERMAL_STATUS_DOWN',
+  'CHARGER_PLUGGED',
+  'CHARGER_UNPLUGGED',
+  'BATTERY_TEMP_HIGH',
   'WAKELOCK_SPIKE'
 ];
 
 export const NETWORK_EVENT_TYPES = [
   'SCAN',
   'ROAM',
+  'BAND_CHANGE',
+  'CHANNEL_CHANGE',
   'DISCONNECT',
   'CONNECT',
   'DHCP',
@@ -49,3 +58,39 @@ export const INTERVAL_EVENT_TYPES = ['SCAN', 'ROAM', 'VALIDATION', 'DOZE_ENTER',
 export const PERIOD_TARGETS_SEC = [120, 300, 600, 900];
 export const TOP_CANDIDATES = ['SCAN', 'VALIDATION', 'DOZE_ENTER', 'IDLE_ENTER', 'ROAM', 'ALARM_WAKEUP_BURST', 'ALARM_QUEUE_JUMP'];
 export const TRANSITION_TYPES = ['DOZE_ENTER', 'DOZE_EXIT', 'IDLE_ENTER', 'IDLE_EXIT'];
+export const WIFI_BAND_EVENT_TYPES = ['BAND_CHANGE', 'CHANNEL_CHANGE'];
+export const THERMAL_EVENT_TYPES = ['THERMAL_STATUS_UP', 'THERMAL_STATUS_DOWN'];
+export const BATTERY_TEMP_HIGH_C = 40;
+export const BATTERY_STATUS_NAMES = { 1: 'unknown', 2: 'charging', 3: 'discharging', 4: 'not_charging', 5: 'full' };
+export const THERMAL_STATUS_NAMES = ['NONE', 'LIGHT', 'MODERATE', 'SEVERE', 'CRITICAL', 'EMERGENCY', 'SHUTDOWN'];
+export const WIFI_RSSI_DROP_DB = 8;
+export const WIFI_LINK_SPEED_DROP_RATIO = 0.3;
+export const WIFI_LINK_CHANGE_TYPES = ['rssi_drop', 'link_speed_drop', 'channel_change', 'bssid_change'];
+export const KNOWN_UID_NAMES = { 0: 'root', 1000: 'system', 1013: 'media', 1021: 'gps', 1051: 'dns', 1073: 'networkstack', '-4': 'tethering', '-5': 'removed' };
+export const BACKGROUND_TRAFFIC_BUSY_KBPS = 1000;
+export const THROUGHPUT_SURGE_RATIO = 3;
+export const THROUGHPUT_SURGE_MIN_DELTA_KBPS = 2000;
+export const CPU_SATURATION_PCT = 85;
+export const RECOVERY_EVENT_TYPES = ['idr_request', 'rfi', 'fec_unrecoverable', 'network_frame_drop'];
+export const RECOVERY_EPISODE_GAP_MS = 2000;
+export const RECOVERY_CORRELATION_SLACK_MS = 2000;
+export const CLUE_KINDS = ['wakelock', 'alarm', 'job', 'sync', 'other'];
+export const INTERNAL_STATS_FIELDS = [
+  { metric: 'fps_total', field: 'fpsTotal', unit: 'fps' },
+  { metric: 'fps_rx', field: 'fpsRx', unit: 'fps' },
+  { metric: 'fps_rd', field: 'fpsRd', unit: 'fps' },
+  { metric: 'loss_frames', field: 'lossFrames', unit: 'count' },
+  { metric: 'loss_total', field: 'lossTotal', unit: 'count' },
+  { metric: 'loss_pct', field: 'lossPct', unit: '%' },
+  { metric: 'loss_events', field: 'lossEvents', unit: 'count' },
+  { metric: 'rtt_ms', field: 'rttMs', unit: 'ms' },
+  { metric: 'rtt_var_ms', field: 'rttVarMs', unit: 'ms' },
+  { metric: 'decode_ms', field: 'decodeMs', unit: 'ms' },
+  { metric: 'render_ms', field: 'renderMs', unit: 'ms' },
+  { metric: 'total_ms', field: 'totalMs', unit: 'ms' },
+  { metric: 'host_latency_min_ms', field: 'hostLatencyMinMs', unit: 'ms' },
+  { metric: 'host_latency_max_ms', field: 'hostLatencyMaxMs', unit: 'ms' },
+  { metric: 'host_latency_avg_ms', field: 'hostLatencyAvgMs', unit: 'ms' },
+  { metric: 'encode_ms', field: 'encodeMs', unit: 'ms' },
+  { metric: 'bitrate_kbps', field: 'bitrateKbps', unit: 'kbps' }
+];
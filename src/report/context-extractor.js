@@ -1,8 +1,8 @@
 import fs from 'node:fs';
 import readline from 'node:readline';
-import { parseThreadtimeDate } from '../shared/time.js';
+import { buildThreadtimeContext, parseThreadtimeDate } from '../shared/time.js';
 
-export async function buildContexts(logcatPath, targetEvents, yearHint = new Date().getFullYear()) {
+export async function buildContexts(logcatPath, targetEvents, timeContext = buildThreadtimeContext()) {
   const contexts = new Map();
   if (targetEvents.length === 0) return contexts;
 
@@ -23,7 +23,7 @@ export async function buildContexts(logcatPath, targetEvents, yearHint = new Dat
   let nextIdx = 0;
 
   for await (const line of rl) {
-    const ts = parseThreadtimeDate(line, yearHint);
+    const ts = parseThreadtimeDate(line, timeContext);
     if (!ts) continue;
     const ms = ts.getTime();
 
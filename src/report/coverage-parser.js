@@ -0,0 +1,132 @@
+import fs from 'node:fs';
+import readline from 'node:readline';
+
+const MARKER_LINE_REGEX = /^\[ts_local=[^\]]+\]\[epoch_ms=(\d+)\]\[source=(capture_supervisor|capture_adb_transport)\]\s+(\S+)\s*(.*)$/;
+
+function parseMarkerFields(text) {
+  const fields = {};
+  const re = /([a-z_]+)=(\S+)/g;
+  let m;
+  while ((m = re.exec(text)) !== null) fields[m[1]] = m[2];
+  return fields;
+}
+
+function toEpochMs(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function pushHole(holes, { target, kind, name, startMs, endMs, closed, detail }) {
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs < startMs) return;
+  holes.push({
+    target,
+    kind,
+    name,
+    startTs: new Date(startMs),
+    endTs: new Date(endMs),
+    durationMs: endMs - startMs,
+    closed,
+    detail
+  });
+}
+
+export async function parseCoverageHoles(filePath, { target, endTs = null } = {}) {
+  const holes = [];
+  if (!filePath || !fs.existsSync(filePath)) return holes;
+
+  const openExits = new Map();
+  let openTransportMs = null;
+  const input = fs.createReadStream(filePath);
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const rawLine of rl) {
+    if (!rawLine.includes('[source=capture_')) continue;
+    const m = String(rawLine).trim().match(MARKER_LINE_REGEX);
+    if (!m) continue;
+    const lineEpochMs = Number(m[1]);
+    const marker = m[3];
+    const fields = parseMarkerFields(m[4] || '');
+
+    if (marker === 'SUBPROCESS_EXIT') {
+      const name = fields.name || 'unknown';
+      if (!openExits.has(name)) openExits.set(name, toEpochMs(fields.died_epoch_ms, lineEpochMs));
+      continue;
+    }
+    if (marker === 'SUBPROCESS_RESTART') {
+      const name = fields.name || 'unknown';
+      const startMs = openExits.has(name) ? openExits.get(name) : toEpochMs(fields.died_epoch_ms, null);
+      openExits.delete(name);
+      if (startMs == null) continue;
+      pushHole(holes, {
+        target,
+        kind: 'subprocess_exit',
+        name,
+        startMs,
+        endMs: toEpochMs(fields.restarted_epoch_ms, lineEpochMs),
+        closed: true,
+        detail: `reason=${fields.reason || 'exited'}`
+      });
+      continue;
+    }
+    if (marker === 'ADB_TRANSPORT_LOST') {
+      if (openTransportMs == null) openTransportMs = toEpochMs(fields.lost_epoch_ms, lineEpochMs);
+      continue;
+    }
+    if (marker === 'ADB_TRANSPORT_GAP') {
+      const startMs = toEpochMs(fields.lost_epoch_ms, openTransportMs);
+      openTransportMs = null;
+      pushHole(holes, {
+        target,
+        kind: 'adb_transport',
+        name: 'adb',
+        startMs,
+        endMs: toEpochMs(fields.restored_epoch_ms, lineEpochMs),
+        closed: true,
+        detail: 'adb_transport_lost'
+      });
+    }
+  }
+
+  const endMs = endTs ? endTs.getTime() : null;
+  for (const [name, startMs] of openExits.entries()) {
+    pushHole(holes, { target, kind: 'subprocess_exit', name, startMs, endMs, closed: false, detail: 'not_restarted' });
+  }
+  if (openTransportMs != null) {
+    pushHole(holes, { target, kind: 'adb_transport', name: 'adb', startMs: openTransportMs, endMs, closed: false, detail: 'not_restored' });
+  }
+  return holes.sort((a, b) => a.startTs.getTime() - b.startTs.getTime());
+}
+
+export function mergeCoverageHoles(holes) {
+  const sorted = holes.slice().sort((a, b) => a.startTs.getTime() - b.startTs.getTime());
+  const merged = [];
+  for (const h of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && h.startTs.getTime() <= last.endMs) {
+      last.endMs = Math.max(last.endMs, h.endTs.getTime());
+      continue;
+    }
+    merged.push({ startMs: h.startTs.getTime(), endMs: h.endTs.getTime() });
+  }
+  return merged;
+}
+
+export function isRangeInCoverageHole(mergedHoles, startMs, endMs) {
+  return mergedHoles.some((h) => h.startMs < endMs && h.endMs > startMs);
+}
+
+export function summarizeCoverageHoles(holes) {
+  const byTarget = {};
+  for (const h of holes) {
+    if (!byTarget[h.target]) byTarget[h.target] = { count: 0, totalMs: 0 };
+    byTarget[h.target].count += 1;
+  }
+  for (const target of Object.keys(byTarget)) {
+    byTarget[target].totalMs = mergeCoverageHoles(holes.filter((h) => h.target === target))
+      .reduce((acc, h) => acc + (h.endMs - h.startMs), 0);
+  }
+  return {
+    count: holes.length,
+    totalMs: mergeCoverageHoles(holes).reduce((acc, h) => acc + (h.endMs - h.startMs), 0),
+    byTarget
+  };
+}
@@ -0,0 +1,55 @@
+import { parseIsoDateSafe } from '../shared/time.js';
+import { parseSnapshotFile } from './snapshot-parser.js';
+
+const CPU_SUMMARY_REGEX = /(\d+)%cpu\b/i;
+
+function pickPct(line, name) {
+  const m = line.match(new RegExp(`(\\d+(?:\\.\\d+)?)%${name}\\b`, 'i'));
+  return m ? Number(m[1]) : null;
+}
+
+function parseTopSnapshot(bodyLines) {
+  const summary = bodyLines.find((x) => CPU_SUMMARY_REGEX.test(x) && /%idle/i.test(x));
+  if (!summary) return null;
+  const capacityPct = Number(summary.match(CPU_SUMMARY_REGEX)[1]);
+  const idlePct = pickPct(summary, 'idle');
+  if (!capacityPct || idlePct == null) return null;
+
+  const headerIdx = bodyLines.findIndex((x) => /^\s*PID\s+USER\b/.test(x));
+  const processes = [];
+  if (headerIdx >= 0) {
+    const header = bodyLines[headerIdx].trim().replace(/\bS\[%CPU\]/, 'S %CPU').split(/\s+/);
+    const cpuIdx = header.indexOf('%CPU');
+    const nameIdx = header.findIndex((x) => ['ARGS', 'NAME', 'CMD', 'COMMAND'].includes(x));
+    for (const line of bodyLines.slice(headerIdx + 1)) {
+      const tokens = line.trim().split(/\s+/);
+      if (cpuIdx < 0 || nameIdx < 0 || tokens.length <= nameIdx || !/^\d+$/.test(tokens[0])) continue;
+      const cpuPct = Number(tokens[cpuIdx]);
+      if (!Number.isFinite(cpuPct)) continue;
+      processes.push({ pid: Number(tokens[0]), user: tokens[1], name: tokens.slice(nameIdx).join(' '), cpuPct });
+    }
+  }
+  const toShare = (pct) => (pct == null ? null : (pct * 100) / capacityPct);
+  return {
+    cores: capacityPct / 100,
+    busyPct: Math.max(0, Math.min(100, 100 - toShare(idlePct))),
+    userPct: toShare(pickPct(summary, 'user')),
+    sysPct: toShare(pickPct(summary, 'sys')),
+    iowPct: toShare(pickPct(summary, 'iow')),
+    irqPct: toShare(pickPct(summary, 'irq')),
+    processes: processes.sort((a, b) => b.cpuPct - a.cpuPct).slice(0, 10)
+  };
+}
+
+export async function parseCpuTopFile(cpuFile) {
+  const snaps = await parseSnapshotFile(cpuFile);
+  const samples = [];
+  for (const s of snaps) {
+    if (s.status !== 'OK') continue;
+    const ts = parseIsoDateSafe(s.hostTs);
+    if (!ts) continue;
+    const parsed = parseTopSnapshot(s.bodyLines);
+    if (parsed) samples.push({ ts, ...parsed });
+  }
+  return samples;
+}
@@ -1,5 +1,7 @@
 import { parseIsoDateSafe } from '../shared/time.js';
 import { parseSnapshotFile } from './snapshot-parser.js';
+import { classifyFrequencyChange, frequencyToBand, frequencyToChannel } from './wifi-band.js';
+import { THERMAL_STATUS_NAMES, BATTERY_TEMP_HIGH_C, BATTERY_STATUS_NAMES } from './constants.js';
 
 function countMatches(text, regex) {
   return (text.match(regex) || []).length;
@@ -46,6 +48,35 @@ function extractLatestRoamStamp(bodyText) {
   return last;
 }
 
+function parseLinkNumber(line, regex, invalid = null) {
+  const raw = (line.match(regex) || [])[1];
+  if (raw == null) return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (invalid && invalid(value))) return null;
+  return value;
+}
+
+function parseWifiLink(bodyText) {
+  const lines = bodyText.split('\n');
+  const line = lines.find((x) => /mWifiInfo\s+SSID:/i.test(x))
+    || lines.find((x) => /\bSSID:/.test(x) && /\bRSSI:/.test(x));
+  if (!line) return null;
+  const bssidRaw = ((line.match(/\bBSSID:\s*([0-9a-fA-F:]{17})/) || [])[1] || '').toLowerCase();
+  const ssidRaw = (line.match(/\bSSID:\s*"?([^",]*)"?,/) || [])[1];
+  const frequencyMhz = parseLinkNumber(line, /\bFrequency:\s*(\d+)\s*MHz/i, (v) => v <= 0);
+  return {
+    ssid: ssidRaw && ssidRaw !== '<unknown ssid>' ? ssidRaw : null,
+    bssid: bssidRaw && bssidRaw !== '02:00:00:00:00:00' && bssidRaw !== '00:00:00:00:00:00' ? bssidRaw : null,
+    rssi: parseLinkNumber(line, /\bRSSI:\s*(-?\d+)/i, (v) => v <= -127 || v >= 0),
+    linkSpeedMbps: parseLinkNumber(line, /(?:^|,\s*)Link speed:\s*(-?\d+)\s*Mbps/i, (v) => v <= 0),
+    txLinkSpeedMbps: parseLinkNumber(line, /,\s*Tx Link speed:\s*(-?\d+)\s*Mbps/i, (v) => v <= 0),
+    rxLinkSpeedMbps: parseLinkNumber(line, /,\s*Rx Link speed:\s*(-?\d+)\s*Mbps/i, (v) => v <= 0),
+    frequencyMhz,
+    channel: frequencyToChannel(frequencyMhz),
+    band: frequencyToBand(frequencyMhz)
+  };
+}
+
 function parseWifiState(bodyText) {
   const mode = (bodyText.match(/Current wifi mode:\s*([A-Za-z0-9_]+)/i) || [])[1] || null;
   const explicitEnabled = /Wi-?Fi is enabled/i.test(bodyText);
@@ -67,7 +98,8 @@ function parseWifiState(bodyText) {
     wifiOn,
     ifaceUp,
     mode,
-    roamStamp: extractLatestRoamStamp(bodyText)
+    roamStamp: extractLatestRoamStamp(bodyText),
+    link: parseWifiLink(bodyText)
   };
 }
 
@@ -110,8 +142,52 @@ function parseConnState(bodyText) {
   };
 }
 
+function parseThermalState(bodyText) {
+  const statusRaw = (bodyText.match(/Thermal Status:\s*(\d+)/i) || [])[1];
+  let status = statusRaw == null ? null : Number(statusRaw);
+  let hottest = null;
+  const re = /Temperature\{mValue=(-?[\d.]+),\s*mType=-?\d+,\s*mName=([^,}]+),\s*mStatus=(\d+)/g;
+  let m;
+  while ((m = re.exec(bodyText)) !== null) {
+    const value = Number(m[1]);
+    const sensorStatus = Number(m[3]);
+    if (Number.isFinite(value) && (!hottest || value > hottest.value)) hottest = { value, name: m[2].trim() };
+    if (statusRaw == null && Number.isFinite(sensorStatus)) status = Math.max(status == null ? 0 : status, sensorStatus);
+  }
+  if (status == null || !Number.isFinite(status)) return null;
+  return { status, hottest };
+}
+
+function parseBatteryState(bodyText) {
+  const sources = ['AC', 'USB', 'Wireless', 'Dock'].map((name) => ({
+    name: name.toLowerCase(),
+    value: parseBool((bodyText.match(new RegExp(`\\b${name} powered:\\s*(true|false)`, 'i')) || [])[1])
+  }));
+  const levelRaw = (bodyText.match(/^\s*level:\s*(\d+)/m) || [])[1];
+  const tempRaw = (bodyText.match(/^\s*temperature:\s*(-?\d+)/m) || [])[1];
+  const statusRaw = (bodyText.match(/^\s*status:\s*(\d+)/m) || [])[1];
+  const known = sources.filter((x) => x.value != null);
+  if (!known.length && levelRaw == null) return null;
+  const pluggedTypes = sources.filter((x) => x.value === true).map((x) => x.name);
+  const status = statusRaw == null ? null : Number(statusRaw);
+  return {
+    plugged: known.length ? pluggedTypes.length > 0 : null,
+    pluggedType: pluggedTypes.join('+') || 'none',
+    level: levelRaw == null ? null : Number(levelRaw),
+    tempC: tempRaw == null ? null : Number(tempRaw) / 10,
+    status,
+    statusName: status == null ? null : (BATTERY_STATUS_NAMES[status] || String(status))
+  };
+}
+
+function thermalStatusName(status) {
+  return THERMAL_STATUS_NAMES[status] || String(status);
+}
+
 export async function addWifiTransitions(wifiFile, store) {
   const snaps = await parseSnapshotFile(wifiFile);
+  const linkSamples = [];
+  let lastFreqMhz = null;
   let prev = null;
   for (const s of snaps) {
     if (s.status !== 'OK') continue;
@@ -119,6 +195,7 @@ export async function addWifiTransitions(wifiFile, store) {
     if (!ts) continue;
     const cur = parseWifiState(s.bodyLines.join('\n'));
     if (!cur) continue;
+    if (cur.link) linkSamples.push({ ts, ...cur.link });
     if (prev) {
       if (prev.wifiOn === false && cur.wifiOn === true) store.addEvent('WIFI_ON', ts, 'dumpsys_wifi', '[dumpsys wifi transition]', 1500);
       if (prev.wifiOn === true && cur.wifiOn === false) store.addEvent('WIFI_OFF', ts, 'dumpsys_wifi', '[dumpsys wifi transition]', 1500);
@@ -128,8 +205,15 @@ export async function addWifiTransitions(wifiFile, store) {
         store.addEvent('ROAM', ts, 'dumpsys_wifi', `[dumpsys wifi roam update] ${cur.roamStamp}`, 3000);
       }
     }
+    const freqMhz = cur.link ? cur.link.frequencyMhz : null;
+    if (freqMhz != null) {
+      const change = classifyFrequencyChange(lastFreqMhz, freqMhz);
+      if (change) store.addEvent(change.type, ts, 'dumpsys_wifi', `[dumpsys wifi ${change.detail}]`, 3000);
+      lastFreqMhz = freqMhz;
+    }
     prev = cur;
   }
+  return linkSamples;
 }
 
 export async function addAlarmTransitions(alarmFile, store) {
@@ -207,3 +291,49 @@ export async function addConnectivityTransitions(connFile, store) {
     prev = cur;
   }
 }
+
+export async function addThermalTransitions(thermalFile, store) {
+  const snaps = await parseSnapshotFile(thermalFile);
+  const samples = [];
+  let prev = { status: 0 };
+  for (const s of snaps) {
+    if (s.status !== 'OK') continue;
+    const ts = parseIsoDateSafe(s.hostTs);
+    if (!ts) continue;
+    const cur = parseThermalState(s.bodyLines.join('\n'));
+    if (!cur) continue;
+    samples.push({ ts, ...cur });
+    if (cur.status !== prev.status) {
+      const type = cur.status > prev.status ? 'THERMAL_STATUS_UP' : 'THERMAL_STATUS_DOWN';
+      const hottest = cur.hottest ? ` max=${cur.hottest.value}C(${cur.hottest.name})` : '';
+      store.addEvent(type, ts, 'dumpsys_thermal', `[dumpsys thermal status ${thermalStatusName(prev.status)}->${thermalStatusName(cur.status)}${hottest}]`, 1500);
+    }
+    prev = cur;
+  }
+  return samples;
+}
+
+export async function addBatteryTransitions(batteryFile, store) {
+  const snaps = await parseSnapshotFile(batteryFile);
+  const samples = [];
+  let prev = null;
+  for (const s of snaps) {
+    if (s.status !== 'OK') continue;
+    const ts = parseIsoDateSafe(s.hostTs);
+    if (!ts) continue;
+    const cur = parseBatteryState(s.bodyLines.join('\n'));
+    if (!cur) continue;
+    samples.push({ ts, ...cur });
+    if (prev && prev.plugged === false && cur.plugged === true) {
+      store.addEvent('CHARGER_PLUGGED', ts, 'dumpsys_battery', `[dumpsys battery plugged ${cur.pluggedType} level=${cur.level}]`, 1500);
+    }
+    if (prev && prev.plugged === true && cur.plugged === false) {
+      store.addEvent('CHARGER_UNPLUGGED', ts, 'dumpsys_battery', `[dumpsys battery unplugged ${prev.pluggedType} level=${cur.level}]`, 1500);
+    }
+    if (cur.tempC != null && cur.tempC >= BATTERY_TEMP_HIGH_C && (!prev || prev.tempC == null || prev.tempC < BATTERY_TEMP_HIGH_C)) {
+      store.addEvent('BATTERY_TEMP_HIGH', ts, 'dumpsys_battery', `[dumpsys battery temp ${cur.tempC.toFixed(1)}C]`, 1500);
+    }
+    prev = cur;
+  }
+  return samples;
+}
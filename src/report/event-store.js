@@ -1,3 +1,5 @@
+import { lowerBound } from '../shared/stats.js';
+
 export function createEventStore() {
   const events = [];
   const eventsByType = new Map();
@@ -6,14 +8,12 @@ export function createEventStore() {
     if (!eventsByType.has(type)) eventsByType.set(type, []);
     const list = eventsByType.get(type);
     const ms = ts.getTime();
+    const idx = lowerBound(list, ms);
     if (avoidNearDuplicateMs > 0) {
-      for (let i = list.length - 1; i >= 0; i -= 1) {
-        const delta = Math.abs(ms - list[i].getTime());
-        if (delta <= avoidNearDuplicateMs) return false;
-        if (ms - list[i].getTime() > avoidNearDuplicateMs) break;
-      }
+      const near = [list[idx - 1], list[idx]].filter(Boolean);
+      if (near.some((x) => Math.abs(ms - x.getTime()) <= avoidNearDuplicateMs)) return false;
     }
-    list.push(ts);
+    list.splice(idx, 0, ts);
     events.push({ type, ts, source, rawLine });
     return true;
   }
@@ -29,17 +29,42 @@ export function resolveLogDir(args, logsRoot = path.resolve('./logs')) {
   return logDir;
 }
 
-export function buildReportFiles(logDir) {
+const PARSED_DUMPSYS_TASKS = [
+  { key: 'wifi', task: 'wifi', legacyFile: 'dumpsys_wifi.log' },
+  { key: 'conn', task: 'connectivity', legacyFile: 'dumpsys_conn.log' },
+  { key: 'deviceidle', task: 'deviceidle', legacyFile: 'dumpsys_deviceidle.log' },
+  { key: 'power', task: 'power', legacyFile: 'dumpsys_power.log' },
+  { key: 'alarm', task: 'alarm', legacyFile: 'dumpsys_alarm.log' },
+  { key: 'jobs', task: 'jobscheduler', legacyFile: 'dumpsys_jobs.log' },
+  { key: 'thermal', task: 'thermal', legacyFile: 'dumpsys_thermal.log' },
+  { key: 'battery', task: 'battery', legacyFile: 'dumpsys_battery.log' },
+  { key: 'netdev', task: 'netdev', legacyFile: 'net_dev.log' },
+  { key: 'uidnet', task: 'uidnet', legacyFile: 'uid_traffic.log' },
+  { key: 'packages', task: 'packages', legacyFile: 'pm_packages.log' },
+  { key: 'processes', task: 'processes', legacyFile: 'ps.log' },
+  { key: 'cpu', task: 'cpu', legacyFile: 'cpu_top.log' },
+  { key: 'frames', task: 'frames', legacyFile: 'frame_stats.log' }
+];
+
+export function buildReportFiles(logDir, dumpsysTasks = null) {
+  const dumpsys = {};
+  if (Array.isArray(dumpsysTasks)) {
+    dumpsysTasks.forEach((task) => { dumpsys[task.name] = path.join(logDir, task.outFile); });
+  } else {
+    PARSED_DUMPSYS_TASKS.forEach((x) => { dumpsys[x.task] = path.join(logDir, x.legacyFile); });
+  }
+  const parsedDumpsys = {};
+  PARSED_DUMPSYS_TASKS.forEach((x) => {
+    parsedDumpsys[x.key] = dumpsys[x.task] || path.join(logDir, x.legacyFile);
+  });
   return {
     logcat: path.join(logDir, 'logcat_all.log'),
-    wifi: path.join(logDir, 'dumpsys_wifi.log'),
-    conn: path.join(logDir, 'dumpsys_conn.log'),
-    deviceidle: path.join(logDir, 'dumpsys_deviceidle.log'),
-    power: path.join(logDir, 'dumpsys_power.log'),
-    alarm: path.join(logDir, 'dumpsys_alarm.log'),
-    jobs: path.join(logDir, 'dumpsys_jobs.log'),
+    ...parsedDumpsys,
+    dumpsys,
+    unparsedDumpsys: Object.keys(dumpsys).filter((name) => !PARSED_DUMPSYS_TASKS.some((x) => x.task === name)),
     pingHost: path.join(logDir, 'ping_host.log'),
     pingHostSide: path.join(logDir, 'ping_host_side.log'),
+    bookmarks: path.join(logDir, 'bookmarks.jsonl'),
     captureMeta: path.join(logDir, 'capture_meta.json'),
     timelineCsv: path.join(logDir, 'timeline.csv'),
     timelineSessionCsv: path.join(logDir, 'timeline_session.csv'),
@@ -50,11 +75,31 @@ export function buildReportFiles(logDir) {
     internalStatsCsv: path.join(logDir, 'internal_stats.csv'),
     streamWindowsCsv: path.join(logDir, 'stream_windows.csv'),
     streamWindowsEffectiveCsv: path.join(logDir, 'stream_windows_effective.csv'),
+    sessionAttemptsCsv: path.join(logDir, 'session_attempts.csv'),
     pingLatencyCsv: path.join(logDir, 'ping_latency.csv'),
     pingLatencySessionCsv: path.join(logDir, 'ping_latency_session.csv'),
     pingLatencyHostSideCsv: path.join(logDir, 'ping_latency_host_side.csv'),
     pingLatencyHostSideSessionCsv: path.join(logDir, 'ping_latency_host_side_session.csv'),
+    coverageHolesCsv: path.join(logDir, 'coverage_holes.csv'),
+    bookmarksCsv: path.join(logDir, 'bookmarks.csv'),
+    wifiLinkCsv: path.join(logDir, 'wifi_link.csv'),
+    bssidSegmentsCsv: path.join(logDir, 'bssid_segments.csv'),
+    throughputCsv: path.join(logDir, 'throughput.csv'),
+    lossRecoveryCsv: path.join(logDir, 'loss_recovery.csv'),
+    uidTrafficCsv: path.join(logDir, 'uid_traffic.csv'),
+    eventAttributionCsv: path.join(logDir, 'event_attribution.csv'),
+    cpuCsv: path.join(logDir, 'cpu.csv'),
+    framesCsv: path.join(logDir, 'frames.csv'),
     reportMd: path.join(logDir, 'report.md'),
     analysisMeta: path.join(logDir, 'analysis_meta.json')
   };
 }
+
+export function buildComparisonFiles(rootDir) {
+  return {
+    spikesCsv: path.join(rootDir, 'comparison_spikes.csv'),
+    timelineCsv: path.join(rootDir, 'comparison_timeline.csv'),
+    reportMd: path.join(rootDir, 'comparison_report.md'),
+    comparisonMeta: path.join(rootDir, 'comparison_meta.json')
+  };
+}
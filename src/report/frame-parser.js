@@ -0,0 +1,104 @@
+import { parseIsoDateSafe } from '../shared/time.js';
+import { parseSnapshotFile } from './snapshot-parser.js';
+
+const SF_MARKER_REGEX = /^---SF LATENCY--- layer=(.*)$/;
+const UPTIME_REGEX = /^Uptime:\s*(\d+)\s+Realtime:/;
+const PENDING_NS = 1e18;
+
+function parseSurfaceFlingerLatency(bodyLines) {
+  const markerIdx = bodyLines.findIndex((x) => SF_MARKER_REGEX.test(x.trim()));
+  if (markerIdx < 0) return null;
+  const layer = bodyLines[markerIdx].trim().match(SF_MARKER_REGEX)[1].trim();
+  const refreshNs = Number((bodyLines[markerIdx + 1] || '').trim());
+  if (!layer || !/^\d+$/.test((bodyLines[markerIdx + 1] || '').trim())) return { layer, refreshPeriodMs: null, rows: [] };
+  const rows = [];
+  for (const line of bodyLines.slice(markerIdx + 2)) {
+    const tokens = line.trim().split(/\s+/);
+    if (tokens.length !== 3 || !tokens.every((x) => /^\d+$/.test(x))) break;
+    const [desiredNs, presentNs, readyNs] = tokens.map(Number);
+    if (!presentNs || presentNs >= PENDING_NS || !desiredNs) continue;
+    rows.push({ key: tokens[1], desiredNs, presentNs, readyNs: readyNs >= PENDING_NS ? 0 : readyNs });
+  }
+  return { layer, refreshPeriodMs: refreshNs > 0 ? refreshNs / 1e6 : null, rows };
+}
+
+function parseGfxFramestats(bodyLines) {
+  const rows = [];
+  let header = null;
+  for (const line of bodyLines) {
+    const t = line.trim();
+    if (t.startsWith('Flags,')) {
+      header = t.split(',');
+      continue;
+    }
+    if (!/^\d+,/.test(t)) {
+      header = null;
+      continue;
+    }
+    if (!header) continue;
+    const values = t.split(',');
+    const pick = (name) => Number(values[header.indexOf(name)]);
+    if (pick('Flags') !== 0) continue;
+    const intendedNs = pick('IntendedVsync');
+    const completedNs = pick('FrameCompleted');
+    if (!intendedNs || !completedNs || completedNs < intendedNs) continue;
+    const presentNs = pick('DisplayPresentTime');
+    rows.push({
+      key: values[header.indexOf('IntendedVsync')],
+      intendedNs,
+      completedNs,
+      presentNs: presentNs > 0 && presentNs < PENDING_NS ? presentNs : completedNs
+    });
+  }
+  return rows;
+}
+
+export async function parseFrameStatsFile(frameFile) {
+  const snaps = await parseSnapshotFile(frameFile);
+  const sfByKey = new Map();
+  const gfxByKey = new Map();
+  let layer = '';
+  let refreshPeriodMs = null;
+  let snapshotCount = 0;
+  for (const s of snaps) {
+    if (s.status !== 'OK') continue;
+    const hostTs = parseIsoDateSafe(s.hostTs);
+    const uptimeLine = s.bodyLines.find((x) => UPTIME_REGEX.test(x.trim()));
+    if (!hostTs || !uptimeLine) continue;
+    const uptimeMs = Number(uptimeLine.trim().match(UPTIME_REGEX)[1]);
+    const toDate = (ns) => new Date(hostTs.getTime() - (uptimeMs - ns / 1e6));
+    snapshotCount += 1;
+
+    const sf = parseSurfaceFlingerLatency(s.bodyLines);
+    if (sf && sf.layer) layer = sf.layer;
+    if (sf && sf.refreshPeriodMs) refreshPeriodMs = sf.refreshPeriodMs;
+    (sf ? sf.rows : []).forEach((row, i, arr) => {
+      const prev = i > 0 ? arr[i - 1] : null;
+      const frame = {
+        ts: toDate(row.presentNs),
+        source: 'surfaceflinger',
+        intervalMs: prev ? (row.presentNs - prev.presentNs) / 1e6 : null,
+        presentDelayMs: (row.presentNs - Math.max(row.desiredNs, row.readyNs)) / 1e6
+      };
+      const existing = sfByKey.get(row.key);
+      if (!existing || (existing.intervalMs == null && frame.intervalMs != null)) sfByKey.set(row.key, frame);
+    });
+
+    parseGfxFramestats(s.bodyLines).forEach((row) => {
+      if (gfxByKey.has(row.key)) return;
+      gfxByKey.set(row.key, {
+        ts: toDate(row.presentNs),
+        source: 'gfxinfo',
+        frameMs: (row.completedNs - row.intendedNs) / 1e6
+      });
+    });
+  }
+  const byTs = (a, b) => a.ts.getTime() - b.ts.getTime();
+  return {
+    layer,
+    refreshPeriodMs,
+    snapshotCount,
+    sfFrames: [...sfByKey.values()].sort(byTs),
+    gfxFrames: [...gfxByKey.values()].sort(byTs)
+  };
+}
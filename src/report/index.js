@@ -2,13 +2,22 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { ZodError } from 'zod';
 import { parseReportArgs, printReportHelp } from './cli.js';
-import { resolveLogDir, buildReportFiles } from './files.js';
+import { resolveLogDir, buildReportFiles, buildComparisonFiles } from './files.js';
 import { createEventStore } from './event-store.js';
 import { parseLogcatFile } from './logcat-parser.js';
 import { parseAppFocusLog } from './app-focus-parser.js';
+import { loadAppProfiles, resolveAppProfile } from './app-profiles.js';
 import { parsePingHostLog } from './ping-parser.js';
 import { addDeviceIdleTransitions, addPowerTransitions } from './transition-parser.js';
-import { addWifiTransitions, addAlarmTransitions, addJobsTransitions, addConnectivityTransitions } from './dumpsys-event-parser.js';
+import { parseCoverageHoles, mergeCoverageHoles, summarizeCoverageHoles } from './coverage-parser.js';
+import { parseBookmarksFile, attachBookmarkSnapshots, formatBookmarkTrigger } from './bookmark-parser.js';
+import { parseSnapshotFile } from './snapshot-parser.js';
+import { parseNetDevThroughput } from './netdev-parser.js';
+import { parseUidTraffic, parseUidPackages } from './uid-traffic-parser.js';
+import { parseCpuTopFile } from './cpu-parser.js';
+import { parseProcessSnapshots, createPidResolver } from './process-parser.js';
+import { parseFrameStatsFile } from './frame-parser.js';
+import { addWifiTransitions, addAlarmTransitions, addJobsTransitions, addConnectivityTransitions, addThermalTransitions, addBatteryTransitions } from './dumpsys-event-parser.js';
 import { buildContexts } from './context-extractor.js';
 import {
   buildTimeline,
@@ -18,7 +27,17 @@ import {
   buildAlignment,
   buildAppFocusAnalysis,
   buildPingAppAnalysis,
-  buildBidirectionalPingAnalysis
+  buildBidirectionalPingAnalysis,
+  buildBookmarkContexts,
+  buildSessionFailureContexts,
+  buildSessionCodecConfigs,
+  buildCodecComparison,
+  buildPowerSourceAnalysis,
+  buildWifiLinkAnalysis,
+  buildBssidSegments,
+  buildUidTrafficAnalysis,
+  buildEventAttribution,
+  buildFrameAnalysis
 } from './analyzer.js';
 import {
   detectStreamingPhases,
@@ -27,9 +46,17 @@ import {
   buildEffectiveWindowRows,
   isTsInWindows
 } from './stream-phase-detector.js';
+import { TIMELINE_COLUMNS, INTERNAL_STATS_FIELDS } from './constants.js';
 import { buildMarkdownReport } from './report-builder.js';
+import {
+  buildCrossDeviceComparison,
+  buildComparisonSpikeRows,
+  buildComparisonTimelineRows,
+  buildComparisonMarkdownReport
+} from './comparison.js';
 import { readJsonIfExists, fileExists, writeJson } from '../shared/io.js';
-import { formatTs, parseIsoDateSafe } from '../shared/time.js';
+import { formatTs, parseIsoDateSafe, buildThreadtimeContext, parseUtcOffsetMinutes } from '../shared/time.js';
+import { createClockCorrector, summarizeClockSamples } from '../shared/clock-sync.js';
 import { toCsv } from '../shared/csv.js';
 
 function quantileSorted(sorted, q) {
@@ -67,26 +94,9 @@ function summarizeNumeric(values) {
 }
 
 function summarizeInternalStats(samples) {
-  const metricFieldPairs = [
-    ['fps_total', 'fpsTotal'],
-    ['fps_rx', 'fpsRx'],
-    ['fps_rd', 'fpsRd'],
-    ['loss_frames', 'lossFrames'],
-    ['loss_total', 'lossTotal'],
-    ['loss_pct', 'lossPct'],
-    ['loss_events', 'lossEvents'],
-    ['rtt_ms', 'rttMs'],
-    ['rtt_var_ms', 'rttVarMs'],
-    ['decode_ms', 'decodeMs'],
-    ['render_ms', 'renderMs'],
-    ['total_ms', 'totalMs'],
-    ['host_latency_min_ms', 'hostLatencyMinMs'],
-    ['host_latency_max_ms', 'hostLatencyMaxMs'],
-    ['host_latency_avg_ms', 'hostLatencyAvgMs']
-  ];
   const metrics = {};
-  for (const [metricName, fieldName] of metricFieldPairs) {
-    metrics[metricName] = summarizeNumeric(samples.map((x) => x[fieldName]));
+  for (const { metric, field } of INTERNAL_STATS_FIELDS) {
+    metrics[metric] = summarizeNumeric(samples.map((x) => x[field]));
   }
   return metrics;
 }
@@ -124,11 +134,13 @@ function filterAppFocusBySession(appFocus) {
   const metricSamples = (appFocus.metricSamples || []).filter((x) => x.inSession);
   const internalStatsSamples = (appFocus.internalStatsSamples || []).filter((x) => x.inSession);
   const anomalyEvents = (appFocus.anomalyEvents || []).filter((x) => x.inSession);
+  const recoveryEvents = (appFocus.recoveryEvents || []).filter((x) => x.inSession);
   return {
     ...appFocus,
     metricSamples,
     internalStatsSamples,
-    anomalyEvents
+    anomalyEvents,
+    recoveryEvents
   };
 }
 
@@ -201,6 +213,8 @@ function buildEmptyPingAnalysis() {
     appAnomalyAroundHighLatency: {},
     systemAroundJitter: {},
     appMetricAroundJitter: {},
+    throughputCorrelation: { available: false, sampleCount: 0, surgeCount: 0, surgesWithJitter: 0, jitterPoints: 0, jitterNearSurge: 0, hitRatio: 0, evidence: [] },
+    lossRecovery: { available: false, eventCount: 0, countsByType: {}, episodes: [], burstCount: 0, episodesWithBurst: 0, burstsWithRecovery: 0, hitRatio: 0 },
     findings: [],
     causeRanking: [],
     highLatencyBursts: [],
@@ -217,53 +231,57 @@ function subtractEventCount(allCount, sessionCount) {
   return out;
 }
 
-export async function runReportFromCli(argv = process.argv.slice(2)) {
-  let args;
-  try {
-    args = parseReportArgs(argv);
-  } catch (err) {
-    if (err instanceof ZodError) {
-      console.error('[report] 参数错误:', err.issues.map((x) => x.message).join('; '));
-      printReportHelp();
-      process.exit(1);
-      return;
-    }
-    throw err;
-  }
-
-  let logDir;
-  try {
-    logDir = resolveLogDir(args, path.resolve('./logs'));
-  } catch (err) {
-    console.error('[report]', err.message);
-    process.exit(1);
-    return;
+function buildLogcatTimeBase(captureMeta, captureStartTs) {
+  const clock = captureMeta && captureMeta.deviceClock;
+  const deviceEpochMs = clock ? (clock.deviceEpochMs ?? clock.epochMs) : null;
+  const clockSync = captureMeta && captureMeta.clockSync;
+  const samples = clockSync && clockSync.samples && clockSync.samples.length
+    ? clockSync.samples
+    : (clock ? [{ hostEpochMs: clock.hostEpochMs, deviceEpochMs, roundTripMs: clock.roundTripMs }] : []);
+  const toHostEpochMs = createClockCorrector(samples);
+  const correction = toHostEpochMs ? summarizeClockSamples(samples) : null;
+  const utcOffsetMinutes = clock ? parseUtcOffsetMinutes(clock.utcOffset) : null;
+  if (Number.isFinite(deviceEpochMs) && utcOffsetMinutes != null) {
+    const context = buildThreadtimeContext({ referenceEpochMs: deviceEpochMs, utcOffsetMinutes, toHostEpochMs });
+    return { source: 'device_clock', timezone: clock.timezone || '', utcOffset: clock.utcOffset, year: context.year, correction, context };
   }
+  const context = buildThreadtimeContext({ referenceEpochMs: captureStartTs ? captureStartTs.getTime() : Date.now(), toHostEpochMs });
+  return { source: captureStartTs ? 'capture_start' : 'analysis_host', timezone: '', utcOffset: '', year: context.year, correction, context };
+}
 
-  const files = buildReportFiles(logDir);
+async function analyzeLogDir(logDir, args) {
+  const captureMeta = readJsonIfExists(path.join(logDir, 'capture_meta.json'));
+  const files = buildReportFiles(logDir, captureMeta && captureMeta.dumpsysTasks);
   if (!fileExists(files.logcat)) {
-    console.error(`[report] 缺少必需文件: ${files.logcat}`);
-    process.exit(1);
-    return;
+    throw new Error(`缺少必需文件: ${files.logcat}`);
   }
 
-  const captureMeta = readJsonIfExists(files.captureMeta);
   const captureStartTs = parseIsoDateSafe(captureMeta && captureMeta.startedAtIso);
+  const logcatTimeBase = buildLogcatTimeBase(captureMeta, captureStartTs);
   const pingIntervalSec = Number((captureMeta && captureMeta.hostPing && captureMeta.hostPing.intervalSec) || 0.2);
   const hostSidePingIntervalSec = Number((captureMeta && captureMeta.hostSidePing && captureMeta.hostSidePing.intervalSec) || 0.2);
-  const streamDetection = await detectStreamingPhases(files.logcat, new Date().getFullYear(), {
-    mode: args.streamWindowMode
+  const appProfileChoice = await resolveAppProfile(files.logcat, loadAppProfiles(args.appProfiles), args.appProfile);
+  const { profile: appProfile } = appProfileChoice;
+  const appProfileInfo = {
+    name: appProfile.name,
+    label: appProfile.label,
+    experimental: appProfile.experimental,
+    packages: appProfile.packages,
+    mode: appProfileChoice.mode,
+    hits: appProfileChoice.hits
+  };
+  const streamDetection = await detectStreamingPhases(files.logcat, logcatTimeBase.context, {
+    mode: args.streamWindowMode,
+    appProfile
   });
 
   const store = createEventStore();
-  const logcatStats = await parseLogcatFile(files.logcat, store, new Date().getFullYear());
+  const logcatStats = await parseLogcatFile(files.logcat, store, logcatTimeBase.context);
 
   const startTs = parseIsoDateSafe(captureMeta && captureMeta.startedAtIso) || logcatStats.firstTs;
   const endTs = parseIsoDateSafe(captureMeta && captureMeta.endedAtIso) || logcatStats.lastTs || startTs;
   if (!startTs || !endTs) {
-    console.error('[report] 无法确定时间范围，日志可能为空。');
-    process.exit(1);
-    return;
+    throw new Error('无法确定时间范围，日志可能为空。');
   }
 
   streamDetection.effectiveWindows = buildEffectiveWindows(streamDetection.validWindows || [], {
@@ -274,14 +292,22 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
     maxTs: endTs
   });
 
-  const appFocus = await parseAppFocusLog(files.logcat, new Date().getFullYear(), {
+  const appFocus = await parseAppFocusLog(files.logcat, logcatTimeBase.context, {
     streamDetection,
-    noisePolicy: args.noisePolicy
+    noisePolicy: args.noisePolicy,
+    appProfile
   });
+  const coverageHoles = [
+    ...await parseCoverageHoles(files.logcat, { target: 'logcat', endTs }),
+    ...await parseCoverageHoles(files.pingHost, { target: 'ping_host', endTs })
+  ].sort((a, b) => a.startTs.getTime() - b.startTs.getTime());
+  const logcatCoverageHoles = mergeCoverageHoles(coverageHoles.filter((h) => h.target === 'logcat'));
+  const pingCoverageHoles = mergeCoverageHoles(coverageHoles.filter((h) => h.target === 'ping_host'));
   const pingFocus = await parsePingHostLog(files.pingHost, {
     captureStartTs,
     intervalSec: pingIntervalSec,
-    streamDetection
+    streamDetection,
+    coverageHoles: pingCoverageHoles
   });
   const hostSidePingFocus = await parsePingHostLog(files.pingHostSide, {
     captureStartTs,
@@ -292,17 +318,93 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
   await addDeviceIdleTransitions(files.deviceidle, store);
   await addPowerTransitions(files.power, store);
   await addConnectivityTransitions(files.conn, store);
-  await addWifiTransitions(files.wifi, store);
+  const wifiLinkSamples = await addWifiTransitions(files.wifi, store);
   await addAlarmTransitions(files.alarm, store);
   await addJobsTransitions(files.jobs, store);
+  const thermalSamples = await addThermalTransitions(files.thermal, store);
+  const batterySamples = await addBatteryTransitions(files.battery, store);
   store.sortAll();
 
   const missingOptional = [];
-  ['wifi', 'conn', 'deviceidle', 'power', 'alarm', 'jobs'].forEach((k) => {
-    if (!fs.existsSync(files[k])) missingOptional.push(path.basename(files[k]));
+  Object.values(files.dumpsys).forEach((p) => {
+    if (!fs.existsSync(p)) missingOptional.push(path.basename(p));
   });
 
+  const bookmarks = await parseBookmarksFile(files.bookmarks);
+  if (bookmarks.length) {
+    attachBookmarkSnapshots(bookmarks, {
+      wifi: await parseSnapshotFile(files.wifi),
+      connectivity: await parseSnapshotFile(files.conn)
+    });
+  }
+  fs.writeFileSync(files.bookmarksCsv, toCsv(bookmarks.map((b) => ({
+    id: b.id,
+    kind: b.kind,
+    ts: formatTs(b.ts),
+    trigger: formatBookmarkTrigger(b.trigger),
+    note: b.note,
+    snapshots: b.snapshots
+      .map((x) => `${x.task}@${x.offsetMs >= 0 ? '+' : ''}${(x.offsetMs / 1000).toFixed(1)}s ${x.status}${x.summary ? ` ${x.summary}` : ''}`)
+      .join('; ')
+  })), ['id', 'kind', 'ts', 'trigger', 'note', 'snapshots']));
+
+  fs.writeFileSync(files.wifiLinkCsv, toCsv(wifiLinkSamples.map((x) => ({
+    ts: formatTs(x.ts),
+    bssid: x.bssid || '',
+    ssid: x.ssid || '',
+    rssi_dbm: x.rssi == null ? '' : x.rssi,
+    link_speed_mbps: x.linkSpeedMbps == null ? '' : x.linkSpeedMbps,
+    tx_link_speed_mbps: x.txLinkSpeedMbps == null ? '' : x.txLinkSpeedMbps,
+    rx_link_speed_mbps: x.rxLinkSpeedMbps == null ? '' : x.rxLinkSpeedMbps,
+    frequency_mhz: x.frequencyMhz == null ? '' : x.frequencyMhz,
+    channel: x.channel == null ? '' : x.channel,
+    band: x.band || ''
+  })), ['ts', 'bssid', 'ssid', 'rssi_dbm', 'link_speed_mbps', 'tx_link_speed_mbps', 'rx_link_speed_mbps', 'frequency_mhz', 'channel', 'band']));
+
+  const throughput = await parseNetDevThroughput(files.netdev);
+  fs.writeFileSync(files.throughputCsv, toCsv(throughput.samples.map((x) => ({
+    ts: formatTs(x.ts),
+    iface: throughput.iface,
+    interval_ms: x.intervalMs,
+    rx_bytes: x.rxBytes,
+    tx_bytes: x.txBytes,
+    rx_kbps: x.rxKbps.toFixed(1),
+    tx_kbps: x.txKbps.toFixed(1),
+    rx_pps: x.rxPps.toFixed(1),
+    tx_pps: x.txPps.toFixed(1)
+  })), ['ts', 'iface', 'interval_ms', 'rx_bytes', 'tx_bytes', 'rx_kbps', 'tx_kbps', 'rx_pps', 'tx_pps']));
+
+  const cpuSamples = await parseCpuTopFile(files.cpu);
+  fs.writeFileSync(files.cpuCsv, toCsv(cpuSamples.map((x) => ({
+    ts: formatTs(x.ts),
+    cores: x.cores,
+    cpu_busy_pct: x.busyPct.toFixed(1),
+    user_pct: x.userPct == null ? '' : x.userPct.toFixed(1),
+    sys_pct: x.sysPct == null ? '' : x.sysPct.toFixed(1),
+    iow_pct: x.iowPct == null ? '' : x.iowPct.toFixed(1),
+    irq_pct: x.irqPct == null ? '' : x.irqPct.toFixed(1),
+    top_processes: x.processes.slice(0, 5).map((p) => `${p.name}:${p.cpuPct}`).join('; ')
+  })), ['ts', 'cores', 'cpu_busy_pct', 'user_pct', 'sys_pct', 'iow_pct', 'irq_pct', 'top_processes']));
+
+  const coverageSummary = summarizeCoverageHoles(coverageHoles);
+  fs.writeFileSync(files.coverageHolesCsv, toCsv(coverageHoles.map((h) => ({
+    target: h.target,
+    kind: h.kind,
+    name: h.name,
+    start_ts: formatTs(h.startTs),
+    end_ts: formatTs(h.endTs),
+    duration_ms: h.durationMs,
+    closed: h.closed ? 'true' : 'false',
+    detail: h.detail
+  })), ['target', 'kind', 'name', 'start_ts', 'end_ts', 'duration_ms', 'closed', 'detail']));
+
   const eventsAll = store.events.slice();
+  const bookmarkContexts = buildBookmarkContexts(bookmarks, {
+    pingFocus,
+    hostSidePingFocus,
+    appFocus,
+    events: eventsAll
+  });
   const eventsSession = filterEventsByWindows(eventsAll, streamDetection.effectiveWindows);
   const eventsByTypeAll = store.eventsByType;
   const eventsByTypeSession = buildEventsByType(eventsSession);
@@ -312,7 +414,8 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
     startTs,
     endTs,
     events: eventsAll,
-    wakelockMinuteHits: logcatStats.wakelockMinuteHits
+    wakelockMinuteHits: logcatStats.wakelockMinuteHits,
+    coverageHoles: logcatCoverageHoles
   });
   fs.writeFileSync(files.timelineCsv, timelineAll.csv);
 
@@ -320,13 +423,14 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
     startTs,
     endTs,
     events: eventsSession,
-    wakelockMinuteHits: wakelockMinuteHitsSession
+    wakelockMinuteHits: wakelockMinuteHitsSession,
+    coverageHoles: logcatCoverageHoles
   });
   fs.writeFileSync(files.timelineSessionCsv, timelineSession.csv);
 
-  const intervalsAll = buildIntervals(eventsByTypeAll);
+  const intervalsAll = buildIntervals(eventsByTypeAll, { coverageHoles: logcatCoverageHoles });
   fs.writeFileSync(files.intervalsCsv, intervalsAll.csv);
-  const intervalsSession = buildIntervals(eventsByTypeSession);
+  const intervalsSession = buildIntervals(eventsByTypeSession, { coverageHoles: logcatCoverageHoles });
   fs.writeFileSync(files.intervalsSessionCsv, intervalsSession.csv);
 
   const appLogContent = appFocus.extractedLines.length ? `${appFocus.extractedLines.join('\n')}\n` : '';
@@ -364,6 +468,8 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
     host_latency_min_ms: x.hostLatencyMinMs == null ? '' : x.hostLatencyMinMs,
     host_latency_max_ms: x.hostLatencyMaxMs == null ? '' : x.hostLatencyMaxMs,
     host_latency_avg_ms: x.hostLatencyAvgMs == null ? '' : x.hostLatencyAvgMs,
+    encode_ms: x.encodeMs == null ? '' : x.encodeMs,
+    bitrate_kbps: x.bitrateKbps == null ? '' : x.bitrateKbps,
     phase: x.phase || '',
     in_session: x.inSession ? 'true' : 'false',
     confidence: x.confidence == null ? '' : x.confidence.toFixed(2),
@@ -372,15 +478,17 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
   fs.writeFileSync(files.internalStatsCsv, toCsv(internalStatsRows, [
     'ts', 'decoder', 'hdr', 'fps_total', 'fps_rx', 'fps_rd', 'loss_frames', 'loss_total', 'loss_pct', 'loss_events',
     'rtt_ms', 'rtt_var_ms', 'decode_ms', 'render_ms', 'total_ms',
-    'host_latency_min_ms', 'host_latency_max_ms', 'host_latency_avg_ms',
+    'host_latency_min_ms', 'host_latency_max_ms', 'host_latency_avg_ms', 'encode_ms', 'bitrate_kbps',
     'phase', 'in_session', 'confidence', 'line'
   ]));
 
-  const streamWindowRows = buildStreamWindowRows(streamDetection);
+  const sessionConfigs = buildSessionCodecConfigs(streamDetection.windows, appFocus);
+  const streamWindowRows = buildStreamWindowRows(streamDetection, sessionConfigs);
   fs.writeFileSync(files.streamWindowsCsv, toCsv(streamWindowRows, [
     'id', 'start_ts', 'end_ts', 'duration_ms', 'valid', 'confidence', 'score',
     'has_strong_start', 'has_start_marker', 'has_end_marker',
-    'start_marker_count', 'end_marker_count', 'activity_count'
+    'start_marker_count', 'end_marker_count', 'activity_count',
+    'codec', 'mime', 'width', 'height', 'fps', 'bitrate_kbps', 'decoder', 'low_latency', 'low_latency_options', 'hdr'
   ]));
   const effectiveWindowRows = buildEffectiveWindowRows(streamDetection.effectiveWindows);
   fs.writeFileSync(files.streamWindowsEffectiveCsv, toCsv(effectiveWindowRows, [
@@ -452,7 +560,8 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
     ...appFocus,
     metricSamples: [],
     internalStatsSamples: [],
-    anomalyEvents: []
+    anomalyEvents: [],
+    recoveryEvents: []
   });
   const pingFocusMain = mainAnalysisAvailable ? pingFocusSession : (useDegradedFallback ? pingFocus : {
     ...pingFocus,
@@ -484,13 +593,127 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
     })
     : buildEmptyAppAnalysis();
   const sampleAlignWindowMs = Math.max(120, Math.round(Math.max(pingIntervalSec, hostSidePingIntervalSec) * 1000 * 1.5));
+  const packagesByUid = await parseUidPackages(files.packages);
+  const attributionWindows = mainAnalysisAvailable ? streamDetection.effectiveWindows : [{ startTs, endTs }];
+  const uidTrafficAnalysis = buildUidTrafficAnalysis(
+    await parseUidTraffic(files.uidnet),
+    packagesByUid,
+    attributionWindows,
+    { streamPackageRegex: appProfile.packageRegex }
+  );
+  fs.writeFileSync(files.uidTrafficCsv, toCsv((uidTrafficAnalysis.uidRows || []).map((x) => ({
+    uid: x.uid,
+    label: x.label,
+    stream_app: x.isStreamApp ? 'true' : 'false',
+    rx_bytes: Math.round(x.rxBytes),
+    tx_bytes: Math.round(x.txBytes),
+    total_bytes: Math.round(x.totalBytes)
+  })), ['uid', 'label', 'stream_app', 'rx_bytes', 'tx_bytes', 'total_bytes']));
+  const processSnapshots = await parseProcessSnapshots(files.processes);
+  const timelineMain = mainAnalysisAvailable ? timelineSession : timelineAll;
+  const eventAttribution = buildEventAttribution(logcatStats.clues, {
+    resolvePid: createPidResolver(processSnapshots),
+    packagesByUid,
+    windows: attributionWindows,
+    wakelockSpikeMinutes: new Set([...timelineMain.minuteCounters.entries()].filter(([, row]) => row.WAKELOCK_SPIKE).map(([minute]) => minute)),
+    processSnapshotCount: processSnapshots.length
+  });
+  fs.writeFileSync(files.eventAttributionCsv, toCsv(eventAttribution.rows.map((x) => ({
+    ts: formatTs(x.ts),
+    kind: x.kind,
+    package: x.packageName || '',
+    via: x.via || '',
+    pid: x.pid == null ? '' : x.pid,
+    uid: x.uid == null ? '' : x.uid,
+    line: x.line
+  })), ['ts', 'kind', 'package', 'via', 'pid', 'uid', 'line']));
   const pingAnalysis = (mainAnalysisAvailable || useDegradedFallback)
     ? buildPingAppAnalysis(pingFocusMain, appFocusMain, eventsByTypeMain, {
       windowSec: 1,
       allowedPhases: analysisPhasesMain,
-      degraded: degradedAnalysis
+      degraded: degradedAnalysis,
+      events: eventsMain,
+      throughputSamples: throughput.samples,
+      uidTraffic: uidTrafficAnalysis,
+      thermalSamples,
+      cpuSamples,
+      streamPackageRegex: appProfile.packageRegex
     })
     : buildEmptyPingAnalysis();
+  fs.writeFileSync(files.lossRecoveryCsv, toCsv(pingAnalysis.lossRecovery.episodes.map((x) => ({
+    episode: x.index,
+    start_ts: formatTs(x.startTs),
+    end_ts: formatTs(x.endTs),
+    idr_request: x.counts.idr_request,
+    rfi: x.counts.rfi,
+    fec_unrecoverable: x.counts.fec_unrecoverable,
+    network_frame_drop: x.counts.network_frame_drop,
+    ping_burst_start_ts: x.pingBurstStartTs ? formatTs(x.pingBurstStartTs) : '',
+    ping_burst_lead_ms: x.pingBurstLeadMs == null ? '' : x.pingBurstLeadMs,
+    ping_burst_max_ms: x.pingBurstMaxMs == null ? '' : x.pingBurstMaxMs,
+    ping_failures: x.pingFailureCount
+  })), ['episode', 'start_ts', 'end_ts', 'idr_request', 'rfi', 'fec_unrecoverable', 'network_frame_drop', 'ping_burst_start_ts', 'ping_burst_lead_ms', 'ping_burst_max_ms', 'ping_failures']));
+  const powerSourceAnalysis = buildPowerSourceAnalysis(batterySamples, pingFocusMain);
+  const wifiLinkAnalysis = buildWifiLinkAnalysis(wifiLinkSamples, pingFocusMain, appFocusMain);
+  fs.writeFileSync(files.sessionAttemptsCsv, toCsv(appFocus.sessionAttempts.map((a) => ({
+    attempt: a.index,
+    start_ts: a.startTs ? formatTs(a.startTs) : '',
+    end_ts: a.endTs ? formatTs(a.endTs) : '',
+    last_activity_ts: a.lastActivityTs ? formatTs(a.lastActivityTs) : '',
+    duration_sec: a.durationMs == null ? '' : (a.durationMs / 1000).toFixed(1),
+    reached_stream: a.reachedStream ? 'true' : 'false',
+    outcome: a.outcome,
+    category: a.category,
+    stage: a.stage,
+    code: a.codeText,
+    end_line: (a.endLine || '').slice(0, 320)
+  })), ['attempt', 'start_ts', 'end_ts', 'last_activity_ts', 'duration_sec', 'reached_stream', 'outcome', 'category', 'stage', 'code', 'end_line']));
+  const codecComparison = buildCodecComparison(sessionConfigs, streamDetection.windows, pingFocus, appFocus);
+  const sessionFailures = buildSessionFailureContexts(appFocus.sessionAttempts, {
+    pingFocus,
+    hostSidePingFocus,
+    events: eventsAll,
+    wifiLinkChanges: wifiLinkAnalysis.changes
+  });
+  const bssidSegments = buildBssidSegments(
+    wifiLinkSamples,
+    (eventsByTypeAll.get('ROAM') || []).map((d) => d.getTime()).sort((a, b) => a - b),
+    pingFocusMain
+  );
+  fs.writeFileSync(files.bssidSegmentsCsv, toCsv(bssidSegments.segments.map((x) => ({
+    segment: x.index,
+    bssid: x.bssid,
+    boundary: x.boundary,
+    start_ts: formatTs(x.startTs),
+    end_ts: formatTs(x.endTs),
+    duration_sec: (x.durationMs / 1000).toFixed(1),
+    band: x.bands.join('/'),
+    rssi_p50: x.rssiP50 == null ? '' : x.rssiP50,
+    ping_samples: x.pingSamples,
+    loss_pct: x.lossPct == null ? '' : x.lossPct.toFixed(2),
+    p50_ms: x.p50Ms == null ? '' : x.p50Ms.toFixed(2),
+    p95_ms: x.p95Ms == null ? '' : x.p95Ms.toFixed(2),
+    jitter_events: x.jitterEvents,
+    high_latency_bursts: x.highLatencyBursts
+  })), [
+    'segment', 'bssid', 'boundary', 'start_ts', 'end_ts', 'duration_sec', 'band', 'rssi_p50',
+    'ping_samples', 'loss_pct', 'p50_ms', 'p95_ms', 'jitter_events', 'high_latency_bursts'
+  ]));
+  const frameAnalysis = buildFrameAnalysis(
+    await parseFrameStatsFile(files.frames),
+    appFocusMain,
+    pingFocusMain,
+    mainAnalysisAvailable ? streamDetection.effectiveWindows : [{ startTs, endTs }],
+    { allowedPhases: analysisPhasesMain }
+  );
+  fs.writeFileSync(files.framesCsv, toCsv(frameAnalysis.frames.map((x) => ({
+    ts: formatTs(x.ts),
+    source: x.source,
+    frame_interval_ms: x.intervalMs == null ? '' : x.intervalMs.toFixed(2),
+    present_delay_ms: x.presentDelayMs == null ? '' : x.presentDelayMs.toFixed(2),
+    frame_ms: x.frameMs == null ? '' : x.frameMs.toFixed(2),
+    jank_kind: x.jankKind
+  })), ['ts', 'source', 'frame_interval_ms', 'present_delay_ms', 'frame_ms', 'jank_kind']));
   const bidirectionalPingAnalysis = (mainAnalysisAvailable || useDegradedFallback)
     ? buildBidirectionalPingAnalysis(pingFocusMain, hostSidePingFocusMain, {
       windowSec: 1,
@@ -526,7 +749,7 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
   const topTypeSet = new Set(top3.map((x) => x.type));
   const topEventsForContext = eventsMain.filter((e) => topTypeSet.has(e.type));
   const contexts = topEventsForContext.length
-    ? await buildContexts(files.logcat, topEventsForContext, new Date().getFullYear())
+    ? await buildContexts(files.logcat, topEventsForContext, logcatTimeBase.context)
     : [];
 
   const reportMarkdown = buildMarkdownReport({
@@ -555,6 +778,7 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
     appFocusAll: appFocus,
     appAnalysis,
     streamDetection,
+    appProfile: appProfileInfo,
     analysisPhases: analysisPhasesMain,
     degradedAnalysis,
     pingFocus: pingFocusMain,
@@ -563,6 +787,12 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
     hostSidePingFocusAll: hostSidePingFocus,
     pingAnalysis,
     bidirectionalPingAnalysis,
+    powerSourceAnalysis,
+    wifiLinkAnalysis,
+    bssidSegments,
+    uidTrafficAnalysis,
+    eventAttribution,
+    frameAnalysis,
     mainAnalysisAvailable,
     noValidSessionReason,
     noValidSessionPolicy: args.noValidSessionPolicy,
@@ -579,6 +809,7 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
       internalStatsCsv: files.internalStatsCsv,
       streamWindowsCsv: files.streamWindowsCsv,
       streamWindowsEffectiveCsv: files.streamWindowsEffectiveCsv,
+      sessionAttemptsCsv: files.sessionAttemptsCsv,
       pingHostLog: files.pingHost,
       pingLatencyCsv: files.pingLatencyCsv,
       pingLatencySessionCsv: files.pingLatencySessionCsv,
@@ -588,9 +819,28 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
       timelineCsv: files.timelineCsv,
       timelineSessionCsv: files.timelineSessionCsv,
       intervalsCsv: files.intervalsCsv,
-      intervalsSessionCsv: files.intervalsSessionCsv
+      intervalsSessionCsv: files.intervalsSessionCsv,
+      coverageHolesCsv: files.coverageHolesCsv,
+      bookmarksCsv: files.bookmarksCsv,
+      wifiLinkCsv: files.wifiLinkCsv,
+      bssidSegmentsCsv: files.bssidSegmentsCsv,
+      throughputCsv: files.throughputCsv,
+      lossRecoveryCsv: files.lossRecoveryCsv,
+      uidTrafficCsv: files.uidTrafficCsv,
+      eventAttributionCsv: files.eventAttributionCsv,
+      cpuCsv: files.cpuCsv,
+      framesCsv: files.framesCsv
     },
     missingOptional,
+    unparsedDumpsysTasks: files.unparsedDumpsys,
+    coverageHoles,
+    coverageSummary,
+    logcatTimeBase,
+    bookmarks,
+    bookmarkContexts,
+    sessionFailures,
+    sessionConfigs,
+    codecComparison,
     wakelockStats: {
       all: timelineAll.wakelockStats,
       session: timelineSession.wakelockStats
@@ -660,6 +910,7 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
     alignment,
     streaming: {
       mode: args.streamWindowMode,
+      appProfile: appProfileInfo,
       detected: streamDetection.detected,
       degraded: degradedAnalysis,
       reason: streamDetection.reason,
@@ -679,6 +930,16 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
         startTs: w.startTs.toISOString(),
         endTs: w.endTs.toISOString(),
         durationMs: Math.max(0, w.endTs.getTime() - w.startTs.getTime())
+      })),
+      sessionConfigs,
+      codecComparison,
+      sessionAttemptCount: appFocus.sessionAttempts.length,
+      sessionFailures: sessionFailures.map((a) => ({
+        ...a,
+        startTs: a.startTs ? a.startTs.toISOString() : null,
+        endTs: a.endTs.toISOString(),
+        lastActivityTs: a.lastActivityTs ? a.lastActivityTs.toISOString() : null,
+        wifiEvents: a.wifiEvents.map((e) => ({ ...e, ts: e.ts.toISOString() }))
       }))
     },
     appFocus: {
@@ -728,6 +989,29 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
     },
     pingAnalysis,
     bidirectionalPingAnalysis,
+    powerSourceAnalysis,
+    wifiLinkAnalysis: {
+      ...wifiLinkAnalysis,
+      changes: wifiLinkAnalysis.changes.map((c) => ({ ...c, ts: c.ts.toISOString() }))
+    },
+    uidTrafficAnalysis: {
+      ...uidTrafficAnalysis,
+      intervals: undefined,
+      busyIntervals: (uidTrafficAnalysis.busyIntervals || []).map((x) => ({ ...x, startTs: x.startTs.toISOString(), ts: x.ts.toISOString() }))
+    },
+    eventAttribution: {
+      ...eventAttribution,
+      rows: undefined
+    },
+    bssidSegments: {
+      ...bssidSegments,
+      segments: bssidSegments.segments.map((x) => ({ ...x, startTs: x.startTs.toISOString(), endTs: x.endTs.toISOString() }))
+    },
+    frameAnalysis: {
+      ...frameAnalysis,
+      frames: undefined,
+      topDisplayJank: frameAnalysis.topDisplayJank.map((x) => ({ ...x, ts: x.ts.toISOString() }))
+    },
     causeRanking: pingAnalysis.causeRanking || [],
     outputFiles: {
       appFocusLog: files.appFocusLog,
@@ -735,6 +1019,7 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
       internalStatsCsv: files.internalStatsCsv,
       streamWindowsCsv: files.streamWindowsCsv,
       streamWindowsEffectiveCsv: files.streamWindowsEffectiveCsv,
+      sessionAttemptsCsv: files.sessionAttemptsCsv,
       pingHostLog: files.pingHost,
       pingLatencyCsv: files.pingLatencyCsv,
       pingLatencySessionCsv: files.pingLatencySessionCsv,
@@ -744,9 +1029,44 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
       timelineCsv: files.timelineCsv,
       timelineSessionCsv: files.timelineSessionCsv,
       intervalsCsv: files.intervalsCsv,
-      intervalsSessionCsv: files.intervalsSessionCsv
+      intervalsSessionCsv: files.intervalsSessionCsv,
+      coverageHolesCsv: files.coverageHolesCsv,
+      bookmarksCsv: files.bookmarksCsv,
+      wifiLinkCsv: files.wifiLinkCsv,
+      bssidSegmentsCsv: files.bssidSegmentsCsv,
+      throughputCsv: files.throughputCsv,
+      lossRecoveryCsv: files.lossRecoveryCsv,
+      uidTrafficCsv: files.uidTrafficCsv,
+      eventAttributionCsv: files.eventAttributionCsv,
+      cpuCsv: files.cpuCsv,
+      framesCsv: files.framesCsv
+    },
+    missingOptional,
+    coverageSummary,
+    logcatTimeBase: {
+      source: logcatTimeBase.source,
+      timezone: logcatTimeBase.timezone,
+      utcOffset: logcatTimeBase.utcOffset,
+      year: logcatTimeBase.year,
+      clockCorrection: logcatTimeBase.correction
     },
-    missingOptional
+    bookmarks: bookmarks.map((b, idx) => ({
+      ...b,
+      ts: b.ts.toISOString(),
+      snapshots: b.snapshots.map((x) => ({ ...x, ts: x.ts.toISOString() })),
+      context: {
+        windowMs: bookmarkContexts[idx].windowMs,
+        devicePing: { ...bookmarkContexts[idx].devicePing, series: undefined },
+        hostSidePing: { ...bookmarkContexts[idx].hostSidePing, series: undefined },
+        metricCount: bookmarkContexts[idx].metrics.length,
+        eventCount: bookmarkContexts[idx].events.length
+      }
+    })),
+    coverageHoles: coverageHoles.map((h) => ({
+      ...h,
+      startTs: h.startTs.toISOString(),
+      endTs: h.endTs.toISOString()
+    }))
   };
   writeJson(files.analysisMeta, analysisMeta);
 
@@ -755,15 +1075,145 @@ export async function runReportFromCli(argv = process.argv.slice(2)) {
   console.log(`  - ${files.timelineSessionCsv}`);
   console.log(`  - ${files.intervalsCsv}`);
   console.log(`  - ${files.intervalsSessionCsv}`);
+  console.log(`  - ${files.coverageHolesCsv}`);
+  console.log(`  - ${files.bookmarksCsv}`);
+  console.log(`  - ${files.wifiLinkCsv}`);
+  console.log(`  - ${files.bssidSegmentsCsv}`);
+  console.log(`  - ${files.throughputCsv}`);
+  console.log(`  - ${files.lossRecoveryCsv}`);
+  console.log(`  - ${files.uidTrafficCsv}`);
+  console.log(`  - ${files.eventAttributionCsv}`);
+  console.log(`  - ${files.cpuCsv}`);
+  console.log(`  - ${files.framesCsv}`);
   console.log(`  - ${files.appFocusLog}`);
   console.log(`  - ${files.appMetricsCsv}`);
   console.log(`  - ${files.internalStatsCsv}`);
   console.log(`  - ${files.streamWindowsCsv}`);
   console.log(`  - ${files.streamWindowsEffectiveCsv}`);
+  console.log(`  - ${files.sessionAttemptsCsv}`);
   console.log(`  - ${files.pingLatencyCsv}`);
   console.log(`  - ${files.pingLatencySessionCsv}`);
   console.log(`  - ${files.pingLatencyHostSideCsv}`);
   console.log(`  - ${files.pingLatencyHostSideSessionCsv}`);
   console.log(`  - ${files.reportMd}`);
   console.log(`  - ${files.analysisMeta}`);
+
+  return {
+    logDir,
+    files,
+    captureMeta,
+    startTs,
+    endTs,
+    pingFocus,
+    hostSidePingFocus,
+    eventsAll,
+    timelineAll,
+    pingAnalysis
+  };
+}
+
+async function runComparisonReport(rootDir, groupMeta, args) {
+  const comparisonFiles = buildComparisonFiles(rootDir);
+  const deviceResults = [];
+  const failedMembers = [];
+  for (const member of (groupMeta.members || [])) {
+    const memberDir = path.resolve(rootDir, member.dir);
+    console.log(`[report] 设备 ${member.serial}: ${memberDir}`);
+    try {
+      const result = await analyzeLogDir(memberDir, args);
+      deviceResults.push({ serial: member.serial, ...result });
+    } catch (err) {
+      console.error(`[report] 设备 ${member.serial} 解析失败:`, err.stack || err);
+      failedMembers.push({ serial: member.serial, reason: String(err.message || err) });
+    }
+  }
+  if (!deviceResults.length) {
+    throw new Error('所有设备目录均解析失败，无法生成跨设备对比报告。');
+  }
+
+  const comparison = buildCrossDeviceComparison(deviceResults, {
+    alignWindowMs: 1000,
+    coverageWindowMs: 2000,
+    eventWindowMs: 5000
+  });
+  fs.writeFileSync(comparisonFiles.spikesCsv, toCsv(buildComparisonSpikeRows(comparison), [
+    'cluster_id', 'start_ts', 'end_ts', 'scope', 'hit_devices', 'covered_devices', 'max_latency_ms', 'device_detail'
+  ]));
+  const timelineRows = buildComparisonTimelineRows(comparison);
+  fs.writeFileSync(comparisonFiles.timelineCsv, toCsv(timelineRows, ['minute', 'serial', 'high_latency_bursts', ...TIMELINE_COLUMNS]));
+  fs.writeFileSync(comparisonFiles.reportMd, buildComparisonMarkdownReport({
+    rootDir,
+    groupMeta,
+    comparison,
+    failedMembers,
+    outputFiles: comparisonFiles
+  }));
+  writeJson(comparisonFiles.comparisonMeta, {
+    version: 1,
+    rootDir,
+    generatedAtIso: new Date().toISOString(),
+    devices: comparison.devices.map((d) => ({
+      serial: d.serial,
+      logDir: d.logDir,
+      pingSampleCount: d.pingSampleCount,
+      highLatencyBurstCount: d.highLatencyBurstCount,
+      soloSpikeCount: d.soloSpikeCount,
+      sharedSpikeCount: d.sharedSpikeCount,
+      topCause: d.causeRanking.length ? d.causeRanking[0].cause : null
+    })),
+    failedMembers,
+    summary: comparison.summary,
+    verdict: comparison.verdict,
+    clusters: comparison.clusters.map((c) => ({
+      id: c.id,
+      startTs: c.startTs.toISOString(),
+      endTs: c.endTs.toISOString(),
+      scope: c.scope,
+      hitSerials: c.hitSerials,
+      coveredSerials: c.coveredSerials,
+      maxLatencyMs: c.maxLatencyMs
+    }))
+  });
+
+  console.log('[report] 跨设备对比生成完成:');
+  console.log(`  - ${comparisonFiles.spikesCsv}`);
+  console.log(`  - ${comparisonFiles.timelineCsv}`);
+  console.log(`  - ${comparisonFiles.reportMd}`);
+  console.log(`  - ${comparisonFiles.comparisonMeta}`);
+}
+
+export async function runReportFromCli(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseReportArgs(argv);
+  } catch (err) {
+    if (err instanceof ZodError) {
+      console.error('[report] 参数错误:', err.issues.map((x) => x.message).join('; '));
+      printReportHelp();
+      process.exit(1);
+      return;
+    }
+    throw err;
+  }
+
+  let logDir;
+  try {
+    logDir = resolveLogDir(args, path.resolve('./logs'));
+  } catch (err) {
+    console.error('[report]', err.stack || err);
+    process.exit(1);
+    return;
+  }
+
+  const dirMeta = readJsonIfExists(path.join(logDir, 'capture_meta.json'));
+  try {
+    if (dirMeta && dirMeta.kind === 'multi_device') {
+      await runComparisonReport(logDir, dirMeta, args);
+    } else {
+      await analyzeLogDir(logDir, args);
+    }
+  } catch (err) {
+    console.error('[report]', err.stack || err);
+    process.exit(1);
+  }
 }
@@ -1,12 +1,25 @@
 import fs from 'node:fs';
 import readline from 'node:readline';
-import { parseThreadtimeDate, formatMinuteKey } from '../shared/time.js';
-import { classifyLogcatLine, getLineFilterReason } from './classifier.js';
+import { buildThreadtimeContext, parseThreadtimeDate, formatMinuteKey } from '../shared/time.js';
+import { classifyLogcatLine, extractSupplicantFrequency, getLineFilterReason } from './classifier.js';
+import { classifyFrequencyChange } from './wifi-band.js';
 
 const CLUE_REGEX = /(wakelock|alarm|jobscheduler|job\b|sync|uid[:= ]\d+|pid[:= ]\d+)/i;
 const WAKELOCK_REGEX = /wakelock/i;
+const THREADTIME_PID_REGEX = /^\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2}\.\d{3}\s+(\d+)\s+\d+\s/;
+const CLUE_PATTERNS = [
+  { kind: 'wakelock', regex: WAKELOCK_REGEX },
+  { kind: 'alarm', regex: /alarm/i },
+  { kind: 'job', regex: /(jobscheduler|job\b)/i },
+  { kind: 'sync', regex: /sync/i }
+];
 
-export async function parseLogcatFile(logcatPath, store, yearHint = new Date().getFullYear()) {
+function classifyClue(line) {
+  const hit = CLUE_PATTERNS.find((x) => x.regex.test(line));
+  return hit ? hit.kind : 'other';
+}
+
+export async function parseLogcatFile(logcatPath, store, timeContext = buildThreadtimeContext()) {
   const logcatStats = {
     lineCount: 0,
     firstTs: null,
@@ -17,11 +30,12 @@ export async function parseLogcatFile(logcatPath, store, yearHint = new Date().g
     filteredByReason: {}
   };
 
+  let lastSupplicantFreqMhz = null;
   const input = fs.createReadStream(logcatPath);
   const rl = readline.createInterface({ input, crlfDelay: Infinity });
   for await (const line of rl) {
     logcatStats.lineCount += 1;
-    const ts = parseThreadtimeDate(line, yearHint);
+    const ts = parseThreadtimeDate(line, timeContext);
     if (!ts) continue;
     if (!logcatStats.firstTs || ts < logcatStats.firstTs) logcatStats.firstTs = ts;
     if (!logcatStats.lastTs || ts > logcatStats.lastTs) logcatStats.lastTs = ts;
@@ -35,14 +49,23 @@ export async function parseLogcatFile(logcatPath, store, yearHint = new Date().g
 
     const types = classifyLogcatLine(line);
     for (const t of types) store.addEvent(t, ts, 'logcat', line);
+    const freqMhz = extractSupplicantFrequency(line);
+    if (freqMhz != null) {
+      const change = classifyFrequencyChange(lastSupplicantFreqMhz, freqMhz);
+      if (change) store.addEvent(change.type, ts, 'logcat_supplicant', `[supplicant ${change.detail}] ${line}`, 3000);
+      lastSupplicantFreqMhz = freqMhz;
+    }
 
     const minute = formatMinuteKey(ts);
     if (WAKELOCK_REGEX.test(line)) {
       logcatStats.wakelockMinuteHits.set(minute, (logcatStats.wakelockMinuteHits.get(minute) || 0) + 1);
     }
     if (CLUE_REGEX.test(line)) {
+      const pidMatch = line.match(THREADTIME_PID_REGEX);
       logcatStats.clues.push({
         ts,
+        kind: classifyClue(line),
+        pid: pidMatch ? Number(pidMatch[1]) : null,
         line: line.slice(0, 320)
       });
     }
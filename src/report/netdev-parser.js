@@ -0,0 +1,50 @@
+import { parseIsoDateSafe } from '../shared/time.js';
+import { parseSnapshotFile } from './snapshot-parser.js';
+
+function parseIfaceCounters(bodyLines, iface) {
+  const prefix = `${iface}:`;
+  const line = bodyLines.find((x) => x.trim().startsWith(prefix));
+  if (!line) return null;
+  const fields = line.trim().slice(prefix.length).trim().split(/\s+/).map(Number);
+  if (fields.length < 10 || fields.some((x) => !Number.isFinite(x))) return null;
+  return {
+    rxBytes: fields[0],
+    rxPackets: fields[1],
+    txBytes: fields[8],
+    txPackets: fields[9]
+  };
+}
+
+export async function parseNetDevThroughput(netDevFile, { iface = 'wlan0' } = {}) {
+  const snaps = await parseSnapshotFile(netDevFile);
+  const samples = [];
+  let prev = null;
+  for (const s of snaps) {
+    if (s.status !== 'OK') continue;
+    const ts = parseIsoDateSafe(s.hostTs);
+    if (!ts) continue;
+    const cur = parseIfaceCounters(s.bodyLines, iface);
+    if (!cur) continue;
+    cur.ts = ts;
+    if (prev) {
+      const intervalMs = ts.getTime() - prev.ts.getTime();
+      const rxDelta = cur.rxBytes - prev.rxBytes;
+      const txDelta = cur.txBytes - prev.txBytes;
+      if (intervalMs > 0 && rxDelta >= 0 && txDelta >= 0) {
+        samples.push({
+          ts,
+          startTs: prev.ts,
+          intervalMs,
+          rxBytes: rxDelta,
+          txBytes: txDelta,
+          rxKbps: (rxDelta * 8) / intervalMs,
+          txKbps: (txDelta * 8) / intervalMs,
+          rxPps: ((cur.rxPackets - prev.rxPackets) * 1000) / intervalMs,
+          txPps: ((cur.txPackets - prev.txPackets) * 1000) / intervalMs
+        });
+      }
+    }
+    prev = cur;
+  }
+  return { iface, samples };
+}
@@ -1,7 +1,8 @@
 import fs from 'node:fs';
 import readline from 'node:readline';
-import { median } from '../shared/stats.js';
+import { median, jitterDeltaMs } from '../shared/stats.js';
 import { resolveStreamPhaseEx } from './stream-phase-detector.js';
+import { isRangeInCoverageHole } from './coverage-parser.js';
 
 const LOG_PREFIX_REGEX = /^\[ts_local=([^\]]+)\]\[epoch_ms=(\d+)\](?:\[source=([^\]]+)\])?\s*(.*)$/;
 const BRACKET_TS_REGEX = /^\[(\d+(?:\.\d+)?)\]\s+/;
@@ -227,7 +228,8 @@ function buildHighLatencyBursts(highSamples, maxGapMs = 1200) {
 export async function parsePingHostLog(filePath, {
   captureStartTs = null,
   intervalSec = 0.2,
-  streamDetection = null
+  streamDetection = null,
+  coverageHoles = []
 } = {}) {
   const hostSideMatchWindowMs = Math.max(1000, Math.round(Number(intervalSec || 0.2) * 1000 * 8));
   const result = {
@@ -237,6 +239,7 @@ export async function parsePingHostLog(filePath, {
     successCount: 0,
     failureCount: 0,
     skippedNoTsCount: 0,
+    skippedCoverageHoleCount: 0,
     firstTs: null,
     lastTs: null,
     tsSourceCounts: {},
@@ -283,6 +286,10 @@ export async function parsePingHostLog(filePath, {
       result.skippedNoTsCount += 1;
       return;
     }
+    if (isRangeInCoverageHole(coverageHoles, ts.getTime(), ts.getTime())) {
+      result.skippedCoverageHoleCount += 1;
+      return;
+    }
 
     if (success) result.successCount += 1;
     else result.failureCount += 1;
@@ -492,7 +499,8 @@ export async function parsePingHostLog(filePath, {
     for (let i = 1; i < successSamples.length; i += 1) {
       const prev = successSamples[i - 1];
       const cur = successSamples[i];
-      const deltaMs = Math.abs(cur.latencyMs - prev.latencyMs);
+      if (isRangeInCoverageHole(coverageHoles, prev.ts.getTime(), cur.ts.getTime())) continue;
+      const deltaMs = jitterDeltaMs(prev.latencyMs, cur.latencyMs);
       if (deltaMs < 8) continue;
       result.jitterEvents.push({
         ts: cur.ts,
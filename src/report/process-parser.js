@@ -0,0 +1,61 @@
+import { parseIsoDateSafe } from '../shared/time.js';
+import { lowerBound } from '../shared/stats.js';
+import { parseSnapshotFile } from './snapshot-parser.js';
+
+const APP_USER_REGEX = /^u(\d+)_a(\d+)$/;
+const JAVA_PACKAGE_REGEX = /^[a-zA-Z][\w]*(\.[a-zA-Z_][\w]*)+$/;
+
+function userToUid(user) {
+  const m = String(user || '').match(APP_USER_REGEX);
+  return m ? Number(m[1]) * 100000 + 10000 + Number(m[2]) : null;
+}
+
+function parsePsSnapshot(bodyLines) {
+  const headerIdx = bodyLines.findIndex((x) => /^\s*USER\s+PID\b/.test(x));
+  if (headerIdx < 0) return null;
+  const header = bodyLines[headerIdx].trim().split(/\s+/);
+  const pidIdx = header.indexOf('PID');
+  const nameIdx = header.findIndex((x) => ['NAME', 'CMD', 'ARGS', 'COMMAND'].includes(x));
+  const byPid = new Map();
+  for (const line of bodyLines.slice(headerIdx + 1)) {
+    const tokens = line.trim().split(/\s+/);
+    if (nameIdx < 0 || tokens.length <= nameIdx || !/^\d+$/.test(tokens[pidIdx])) continue;
+    const name = tokens.slice(nameIdx).join(' ');
+    const processBase = name.split(':')[0];
+    byPid.set(Number(tokens[pidIdx]), {
+      name,
+      packageName: JAVA_PACKAGE_REGEX.test(processBase) ? processBase : null,
+      user: tokens[0],
+      uid: userToUid(tokens[0])
+    });
+  }
+  return byPid;
+}
+
+export async function parseProcessSnapshots(psFile) {
+  const snaps = await parseSnapshotFile(psFile);
+  const snapshots = [];
+  for (const s of snaps) {
+    if (s.status !== 'OK') continue;
+    const ts = parseIsoDateSafe(s.hostTs);
+    const byPid = ts ? parsePsSnapshot(s.bodyLines) : null;
+    if (!byPid || !byPid.size) continue;
+    snapshots.push({ ts, byPid });
+  }
+  return snapshots.sort((a, b) => a.ts.getTime() - b.ts.getTime());
+}
+
+export function createPidResolver(snapshots) {
+  const tsList = snapshots.map((x) => x.ts.getTime());
+  return function resolvePid(pid, ts) {
+    if (pid == null || !snapshots.length) return null;
+    const idx = lowerBound(tsList, ts.getTime());
+    for (let i = idx - 1; i >= 0; i -= 1) {
+      if (snapshots[i].byPid.has(pid)) return snapshots[i].byPid.get(pid);
+    }
+    for (let i = idx; i < snapshots.length; i += 1) {
+      if (snapshots[i].byPid.has(pid)) return snapshots[i].byPid.get(pid);
+    }
+    return null;
+  };
+}
@@ -1,5 +1,6 @@
 import { markdownTable } from 'markdown-table';
 import { formatTs } from '../shared/time.js';
+import { THROUGHPUT_SURGE_RATIO, THROUGHPUT_SURGE_MIN_DELTA_KBPS, CPU_SATURATION_PCT } from './constants.js';
 
 const INTERNAL_METRIC_KEYS = [
   'fps_total',
@@ -9,15 +10,68 @@ const INTERNAL_METRIC_KEYS = [
   'rtt_ms',
   'rtt_var_ms',
   'decode_ms',
+  'encode_ms',
   'render_ms',
-  'total_ms'
+  'total_ms',
+  'bitrate_kbps'
 ];
 
-const CAUSE_LABELS = {
+export const CAUSE_LABELS = {
   network_path_jitter: '网络路径抖动',
   rtt_variance_burst: 'RTT 方差突发',
   decode_render_overload: '解码/渲染过载',
-  system_transition_interference: '系统状态切换干扰'
+  system_transition_interference: '系统状态切换干扰',
+  wifi_band_switch: 'Wi-Fi 频段/信道切换',
+  background_app_traffic: '后台应用流量抢占'
+};
+
+const POWER_SOURCE_VERDICT_LABELS = {
+  battery_only: '抖动只出现在电池供电时段，充电时段无抖动',
+  charger_only: '抖动只出现在充电时段，电池供电时段无抖动',
+  both: '电池供电与充电时段都有抖动，与供电状态无明显关系',
+  always_battery: '全程电池供电，无法与充电时段对比',
+  always_charger: '全程充电，无法与电池供电时段对比',
+  no_jitter: '会话内无抖动点'
+};
+
+const WIFI_LINK_CHANGE_LABELS = {
+  rssi_drop: 'RSSI 下降',
+  link_speed_drop: '链路速率下降',
+  channel_change: '信道变化',
+  bssid_change: 'BSSID 切换'
+};
+
+const ATTEMPT_OUTCOME_LABELS = {
+  failed: '连接失败',
+  terminated: '异常中断',
+  ended: '正常结束',
+  no_end: '无结束标记'
+};
+
+const ATTEMPT_CATEGORY_LABELS = {
+  rtsp_handshake: 'RTSP 握手',
+  control_stream: '控制流',
+  video_stream: '视频流',
+  audio_stream: '音频流',
+  input_stream: '输入流',
+  connection_setup: '连接准备',
+  host_terminated: '主机端终止',
+  graceful: '正常结束',
+  unknown: '未知'
+};
+
+const CLUE_KIND_LABELS = {
+  wakelock: 'wakelock',
+  alarm: 'alarm',
+  job: 'job',
+  sync: 'sync',
+  other: '其他（含 uid/pid）'
+};
+
+const LOGCAT_TIME_BASE_LABELS = {
+  device_clock: '采集开始时记录的设备时钟与时区',
+  capture_start: '采集开始时间的年份 + 分析机本地时区（未记录设备时区）',
+  analysis_host: '分析机当前年份与本地时区（缺少 capture_meta.json）'
 };
 
 function toFixedOrNA(value, digits = 2) {
@@ -25,6 +79,27 @@ function toFixedOrNA(value, digits = 2) {
   return value.toFixed(digits);
 }
 
+function formatOffsetSec(offsetMs) {
+  return `${offsetMs >= 0 ? '+' : ''}${(offsetMs / 1000).toFixed(1)}`;
+}
+
+function nearestByOffset(items, limit) {
+  return items
+    .slice()
+    .sort((a, b) => Math.abs(a.offsetMs) - Math.abs(b.offsetMs))
+    .slice(0, limit)
+    .sort((a, b) => a.offsetMs - b.offsetMs);
+}
+
+function formatBookmarkPingLine(title, summary) {
+  if (!summary.sampleCount) return `- ${title}: 无样本`;
+  const series = summary.series
+    .slice(0, 60)
+    .map((x) => (x.latencyMs == null ? '×' : x.latencyMs.toFixed(0)))
+    .join(' ');
+  return `- ${title}: n=${summary.sampleCount}，失败 ${summary.failureCount}，min/p50/max=${toFixedOrNA(summary.minMs, 1)}/${toFixedOrNA(summary.p50Ms, 1)}/${toFixedOrNA(summary.maxMs, 1)}ms；序列(ms): ${series}`;
+}
+
 function topCounterEntries(counter, limit = 12) {
   return Object.entries(counter || {})
     .sort((a, b) => b[1] - a[1])
@@ -65,11 +140,11 @@ function buildPeakRows(samples, phaseSet) {
   return out.slice(0, 8);
 }
 
-function buildStreamWindowsTable(streamDetection) {
+function buildStreamWindowsTable(streamDetection, sessionConfigs = []) {
   const windows = (streamDetection && streamDetection.windows) || [];
   if (!windows.length) return null;
-  const table = [['窗口', '开始', '结束', '时长(s)', 'valid', 'score', '置信度', '标记计数']];
-  windows.forEach((w) => {
+  const table = [['窗口', '开始', '结束', '时长(s)', 'valid', 'score', '置信度', '标记计数', '编解码配置']];
+  windows.forEach((w, i) => {
     const durationSec = Math.max(0, (w.endTs.getTime() - w.startTs.getTime()) / 1000);
     table.push([
       `#${w.id}`,
@@ -79,7 +154,8 @@ function buildStreamWindowsTable(streamDetection) {
       w.valid ? 'yes' : 'no',
       toFixedOrNA(w.score),
       toFixedOrNA(w.confidence),
-      `start=${w.startMarkerCount}, end=${w.endMarkerCount}, act=${w.activityCount}`
+      `start=${w.startMarkerCount}, end=${w.endMarkerCount}, act=${w.activityCount}`,
+      sessionConfigs[i] ? sessionConfigs[i].label : 'unknown'
     ]);
   });
   return table;
@@ -141,7 +217,10 @@ function buildDumpsysCounterTable(eventCountAll, eventCountSession, eventCountOu
     ['ALARM_QUEUE_JUMP', String((eventCountAll && eventCountAll.ALARM_QUEUE_JUMP) || 0), String((eventCountSession && eventCountSession.ALARM_QUEUE_JUMP) || 0), String((eventCountOutside && eventCountOutside.ALARM_QUEUE_JUMP) || 0)],
     ['ALARM_WAKEUP_BURST', String((eventCountAll && eventCountAll.ALARM_WAKEUP_BURST) || 0), String((eventCountSession && eventCountSession.ALARM_WAKEUP_BURST) || 0), String((eventCountOutside && eventCountOutside.ALARM_WAKEUP_BURST) || 0)],
     ['ALARM_WAKEUP_SOON', String((eventCountAll && eventCountAll.ALARM_WAKEUP_SOON) || 0), String((eventCountSession && eventCountSession.ALARM_WAKEUP_SOON) || 0), String((eventCountOutside && eventCountOutside.ALARM_WAKEUP_SOON) || 0)],
-    ['JOB_ACTIVE_SPIKE', String((eventCountAll && eventCountAll.JOB_ACTIVE_SPIKE) || 0), String((eventCountSession && eventCountSession.JOB_ACTIVE_SPIKE) || 0), String((eventCountOutside && eventCountOutside.JOB_ACTIVE_SPIKE) || 0)]
+    ['JOB_ACTIVE_SPIKE', String((eventCountAll && eventCountAll.JOB_ACTIVE_SPIKE) || 0), String((eventCountSession && eventCountSession.JOB_ACTIVE_SPIKE) || 0), String((eventCountOutside && eventCountOutside.JOB_ACTIVE_SPIKE) || 0)],
+    ['CHARGER_PLUGGED', String((eventCountAll && eventCountAll.CHARGER_PLUGGED) || 0), String((eventCountSession && eventCountSession.CHARGER_PLUGGED) || 0), String((eventCountOutside && eventCountOutside.CHARGER_PLUGGED) || 0)],
+    ['CHARGER_UNPLUGGED', String((eventCountAll && eventCountAll.CHARGER_UNPLUGGED) || 0), String((eventCountSession && eventCountSession.CHARGER_UNPLUGGED) || 0), String((eventCountOutside && eventCountOutside.CHARGER_UNPLUGGED) || 0)],
+    ['BATTERY_TEMP_HIGH', String((eventCountAll && eventCountAll.BATTERY_TEMP_HIGH) || 0), String((eventCountSession && eventCountSession.BATTERY_TEMP_HIGH) || 0), String((eventCountOutside && eventCountOutside.BATTERY_TEMP_HIGH) || 0)]
   ];
   return rows;
 }
@@ -160,6 +239,7 @@ export function buildMarkdownReport({
   appFocusAll,
   appAnalysis,
   streamDetection,
+  appProfile = null,
   analysisPhases,
   degradedAnalysis,
   pingFocus,
@@ -168,19 +248,34 @@ export function buildMarkdownReport({
   hostSidePingFocusAll,
   pingAnalysis,
   bidirectionalPingAnalysis,
+  powerSourceAnalysis = null,
+  wifiLinkAnalysis = null,
+  bssidSegments = null,
+  uidTrafficAnalysis = null,
+  eventAttribution = null,
+  frameAnalysis = null,
   mainAnalysisAvailable,
   noValidSessionReason,
   noValidSessionPolicy,
   noiseReduction,
   outputFiles,
   missingOptional,
+  unparsedDumpsysTasks = [],
+  coverageHoles = [],
+  coverageSummary = null,
+  logcatTimeBase = null,
+  bookmarks = [],
+  bookmarkContexts = [],
+  sessionFailures = [],
+  sessionConfigs = [],
+  codecComparison = null,
   filterStats,
   captureMeta
 }) {
   const lines = [];
   const phaseSet = new Set(analysisPhases || []);
   const causeRanking = (pingAnalysis && pingAnalysis.causeRanking) || [];
-  const streamWindowsTable = buildStreamWindowsTable(streamDetection);
+  const streamWindowsTable = buildStreamWindowsTable(streamDetection, sessionConfigs);
   const effectiveWindowsTable = buildEffectiveWindowsTable(streamDetection);
   const internalMetricRows = buildInternalMetricSummary((appAnalysis && appAnalysis.metricSummary) || {});
   const internalPeaks = buildPeakRows(appFocus.internalStatsSamples || [], phaseSet);
@@ -200,10 +295,39 @@ export function buildMarkdownReport({
   lines.push(`- 无有效会话策略: ${noValidSessionPolicy}`);
   lines.push(`- 无有效会话原因: ${reasonToText(noValidSessionReason)}`);
   lines.push(`- 当前分析相位: ${(analysisPhases || []).join(', ') || 'N/A'}`);
+  if (coverageSummary && coverageSummary.count > 0) {
+    lines.push(`- 数据覆盖缺口: ${coverageSummary.count} 个，合计 ${(coverageSummary.totalMs / 1000).toFixed(1)}s（缺口内无数据，不代表该时段安静，详见附录 6）`);
+  }
+  if (logcatTimeBase) {
+    lines.push(`- logcat 时间基准: ${LOGCAT_TIME_BASE_LABELS[logcatTimeBase.source]}（年份 ${logcatTimeBase.year}${logcatTimeBase.utcOffset ? `，UTC${logcatTimeBase.utcOffset}` : ''}${logcatTimeBase.timezone ? `，${logcatTimeBase.timezone}` : ''}）`);
+    const correction = logcatTimeBase.correction;
+    if (correction && correction.segments && correction.segments.length) {
+      const drift = correction.driftPpm == null ? 'N/A（采样跨度不足 60s）' : `${correction.driftPpm.toFixed(1)}ppm`;
+      lines.push(`- 设备-主机时钟校正: 采样 ${correction.usedSampleCount}/${correction.sampleCount}，漂移 ${drift}；logcat 时间已按相邻采样分段线性换算为主机时间`);
+      correction.segments.forEach((x, i) => {
+        lines.push(`  - 分段 ${i + 1}（${formatTs(new Date(x.fromIso))} ~ ${formatTs(new Date(x.toIso))}，${x.sampleCount} 次采样）: 偏移 ${x.offsetMs}ms（${x.offsetMinMs}~${x.offsetMaxMs}ms）`);
+      });
+      correction.steps.forEach((x) => {
+        lines.push(`  - 设备时钟跳变 ${x.deltaMs >= 0 ? '+' : ''}${x.deltaMs}ms（${formatTs(new Date(x.fromIso))} ~ ${formatTs(new Date(x.toIso))} 之间，跳变点附近的 logcat 时间误差可能较大）`);
+      });
+    } else {
+      lines.push('- 设备-主机时钟校正: 未记录设备时钟采样，logcat 时间未校正（仅靠 --clock-skew-tolerance-sec 容差）');
+    }
+  }
   lines.push('');
 
   lines.push('## 1) 串流会话识别结果');
   lines.push(`- 检测模式: ${(streamDetection && streamDetection.mode) || 'auto'}`);
+  if (appProfile) {
+    const hitText = Object.entries(appProfile.hits || {}).map(([name, count]) => `${name}=${count}`).join(', ');
+    const modeText = appProfile.mode === 'explicit'
+      ? '--app-profile 指定'
+      : (appProfile.mode === 'auto' ? `自动识别（命中行数 ${hitText}）` : '自动识别无命中，使用默认配置');
+    lines.push(`- 串流 App 配置: ${appProfile.name}（${appProfile.label}），${modeText}`);
+    if (appProfile.experimental) {
+      lines.push('- 注意: 该配置为实验性，日志格式未经真实客户端日志核对，会话与指标识别结果仅供参考；与实际日志不符时请用 --app-profiles 提供同名配置覆盖。');
+    }
+  }
   lines.push(`- 是否检测到有效串流会话: ${(streamDetection && streamDetection.detected) ? '是' : '否'}`);
   lines.push(`- 是否降级分析: ${degradedAnalysis ? '是' : '否'}`);
   lines.push(`- 原始窗口 CSV: ${outputFiles.streamWindowsCsv}`);
@@ -211,7 +335,7 @@ export function buildMarkdownReport({
   if (streamWindowsTable) {
     lines.push('');
     lines.push('### 原始窗口');
-    lines.push(markdownTable(streamWindowsTable, { align: ['r', 'l', 'l', 'r', 'c', 'r', 'r', 'l'] }));
+    lines.push(markdownTable(streamWindowsTable, { align: ['r', 'l', 'l', 'r', 'c', 'r', 'r', 'l', 'l'] }));
   }
   if (effectiveWindowsTable) {
     lines.push('');
@@ -219,6 +343,73 @@ export function buildMarkdownReport({
     lines.push(markdownTable(effectiveWindowsTable, { align: ['r', 'l', 'l', 'r'] }));
   }
   lines.push('');
+  lines.push('### 会话编解码配置对比');
+  if (!codecComparison || !codecComparison.rows.length) {
+    lines.push('- 无有效串流窗口，无法按编解码配置对比。');
+  } else {
+    if (codecComparison.groupCount < 2) lines.push('- 所有有效窗口使用同一编解码配置，下表仅供参考。');
+    sessionConfigs.filter((c) => c.attemptCount > 1).forEach((c) => {
+      lines.push(`- 窗口 #${c.windowId} 包含 ${c.attemptCount} 次会话尝试，配置取与窗口重叠最长的尝试 #${c.attemptIndex}。`);
+    });
+    lines.push(markdownTable([
+      ['编解码配置', '窗口', '时长(s)', 'ping n', 'ping 丢包%', 'ping p50/p95(ms)', 'rtt_ms p50', 'loss_pct 均值', 'decode_ms p50', '实测码率 p50(kbps)'],
+      ...codecComparison.rows.map((r) => [
+        r.label,
+        r.windowIds.map((id) => `#${id}`).join(','),
+        r.durationSec.toFixed(0),
+        String(r.pingSampleCount),
+        toFixedOrNA(r.pingLossPct),
+        `${toFixedOrNA(r.pingP50Ms, 1)}/${toFixedOrNA(r.pingP95Ms, 1)}`,
+        toFixedOrNA(r.rttP50Ms, 1),
+        toFixedOrNA(r.appLossPctAvg),
+        toFixedOrNA(r.decodeP50Ms, 1),
+        toFixedOrNA(r.bitrateP50Kbps, 0)
+      ])
+    ], { align: ['l', 'l', 'r', 'r', 'r', 'r', 'r', 'r', 'r', 'r'] }));
+  }
+  lines.push('');
+  lines.push('### 失败与中断的会话');
+  const attempts = appFocusAll.sessionAttempts || [];
+  const outcomeCounts = Object.keys(ATTEMPT_OUTCOME_LABELS).map((k) => `${ATTEMPT_OUTCOME_LABELS[k]} ${attempts.filter((a) => a.outcome === k).length}`).join('，');
+  lines.push(`- 会话尝试 ${attempts.length} 次，进入串流 ${attempts.filter((a) => a.reachedStream).length} 次（${outcomeCounts}；明细 ${outputFiles.sessionAttemptsCsv}）`);
+  if (!sessionFailures.length) {
+    lines.push('- 无连接失败或异常中断的会话。');
+  } else {
+    lines.push(markdownTable([
+      ['尝试', '开始', '结束', '时长(s)', '结果', '原因类别', '阶段 / 错误码'],
+      ...sessionFailures.map((a) => [
+        `#${a.index}`,
+        a.startTs ? formatTs(a.startTs) : 'N/A',
+        formatTs(a.endTs),
+        a.durationMs == null ? 'N/A' : (a.durationMs / 1000).toFixed(1),
+        ATTEMPT_OUTCOME_LABELS[a.outcome] || a.outcome,
+        ATTEMPT_CATEGORY_LABELS[a.category] || a.category,
+        [a.stage, a.codeText].filter(Boolean).join(' / ') || '-'
+      ])
+    ], { align: ['r', 'l', 'l', 'r', 'l', 'l', 'l'] }));
+    sessionFailures.slice(0, 20).forEach((a) => {
+      const ping = a.devicePing;
+      lines.push('');
+      lines.push(`#### 尝试 #${a.index} ${ATTEMPT_OUTCOME_LABELS[a.outcome]}前 ${a.windowMs / 1000}s（${formatTs(a.endTs)}，${ATTEMPT_CATEGORY_LABELS[a.category] || a.category}）`);
+      lines.push(`- 结束行: ${a.endLine}`);
+      lines.push(ping.sampleCount
+        ? `- 手机侧 ping: n=${ping.sampleCount}，失败 ${ping.failureCount}，min/p50/max=${toFixedOrNA(ping.minMs, 1)}/${toFixedOrNA(ping.p50Ms, 1)}/${toFixedOrNA(ping.maxMs, 1)}ms，抖动点 ${ping.jitterCount}，高延迟段 ${ping.highLatencyBurstCount}`
+        : '- 手机侧 ping: 无样本');
+      if (a.hostSidePing.sampleCount > 0) {
+        lines.push(`- 主机侧 ping: n=${a.hostSidePing.sampleCount}，失败 ${a.hostSidePing.failureCount}，min/p50/max=${toFixedOrNA(a.hostSidePing.minMs, 1)}/${toFixedOrNA(a.hostSidePing.p50Ms, 1)}/${toFixedOrNA(a.hostSidePing.maxMs, 1)}ms`);
+      }
+      if (a.wifiEvents.length) {
+        lines.push('');
+        lines.push(markdownTable([
+          ['偏移(s)', 'Wi-Fi 事件', '详情'],
+          ...a.wifiEvents.slice(-15).map((e) => [formatOffsetSec(e.offsetMs), WIFI_LINK_CHANGE_LABELS[e.type] || e.type, e.detail || '-'])
+        ], { align: ['r', 'l', 'l'] }));
+      } else {
+        lines.push('- Wi-Fi 事件: 无');
+      }
+    });
+  }
+  lines.push('');
 
   if (!mainAnalysisAvailable && noValidSessionPolicy === 'empty-main') {
     lines.push('## 2) 会话内主分析');
@@ -344,6 +535,223 @@ export function buildMarkdownReport({
       lines.push('- 双向链路判定: 无可用结果');
     }
     lines.push('');
+    lines.push('### 供电状态与抖动');
+    if (!powerSourceAnalysis || !powerSourceAnalysis.available) {
+      lines.push('- 无 dumpsys battery 快照，无法判断供电状态。');
+    } else {
+      const { battery, charger } = powerSourceAnalysis.counts;
+      lines.push(`- 结论: ${POWER_SOURCE_VERDICT_LABELS[powerSourceAnalysis.verdict] || powerSourceAnalysis.verdict}`);
+      lines.push(markdownTable([
+        ['供电', 'Ping 样本', '抖动点', '每百样本抖动', '高延迟段'],
+        ['电池', String(battery.pingSamples), String(battery.jitterEvents), toFixedOrNA(battery.jitterPer100Samples), String(battery.highLatencyBursts)],
+        [`充电${powerSourceAnalysis.pluggedTypes.length ? `（${powerSourceAnalysis.pluggedTypes.join(', ')}）` : ''}`, String(charger.pingSamples), String(charger.jitterEvents), toFixedOrNA(charger.jitterPer100Samples), String(charger.highLatencyBursts)]
+      ], { align: ['l', 'r', 'r', 'r', 'r'] }));
+      if (powerSourceAnalysis.maxTempC != null) {
+        lines.push('');
+        lines.push(`- 电池最高温度: ${powerSourceAnalysis.maxTempC.toFixed(1)}°C`);
+      }
+    }
+    lines.push('');
+    lines.push('### Wi-Fi 链路质量与延迟');
+    if (!wifiLinkAnalysis || !wifiLinkAnalysis.available) {
+      lines.push('- dumpsys wifi 快照中无 mWifiInfo 链路信息（RSSI/速率/频率/BSSID）。');
+    } else {
+      const windowSec = (wifiLinkAnalysis.windowMs / 1000).toFixed(0);
+      lines.push(`- 链路样本: ${wifiLinkAnalysis.sampleCount} 个（${outputFiles.wifiLinkCsv}），频段: ${wifiLinkAnalysis.bands.join(', ') || 'N/A'}，BSSID: ${wifiLinkAnalysis.bssids.length} 个`);
+      lines.push(`- RSSI min/p50/max: ${toFixedOrNA(wifiLinkAnalysis.rssi.min, 0)}/${toFixedOrNA(wifiLinkAnalysis.rssi.p50, 0)}/${toFixedOrNA(wifiLinkAnalysis.rssi.max, 0)} dBm，链路速率 min/p50/max: ${toFixedOrNA(wifiLinkAnalysis.linkSpeedMbps.min, 0)}/${toFixedOrNA(wifiLinkAnalysis.linkSpeedMbps.p50, 0)}/${toFixedOrNA(wifiLinkAnalysis.linkSpeedMbps.max, 0)} Mbps`);
+      lines.push(`- rtt_var_ms 尖峰阈值: ${toFixedOrNA(wifiLinkAnalysis.rttVarThreshold)}ms（${wifiLinkAnalysis.rttVarSpikeCount} 个尖峰）`);
+      lines.push(`- 高延迟段 ${wifiLinkAnalysis.burstCount} 个，其中 ±${windowSec}s 内有链路变化的 ${wifiLinkAnalysis.burstsWithChange} 个`);
+      lines.push(markdownTable([
+        ['链路变化', '次数', `±${windowSec}s 内有高延迟段`, `±${windowSec}s 内有 rtt_var 尖峰`],
+        ...Object.entries(wifiLinkAnalysis.byType).map(([type, stat]) => [
+          WIFI_LINK_CHANGE_LABELS[type] || type,
+          String(stat.count),
+          String(stat.nearBurst),
+          String(stat.nearRttVarSpike)
+        ])
+      ], { align: ['l', 'r', 'r', 'r'] }));
+      const correlated = wifiLinkAnalysis.changes.filter((c) => c.burstOffsetMs != null || c.rttVarOffsetMs != null).slice(0, 10);
+      if (correlated.length) {
+        lines.push('');
+        correlated.forEach((c) => {
+          const hits = [
+            c.burstOffsetMs != null ? `高延迟段 ${formatOffsetSec(c.burstOffsetMs)}s` : '',
+            c.rttVarOffsetMs != null ? `rtt_var 尖峰 ${formatOffsetSec(c.rttVarOffsetMs)}s` : ''
+          ].filter(Boolean).join('，');
+          lines.push(`- [${formatTs(c.ts)}] ${WIFI_LINK_CHANGE_LABELS[c.type] || c.type}: ${c.detail} | ${hits}`);
+        });
+      }
+    }
+    lines.push('');
+    lines.push('### 吞吐突增与抖动');
+    const throughputCorrelation = pingAnalysis && pingAnalysis.throughputCorrelation;
+    if (!throughputCorrelation || !throughputCorrelation.available) {
+      lines.push('- 无 /proc/net/dev 采样，无法统计 wlan0 吞吐。');
+    } else {
+      lines.push(`- wlan0 吞吐（rx+tx）中位数/p95/最大: ${toFixedOrNA(throughputCorrelation.medianKbps, 0)}/${toFixedOrNA(throughputCorrelation.p95Kbps, 0)}/${toFixedOrNA(throughputCorrelation.maxKbps, 0)} kbps（${throughputCorrelation.sampleCount} 个区间，${outputFiles.throughputCsv}）`);
+      lines.push(`- 扣除串流 UID 流量: ${throughputCorrelation.streamSubtractedCount}/${throughputCorrelation.sampleCount} 个区间有 UID 流量可扣除${throughputCorrelation.streamSubtractedCount ? '' : '（无 UID 流量数据，按总吞吐统计）'}`);
+      lines.push(`- 非串流吞吐基线（中位数）: ${toFixedOrNA(throughputCorrelation.baselineKbps, 0)} kbps；突增阈值: ${toFixedOrNA(throughputCorrelation.surgeThresholdKbps, 0)} kbps（基线 ×${THROUGHPUT_SURGE_RATIO} 与基线 +${THROUGHPUT_SURGE_MIN_DELTA_KBPS} 取大）`);
+      lines.push(`- 突增区间 ${throughputCorrelation.surgeCount} 个，其中附近有抖动点的 ${throughputCorrelation.surgesWithJitter} 个`);
+      lines.push(`- 抖动点落在突增区间附近: ${throughputCorrelation.jitterNearSurge}/${throughputCorrelation.jitterPoints}（${(throughputCorrelation.hitRatio * 100).toFixed(1)}%）`);
+      if (throughputCorrelation.evidence.length) {
+        lines.push('');
+        lines.push(markdownTable([
+          ['时间', '区间(s)', 'rx(kbps)', 'tx(kbps)', '串流(kbps)', '非串流(kbps)', '附近抖动点'],
+          ...throughputCorrelation.evidence.map((x) => [
+            formatTs(x.ts),
+            (x.intervalMs / 1000).toFixed(1),
+            x.rxKbps.toFixed(0),
+            x.txKbps.toFixed(0),
+            toFixedOrNA(x.streamKbps, 0),
+            x.otherKbps.toFixed(0),
+            String(x.jitterHits)
+          ])
+        ], { align: ['l', 'r', 'r', 'r', 'r', 'r', 'r'] }));
+      }
+    }
+    lines.push('');
+    lines.push('### 丢包恢复时间线');
+    const lossRecovery = pingAnalysis && pingAnalysis.lossRecovery;
+    if (!lossRecovery || !lossRecovery.available) {
+      lines.push('- 未发现 IDR 请求、参考帧失效（RFI）、FEC 无法恢复或网络丢帧日志。');
+    } else {
+      const c = lossRecovery.countsByType;
+      lines.push(`- IDR 请求 ${c.idr_request}，RFI ${c.rfi}，FEC 无法恢复帧 ${c.fec_unrecoverable}，网络丢帧 ${c.network_frame_drop}（相隔 ≤${lossRecovery.gapMs / 1000}s 合并为 ${lossRecovery.episodes.length} 个恢复片段，明细 ${outputFiles.lossRecoveryCsv}）`);
+      lines.push(`- 恢复片段 ±${lossRecovery.slackMs / 1000}s 内伴随 ping 高延迟段或丢包: ${lossRecovery.episodesWithBurst}/${lossRecovery.episodes.length}（${(lossRecovery.hitRatio * 100).toFixed(1)}%）；ping 高延迟段附近出现恢复片段: ${lossRecovery.burstsWithRecovery}/${lossRecovery.burstCount}`);
+      lines.push(markdownTable([
+        ['片段', '开始', '时长(s)', 'IDR', 'RFI', 'FEC', '丢帧', 'ping 高延迟段', '恢复相对高延迟(s)', 'ping 失败'],
+        ...lossRecovery.episodes.slice(0, 20).map((x) => [
+          `#${x.index}`,
+          formatTs(x.startTs),
+          ((x.endTs.getTime() - x.startTs.getTime()) / 1000).toFixed(1),
+          String(x.counts.idr_request),
+          String(x.counts.rfi),
+          String(x.counts.fec_unrecoverable),
+          String(x.counts.network_frame_drop),
+          x.pingBurstStartTs ? `${formatTs(x.pingBurstStartTs)}（max ${toFixedOrNA(x.pingBurstMaxMs, 1)}ms）` : '-',
+          x.pingBurstLeadMs == null ? '-' : formatOffsetSec(x.pingBurstLeadMs),
+          String(x.pingFailureCount)
+        ])
+      ], { align: ['r', 'l', 'r', 'r', 'r', 'r', 'r', 'l', 'r', 'r'] }));
+    }
+    lines.push('');
+    lines.push('### 后台应用流量（按 UID）');
+    if (!uidTrafficAnalysis || !uidTrafficAnalysis.available) {
+      lines.push('- 无可用的按 UID 流量快照（xt_qtaguid / dumpsys netstats），无法归因后台流量。');
+    } else {
+      const toMB = (bytes) => (bytes / 1048576).toFixed(2);
+      lines.push(`- 数据来源: ${uidTrafficAnalysis.source}，统计范围: ${mainAnalysisAvailable ? '有效串流窗口' : '全程'}（明细 ${outputFiles.uidTrafficCsv}）`);
+      lines.push(`- 串流 App 流量 ${toMB(uidTrafficAnalysis.streamBytes)}MB，其他 UID 合计 ${toMB(uidTrafficAnalysis.otherBytes)}MB；后台流量 ≥${uidTrafficAnalysis.busyKbps}kbps 的采样区间 ${uidTrafficAnalysis.busyIntervals.length} 个`);
+      if (uidTrafficAnalysis.negativeDeltaCount > 0) {
+        lines.push(`- 计数回退: ${uidTrafficAnalysis.negativeDeltaCount} 个 UID 区间的字节数比上一次采样更小（netstats 历史桶滚出或计数重置），这些区间未计入，UID 流量可能偏低`);
+      }
+      if (uidTrafficAnalysis.topUids.length) {
+        lines.push(markdownTable([
+          ['UID', '应用', 'rx(MB)', 'tx(MB)', '合计(MB)'],
+          ...uidTrafficAnalysis.topUids.map((x) => [String(x.uid), x.label, toMB(x.rxBytes), toMB(x.txBytes), toMB(x.totalBytes)])
+        ], { align: ['r', 'l', 'r', 'r', 'r'] }));
+      }
+    }
+    lines.push('');
+    lines.push('### 系统事件归属（按应用）');
+    if (!eventAttribution || !eventAttribution.available) {
+      lines.push('- 统计范围内无 wakelock/alarm/job/sync 等线索行。');
+    } else {
+      const formatTop = (list) => (list.length ? list.map((x) => `${x.packageName}(${x.count})`).join('，') : 'N/A');
+      lines.push(`- 线索行 ${eventAttribution.clueCount} 条，归属到应用 ${eventAttribution.attributedCount} 条（ps 快照 ${eventAttribution.processSnapshotCount} 次，明细 ${outputFiles.eventAttributionCsv}）`);
+      if (!eventAttribution.processSnapshotCount) lines.push('- 未采集到 ps 快照，只能按日志中的 uid 归属。');
+      lines.push(markdownTable([
+        ['事件类型', '线索行', '已归属', '主要应用'],
+        ...eventAttribution.byKind.map((x) => [CLUE_KIND_LABELS[x.kind] || x.kind, String(x.count), String(x.attributedCount), formatTop(x.topPackages)])
+      ], { align: ['l', 'r', 'r', 'l'] }));
+      const spike = eventAttribution.wakelockSpike;
+      lines.push(spike.minuteCount
+        ? `- WAKELOCK_SPIKE 分钟 ${spike.minuteCount} 个，其中已归属的 wakelock 行 ${spike.lineCount} 条，主要来自: ${formatTop(spike.topPackages)}`
+        : '- 无 WAKELOCK_SPIKE 分钟。');
+    }
+    lines.push('');
+    lines.push('### 显示端卡顿（帧呈现）');
+    if (!frameAnalysis || !frameAnalysis.snapshotCount) {
+      lines.push('- 未采集帧呈现数据（采集时加 --frame-stats 启用 SurfaceFlinger / gfxinfo 采样）。');
+    } else if (!frameAnalysis.available) {
+      lines.push(`- 帧呈现快照 ${frameAnalysis.snapshotCount} 个，但${mainAnalysisAvailable ? '有效串流窗口内' : ''}没有可用帧（未找到串流 App 的 SurfaceView 图层）。`);
+    } else {
+      const kinds = frameAnalysis.stallsByKind;
+      lines.push(`- SurfaceFlinger 图层: ${frameAnalysis.layer || 'N/A'}，刷新周期 ${frameAnalysis.refreshPeriodMs.toFixed(2)}ms，帧数 ${frameAnalysis.sfFrameCount}，典型帧间隔 ${toFixedOrNA(frameAnalysis.expectedIntervalMs)}ms（明细 ${outputFiles.framesCsv}）`);
+      if (frameAnalysis.coverageRatio != null) {
+        lines.push(`- 帧覆盖率: ${(frameAnalysis.coverageRatio * 100).toFixed(1)}%（SurfaceFlinger 每个图层只保留最近 128 帧，两次快照之间未覆盖的时段无法判断是否卡顿，不能当作「无卡顿」）`);
+      }
+      lines.push(`- 显示端卡顿（帧已就绪但晚于 ${toFixedOrNA(frameAnalysis.lateThresholdMs)}ms 才上屏）: ${frameAnalysis.displayJankCount} 帧，每千帧 ${toFixedOrNA(frameAnalysis.displayJankPer1000)}`);
+      if (frameAnalysis.stallCount) {
+        lines.push(`- 帧间隔停顿（> ${toFixedOrNA(frameAnalysis.stallThresholdMs)}ms）${frameAnalysis.stallCount} 次，按来源区分:`);
+        lines.push('');
+        lines.push(markdownTable([
+          ['来源', '次数', '判定'],
+          ['显示端', String(kinds.display), '帧已就绪，合成/上屏延后'],
+          ['网络', String(kinds.network), '停顿附近有串流 App 丢包、ping 丢包或高延迟段'],
+          ['解码', String(kinds.decode), '停顿附近有解码耗时尖峰'],
+          ['上游未归因', String(kinds.upstream), '没有新帧送达，且无网络/解码佐证']
+        ], { align: ['l', 'r', 'l'] }));
+        lines.push('');
+      }
+      if (frameAnalysis.gfx) {
+        lines.push(`- gfxinfo（App UI 渲染，不含视频解码面）: ${frameAnalysis.gfx.frameCount} 帧，超过一个刷新周期 ${frameAnalysis.gfx.jankCount} 帧（${frameAnalysis.gfx.jankPct.toFixed(1)}%）`);
+      }
+      frameAnalysis.topDisplayJank.forEach((x) => {
+        lines.push(`- [${formatTs(x.ts)}] 上屏延迟 ${x.presentDelayMs.toFixed(1)}ms，帧间隔 ${toFixedOrNA(x.intervalMs)}ms`);
+      });
+      const upstreamCount = kinds.network + kinds.decode + kinds.upstream;
+      if (frameAnalysis.displayJankCount > 0 && frameAnalysis.displayJankCount >= upstreamCount) {
+        lines.push('- 结论: 卡顿主要发生在显示端（帧已解码完成但上屏延后），与网络丢包和解码延迟无关，优先排查刷新率切换、合成负载与温控降频。');
+      } else if (upstreamCount > 0) {
+        lines.push('- 结论: 停顿主要来自上游（没有新帧送达），显示端本身基本按时上屏。');
+      }
+    }
+    lines.push('');
+    lines.push('### 分 AP（BSSID）延迟对比');
+    if (!bssidSegments || !bssidSegments.available) {
+      lines.push('- dumpsys wifi 快照中无 BSSID，无法按 AP 分段。');
+    } else {
+      const formatApRow = (x) => [
+        String(x.pingSamples),
+        toFixedOrNA(x.lossPct),
+        toFixedOrNA(x.p50Ms),
+        toFixedOrNA(x.p95Ms),
+        String(x.jitterEvents),
+        String(x.highLatencyBursts)
+      ];
+      lines.push(markdownTable([
+        ['BSSID', '段数', '时长(s)', 'RSSI p50', 'Ping 样本', '丢包%', 'p50(ms)', 'p95(ms)', '抖动点', '高延迟段'],
+        ...bssidSegments.byBssid.map((x) => [
+          `${x.bssid}${x.bssid === bssidSegments.worstBssid ? ' ⚠' : ''}`,
+          String(x.segmentCount),
+          (x.durationMs / 1000).toFixed(0),
+          toFixedOrNA(x.rssiP50, 0),
+          ...formatApRow(x)
+        ])
+      ], { align: ['l', 'r', 'r', 'r', 'r', 'r', 'r', 'r', 'r', 'r'] }));
+      if (bssidSegments.worstBssid) {
+        lines.push('');
+        lines.push(`- p95 最差的 AP: ${bssidSegments.worstBssid}（⚠）`);
+      }
+      if (bssidSegments.segments.length > 1) {
+        lines.push('');
+        lines.push(`漫游分段（${bssidSegments.segments.length} 段，明细见 ${outputFiles.bssidSegmentsCsv}）:`);
+        lines.push('');
+        lines.push(markdownTable([
+          ['#', '开始', '时长(s)', 'BSSID', '分段原因', 'Ping 样本', '丢包%', 'p50(ms)', 'p95(ms)', '抖动点', '高延迟段'],
+          ...bssidSegments.segments.slice(0, 20).map((x) => [
+            String(x.index),
+            formatTs(x.startTs),
+            (x.durationMs / 1000).toFixed(0),
+            x.bssid,
+            x.boundary,
+            ...formatApRow(x)
+          ])
+        ], { align: ['r', 'l', 'r', 'l', 'l', 'r', 'r', 'r', 'r', 'r', 'r'] }));
+      }
+    }
+    lines.push('');
 
     lines.push('## 4) 会话内主分析：可能原因排名');
     if (!causeRanking.length) {
@@ -354,6 +762,17 @@ export function buildMarkdownReport({
       causeRanking.slice(0, 3).forEach((row, idx) => {
         lines.push(`### ${idx + 1}. ${CAUSE_LABELS[row.cause] || row.cause}`);
         lines.push(`- 分数=${toFixedOrNA(row.score)}, 等级=${row.level || 'low'}, 置信=${row.confidence || 'low'}`);
+        if (row.thermal && (row.thermal.upCount > 0 || row.thermal.elevatedJitterPoints > 0)) {
+          lines.push(`- 温控: THERMAL_STATUS_UP ${row.thermal.upCount} 次，温控状态高于 NONE 期间的抖动点 ${row.thermal.elevatedJitterPoints} 个（占比 ${(row.thermal.hitRatio * 100).toFixed(1)}%）`);
+        }
+        if (row.cpu && row.cpu.matchedSpikes > 0) {
+          const procs = row.cpu.topProcesses.map((p) => `${p.name}（均值 ${p.avgPct.toFixed(0)}%，${p.hits} 次）`).join('，');
+          lines.push(`- CPU: ${row.cpu.metric} 尖峰 ${row.cpu.spikeCount} 个，其中 ${row.cpu.matchedSpikes} 个有 top 采样，CPU ≥${CPU_SATURATION_PCT}% 的 ${row.cpu.saturatedSpikes} 个（尖峰时 CPU p95=${toFixedOrNA(row.cpu.busyP95, 1)}%）`);
+          if (procs) lines.push(`- 尖峰时的竞争进程: ${procs}`);
+        }
+        if (row.wifiBand && (row.wifiBand.bandChanges || row.wifiBand.channelChanges)) {
+          lines.push(`- 频段切换 BAND_CHANGE ${row.wifiBand.bandChanges} 次，同频段信道切换 CHANNEL_CHANGE ${row.wifiBand.channelChanges} 次`);
+        }
         const evidence = (row.evidence || []).slice(0, 3);
         if (!evidence.length) {
           lines.push('- 证据: 无可用时间对齐证据');
@@ -408,6 +827,39 @@ export function buildMarkdownReport({
   }
   lines.push('');
   lines.push(`- 缺失可选 dumpsys 文件: ${missingOptional.length ? missingOptional.join(', ') : '无'}`);
+  const dumpsysTasks = (captureMeta && captureMeta.dumpsysTasks) || [];
+  if (dumpsysTasks.length) {
+    lines.push(`- dumpsys 任务: ${dumpsysTasks.map((t) => `${t.name}（${t.package ? `帧呈现 ${t.package}` : (t.command || [t.service, ...(t.args || [])]).join(' ')}，每 ${t.intervalMs / 1000}s）`).join('，')}`);
+  }
+  if (unparsedDumpsysTasks.length) {
+    lines.push(`- 仅采集未解析的 dumpsys 任务（原始快照见对应日志）: ${unparsedDumpsysTasks.join(', ')}`);
+  }
+  lines.push(`- 数据覆盖缺口: ${coverageHoles.length ? `${coverageHoles.length} 个（${outputFiles.coverageHolesCsv}）` : '无'}`);
+  if (coverageHoles.length > 0) {
+    const table = [['文件', '类型', '子进程', '开始', '结束', '时长(s)', '说明']];
+    coverageHoles.slice(0, 30).forEach((h) => {
+      table.push([
+        h.target,
+        h.kind,
+        h.name,
+        formatTs(h.startTs),
+        formatTs(h.endTs),
+        (h.durationMs / 1000).toFixed(1),
+        h.closed ? h.detail : `${h.detail}（持续到采集结束）`
+      ]);
+    });
+    lines.push('');
+    lines.push(markdownTable(table, { align: ['l', 'l', 'l', 'l', 'l', 'r', 'l'] }));
+    lines.push('');
+    lines.push('- 缺口内的分钟在 timeline.csv 的 coverage_hole_sec 列标出；跨越缺口的事件间隔不计入 intervals 统计。');
+  }
+  const supervisorStats = captureMeta && (captureMeta.supervisor || (captureMeta.stats && captureMeta.stats.supervisor));
+  if (supervisorStats) {
+    Object.entries(supervisorStats).forEach(([name, stat]) => {
+      if (!stat) return;
+      lines.push(`- 子进程 ${name}: 退出 ${stat.exits} 次，重启 ${stat.restarts} 次，累计缺口 ${(stat.totalGapMs / 1000).toFixed(1)}s`);
+    });
+  }
   if (filterStats && filterStats.filteredLineCount > 0) {
     lines.push(`- 全局 logcat 过滤行数: ${filterStats.filteredLineCount}`);
   } else {
@@ -423,5 +875,60 @@ export function buildMarkdownReport({
   }
   lines.push('');
 
+  lines.push('## 7) 抓取书签');
+  const alertConfig = captureMeta && captureMeta.alerts;
+  if (alertConfig && alertConfig.enabled) {
+    lines.push(`- 尖峰告警: latency≥${alertConfig.latencyMs == null ? 'N/A' : `${alertConfig.latencyMs}ms`}, jitter≥${alertConfig.jitterMs == null ? 'N/A' : `${alertConfig.jitterMs}ms`}, 冷却 ${alertConfig.cooldownSec}s, 触发 ${alertConfig.fired} 次`);
+  } else {
+    lines.push('- 尖峰告警: 未启用（--alert-latency-ms / --alert-jitter-ms）');
+  }
+  if (!bookmarks.length) {
+    lines.push('- 书签: 无');
+  } else {
+    lines.push(`- 书签: ${bookmarks.length} 个（${outputFiles.bookmarksCsv}）`);
+    const table = [['书签', '时间', '类型', '触发', '附近快照']];
+    bookmarks.slice(0, 50).forEach((b) => {
+      const trigger = b.trigger
+        ? `${b.trigger.metric}=${toFixedOrNA(Number(b.trigger.value), 1)} (≥${b.trigger.threshold})`
+        : (b.note || '-');
+      const snapshots = b.snapshots.length
+        ? b.snapshots
+          .map((x) => `${x.task}${x.linked ? '*' : ''} ${x.offsetMs >= 0 ? '+' : ''}${(x.offsetMs / 1000).toFixed(1)}s ${x.status}${x.summary ? ` ${x.summary}` : ''}`)
+          .join('<br>')
+        : '无';
+      table.push([b.id, formatTs(b.ts), b.kind, trigger, snapshots]);
+    });
+    lines.push('');
+    lines.push(markdownTable(table, { align: ['l', 'l', 'l', 'l', 'l'] }));
+    lines.push('');
+    lines.push('- 带 * 的快照为书签触发的补抓快照（不在 TASKS 定时计划内），偏移为快照完成时间相对书签时间。');
+    bookmarkContexts.slice(0, 20).forEach((ctx, idx) => {
+      const b = bookmarks[idx];
+      lines.push('');
+      lines.push(`### ${b.id} 前后 ±${ctx.windowMs / 1000}s（${formatTs(b.ts)}，${b.kind}${b.note ? `，${b.note}` : ''}）`);
+      lines.push(formatBookmarkPingLine('手机侧 ping', ctx.devicePing));
+      if (ctx.hostSidePing.sampleCount > 0) lines.push(formatBookmarkPingLine('主机侧 ping', ctx.hostSidePing));
+      if (ctx.metrics.length) {
+        const table = [['偏移(s)', 'App 指标', '数值']];
+        nearestByOffset(ctx.metrics, 15).forEach((m) => {
+          table.push([formatOffsetSec(m.offsetMs), m.type, `${toFixedOrNA(m.value)}${m.unit ? ` ${m.unit}` : ''}`]);
+        });
+        lines.push('');
+        lines.push(markdownTable(table, { align: ['r', 'l', 'r'] }));
+      } else {
+        lines.push('- App 指标: 无');
+      }
+      if (ctx.events.length) {
+        const table = [['偏移(s)', '系统事件', '来源']];
+        nearestByOffset(ctx.events, 15).forEach((e) => table.push([formatOffsetSec(e.offsetMs), e.type, e.source]));
+        lines.push('');
+        lines.push(markdownTable(table, { align: ['r', 'l', 'l'] }));
+      } else {
+        lines.push('- 系统事件: 无');
+      }
+    });
+  }
+  lines.push('');
+
   return lines.join('\n');
 }
@@ -0,0 +1,133 @@
+const STAGE_FAILED_REGEX = /\b(platform initialization|name resolution|RTSP handshake|(?:audio|video|control|input) stream (?:initialization|establishment))\s+(?:stage\s+)?failed\b[^-\d]*(-?(?:0x[0-9a-f]+|\d+))?/i;
+const GENERIC_STAGE_FAILED_REGEX = /stage\s*[:=]?\s*(.+?)\s+failed\b[^-\d]*(-?(?:0x[0-9a-f]+|\d+))?/i;
+const TERMINATED_REGEX = /Connection terminated\b[^-\d]*(-?(?:0x[0-9a-f]+|\d+))?/i;
+const END_CODE_REGEX = /\bcode\s*[:=]?\s*(-?(?:0x[0-9a-f]+|\d+))/i;
+const TERMINATION_REASON_REGEX = /termination reason\s*[:=]?\s*(-?(?:0x[0-9a-f]+|\d+))/i;
+const SESSION_STATE_REGEX = /\[STREAM_SESSION\]\s*(FAILED|TERMINATED|STOP_REQUEST)\b/i;
+const FAILURE_WORD_REGEX = /(lost|fail|error|timeout|timed out|disconnect)/i;
+const MERGE_WINDOW_MS = 5000;
+const NO_END_DETAIL = { outcome: 'no_end', category: 'unknown', stage: '', code: null, codeText: '' };
+
+const STAGE_CATEGORIES = [
+  { regex: /rtsp/i, category: 'rtsp_handshake' },
+  { regex: /control/i, category: 'control_stream' },
+  { regex: /video/i, category: 'video_stream' },
+  { regex: /audio/i, category: 'audio_stream' },
+  { regex: /input/i, category: 'input_stream' }
+];
+
+const CLIENT_TERMINATION_CODES = {
+  0: 'graceful',
+  '-100': 'video_stream',
+  '-101': 'video_stream',
+  '-104': 'video_stream'
+};
+
+function parseCode(text) {
+  if (text == null) return null;
+  const value = /^-?0x/i.test(text) ? parseInt(text, 16) : Number(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+function classifyStage(stage) {
+  const hit = STAGE_CATEGORIES.find((x) => x.regex.test(stage));
+  return hit ? hit.category : 'connection_setup';
+}
+
+function parseEndDetail(message, appProfile) {
+  const isEnd = appProfile.session.end.some((r) => r.test(message));
+  if (!isEnd && !STAGE_FAILED_REGEX.test(message) && !TERMINATION_REASON_REGEX.test(message)) return null;
+  const stage = message.match(STAGE_FAILED_REGEX) || message.match(GENERIC_STAGE_FAILED_REGEX);
+  if (stage) {
+    return { outcome: 'failed', category: classifyStage(stage[1]), stage: stage[1].trim(), code: parseCode(stage[2]), codeText: stage[2] || '' };
+  }
+  const reason = message.match(TERMINATION_REASON_REGEX);
+  if (reason) {
+    return { outcome: 'terminated', category: 'host_terminated', stage: '', code: parseCode(reason[1]), codeText: reason[1] };
+  }
+  const terminated = message.match(TERMINATED_REGEX);
+  if (terminated) {
+    const code = parseCode(terminated[1]);
+    const category = code == null ? 'unknown' : (CLIENT_TERMINATION_CODES[code] || 'host_terminated');
+    return { outcome: category === 'graceful' ? 'ended' : 'terminated', category, stage: '', code, codeText: terminated[1] || '' };
+  }
+  const endCode = isEnd ? message.match(END_CODE_REGEX) : null;
+  if (endCode) {
+    const code = parseCode(endCode[1]);
+    return code === 0
+      ? { outcome: 'ended', category: 'graceful', stage: '', code, codeText: endCode[1] }
+      : { outcome: 'terminated', category: 'unknown', stage: '', code, codeText: endCode[1] };
+  }
+  const state = message.match(SESSION_STATE_REGEX);
+  if (state) {
+    const kind = state[1].toUpperCase();
+    if (kind === 'STOP_REQUEST') return { outcome: 'ended', category: 'graceful', stage: '', code: null, codeText: '' };
+    return { outcome: kind === 'FAILED' ? 'failed' : 'terminated', category: 'unknown', stage: '', code: null, codeText: '' };
+  }
+  return FAILURE_WORD_REGEX.test(message)
+    ? { outcome: 'terminated', category: 'unknown', stage: '', code: null, codeText: '' }
+    : { outcome: 'ended', category: 'graceful', stage: '', code: null, codeText: '' };
+}
+
+function isMoreSpecific(detail, attempt) {
+  if (attempt.category === 'unknown' && detail.category !== 'unknown') return true;
+  if (attempt.category === 'host_terminated' && detail.outcome === 'failed') return false;
+  return attempt.code == null && detail.code != null && attempt.category === detail.category;
+}
+
+export function createSessionAttemptTracker(appProfile) {
+  const attempts = [];
+  let open = null;
+  const { strongStart, midStart, weakStart, activity } = appProfile.session;
+
+  function close(attempt, ts, detail, line) {
+    Object.assign(attempt, detail, { endTs: ts, endLine: line });
+  }
+
+  function feed(ts, message, line) {
+    const detail = parseEndDetail(message, appProfile);
+    if (detail) {
+      if (open) {
+        close(open, ts, detail, line);
+        open = null;
+        return;
+      }
+      const last = attempts[attempts.length - 1];
+      if (last && last.endTs && ts.getTime() - last.endTs.getTime() <= MERGE_WINDOW_MS) {
+        if (isMoreSpecific(detail, last)) Object.assign(last, detail, { endLine: line });
+        return;
+      }
+      const attempt = { startTs: null, startLine: '', reachedStream: false };
+      close(attempt, ts, detail, line);
+      attempts.push(attempt);
+      return;
+    }
+
+    const isWeakStart = weakStart.some((r) => r.test(message));
+    const isStart = isWeakStart || midStart.some((r) => r.test(message)) || strongStart.some((r) => r.test(message));
+    if (open && isWeakStart && open.lastTs > open.startTs) {
+      close(open, open.lastTs, NO_END_DETAIL, '');
+      open = null;
+    }
+    if (!open && isStart) {
+      open = { startTs: ts, startLine: line, lastTs: ts, reachedStream: false };
+      attempts.push(open);
+    }
+    if (!open) return;
+    open.lastTs = ts;
+    if (strongStart.some((r) => r.test(message)) || activity.some((r) => r.test(message))) open.reachedStream = true;
+  }
+
+  function finish() {
+    if (open) close(open, null, NO_END_DETAIL, '');
+    open = null;
+    return attempts.map(({ lastTs, ...rest }, index) => ({
+      index: index + 1,
+      ...rest,
+      lastActivityTs: lastTs || rest.endTs,
+      durationMs: rest.startTs && rest.endTs ? rest.endTs.getTime() - rest.startTs.getTime() : null
+    }));
+  }
+
+  return { feed, finish };
+}
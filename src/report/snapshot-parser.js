@@ -23,6 +23,7 @@ export async function parseSnapshotFile(filePath) {
         task: kv.task || '',
         status: kv.status || '',
         durationMs: Number(kv.duration_ms || 0),
+        detail: kv.detail || '',
         bodyLines: []
       };
       continue;
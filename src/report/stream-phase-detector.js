@@ -1,40 +1,10 @@
 import fs from 'node:fs';
 import readline from 'node:readline';
-import { parseThreadtimeDate } from '../shared/time.js';
+import { buildThreadtimeContext, parseThreadtimeDate } from '../shared/time.js';
+import { DEFAULT_APP_PROFILE, isProfileLine } from './app-profiles.js';
 
-const APP_LINE_HINT_REGEX = /(com\.limelight|limelight\.qiin|moonlight-common-c|LimeLog|NvConnection|MediaCodecDecoderRenderer|\[STREAM_SESSION\])/i;
-const APP_TAG_HINT_REGEX = /(LimeLog|moonlight-common-c|NvConnection|MediaCodecDecoderRenderer|com\.limelight)/i;
-const STREAM_MARKER_HINT_REGEX = /(\[INTERNAL_STATS\]|\[STREAM_SESSION\]|Launched new game session|Resumed existing game session|Connection terminated|stage .* failed|Average end-to-end client latency|Average hardware decoder latency|Configuring with format|Using codec)/i;
 const THREADTIME_DETAIL_REGEX = /^\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2}\.\d{3}\s+\d+\s+\d+\s+[VDIWEAF]\s+([^:]+):\s?(.*)$/;
 
-const STRONG_START_REGEX = /(\[INTERNAL_STATS\]|\[STREAM_SESSION\]\s*(CONNECTED|HEARTBEAT|APP_SESSION_READY))/i;
-const MID_START_REGEX_LIST = [
-  /Configuring with format/i,
-  /Using codec/i,
-  /Average end-to-end client latency/i,
-  /Average hardware decoder latency/i,
-  /\[STREAM_SESSION\]\s*(CONNECT_REQUEST|CONNECT_PIPELINE_START)/i
-];
-const WEAK_START_REGEX_LIST = [
-  /Launched new game session/i,
-  /Resumed existing game session/i,
-  /\[STREAM_SESSION\]\s*(START|RESUME)/i
-];
-const END_REGEX_LIST = [
-  /Connection terminated/i,
-  /stage .* failed/i,
-  /\[STREAM_SESSION\]\s*(STOP_REQUEST|FAILED|TERMINATED)/i
-];
-const STREAM_ACTIVITY_REGEX_LIST = [
-  /\[INTERNAL_STATS\]/i,
-  /Rx\s+\d+(?:\.\d+)?\s*\/\s*Rd\s+\d+(?:\.\d+)?/i,
-  /Average end-to-end client latency/i,
-  /Average hardware decoder latency/i,
-  /Configuring with format/i,
-  /Using codec/i,
-  /\[STREAM_SESSION\]\s*(HEARTBEAT|CONNECTED|APP_SESSION_READY)/i
-];
-
 const MERGE_GAP_MS = 10000;
 const MIN_VALID_DURATION_MS = 20000;
 const MIN_VALID_ACTIVITY_COUNT = 6;
@@ -82,13 +52,6 @@ function scoreWindow(window, mode) {
   return { score, valid };
 }
 
-function isLikelyStreamLine(line, tag, payload) {
-  if (APP_LINE_HINT_REGEX.test(line)) return true;
-  if (tag && APP_TAG_HINT_REGEX.test(tag)) return true;
-  if (STREAM_MARKER_HINT_REGEX.test(payload)) return true;
-  return false;
-}
-
 function clipDate(date, minDate, maxDate) {
   if (minDate && date < minDate) return minDate;
   if (maxDate && date > maxDate) return maxDate;
@@ -145,9 +108,11 @@ export function isTsInWindows(ts, windows) {
   return false;
 }
 
-export async function detectStreamingPhases(logcatPath, yearHint = new Date().getFullYear(), {
-  mode = 'auto'
+export async function detectStreamingPhases(logcatPath, timeContext = buildThreadtimeContext(), {
+  mode = 'auto',
+  appProfile = DEFAULT_APP_PROFILE
 } = {}) {
+  const { session } = appProfile;
   const out = {
     mode,
     windows: [],
@@ -177,20 +142,20 @@ export async function detectStreamingPhases(logcatPath, yearHint = new Date().ge
   const input = fs.createReadStream(logcatPath);
   const rl = readline.createInterface({ input, crlfDelay: Infinity });
   for await (const line of rl) {
-    const ts = parseThreadtimeDate(line, yearHint);
+    const ts = parseThreadtimeDate(line, timeContext);
     if (!ts) continue;
 
     const detail = line.match(THREADTIME_DETAIL_REGEX);
     const tag = detail ? detail[1] : '';
     const message = detail ? detail[2] : line;
     const payload = `${tag} ${message}`;
-    if (!isLikelyStreamLine(line, tag, payload)) continue;
+    if (!isProfileLine(appProfile, line, tag, payload)) continue;
 
-    const strongStart = STRONG_START_REGEX.test(payload);
-    const midStart = hasAnyRegex(payload, MID_START_REGEX_LIST);
-    const weakStart = hasAnyRegex(payload, WEAK_START_REGEX_LIST);
-    const endMarker = hasAnyRegex(payload, END_REGEX_LIST);
-    const isStreamActivity = hasAnyRegex(payload, STREAM_ACTIVITY_REGEX_LIST);
+    const strongStart = hasAnyRegex(payload, session.strongStart);
+    const midStart = hasAnyRegex(payload, session.midStart);
+    const weakStart = hasAnyRegex(payload, session.weakStart);
+    const endMarker = hasAnyRegex(payload, session.end);
+    const isStreamActivity = hasAnyRegex(payload, session.activity);
     const hasStart = strongStart || midStart || weakStart;
 
     if (strongStart) out.markerCounts.strongStart += 1;
@@ -320,9 +285,10 @@ export function getPhaseConfidence(phase, detection) {
   return 0.5;
 }
 
-export function buildStreamWindowRows(detection) {
+export function buildStreamWindowRows(detection, sessionConfigs = []) {
   const rows = [];
-  for (const w of (detection.windows || [])) {
+  for (const [i, w] of (detection.windows || []).entries()) {
+    const config = sessionConfigs[i] || {};
     rows.push({
       id: w.id,
       start_ts: w.startTs.toISOString(),
@@ -336,7 +302,17 @@ export function buildStreamWindowRows(detection) {
       has_end_marker: w.hasEndMarker ? 'true' : 'false',
       start_marker_count: w.startMarkerCount,
       end_marker_count: w.endMarkerCount,
-      activity_count: w.activityCount
+      activity_count: w.activityCount,
+      codec: config.codec || '',
+      mime: config.mime || '',
+      width: config.width || '',
+      height: config.height || '',
+      fps: config.fps || '',
+      bitrate_kbps: config.bitrateKbps == null ? '' : Math.round(config.bitrateKbps),
+      decoder: config.decoder || '',
+      low_latency: config.lowLatency == null ? '' : String(config.lowLatency),
+      low_latency_options: config.lowLatencyOptions || '',
+      hdr: config.hdr || ''
     });
   }
   return rows;
@@ -0,0 +1,102 @@
+import { parseIsoDateSafe } from '../shared/time.js';
+import { parseSnapshotFile } from './snapshot-parser.js';
+
+const PACKAGE_LINE_REGEX = /^package:(\S+)\s+uid:(\d+)/;
+const QTAGUID_HEADER_REGEX = /^idx\s+iface\s+acct_tag_hex/;
+const NETSTATS_IDENT_REGEX = /\buid=(-?\d+)\s+set=\S+\s+tag=(0x[0-9a-f]+)/i;
+const NETSTATS_BUCKET_REGEX = /\brb=(\d+)\s+rp=\d+\s+tb=(\d+)/;
+
+function addUidBytes(totals, uid, rxBytes, txBytes) {
+  const cur = totals.get(uid) || { rxBytes: 0, txBytes: 0 };
+  cur.rxBytes += rxBytes;
+  cur.txBytes += txBytes;
+  totals.set(uid, cur);
+}
+
+function parseQtaguidTotals(bodyLines) {
+  const totals = new Map();
+  for (const line of bodyLines) {
+    const f = line.trim().split(/\s+/);
+    if (f.length < 9 || f[2] !== '0x0') continue;
+    const uid = Number(f[3]);
+    const rxBytes = Number(f[5]);
+    const txBytes = Number(f[7]);
+    if (!Number.isFinite(uid) || !Number.isFinite(rxBytes) || !Number.isFinite(txBytes)) continue;
+    addUidBytes(totals, uid, rxBytes, txBytes);
+  }
+  return totals;
+}
+
+function parseNetstatsTotals(bodyLines) {
+  const totals = new Map();
+  let inUidSection = false;
+  let uid = null;
+  for (const line of bodyLines) {
+    const trimmed = line.trim();
+    if (/stats:$/i.test(trimmed)) {
+      inUidSection = /^UID stats:$/i.test(trimmed);
+      uid = null;
+      continue;
+    }
+    if (!inUidSection) continue;
+    const ident = trimmed.match(NETSTATS_IDENT_REGEX);
+    if (ident) {
+      uid = ident[2] === '0x0' ? Number(ident[1]) : null;
+      continue;
+    }
+    const bucket = trimmed.match(NETSTATS_BUCKET_REGEX);
+    if (bucket && uid != null) addUidBytes(totals, uid, Number(bucket[1]), Number(bucket[2]));
+  }
+  return totals;
+}
+
+export async function parseUidTraffic(uidTrafficFile) {
+  const snaps = await parseSnapshotFile(uidTrafficFile);
+  const intervals = [];
+  let source = null;
+  let prev = null;
+  let negativeDeltaCount = 0;
+  for (const s of snaps) {
+    if (s.status !== 'OK') continue;
+    const ts = parseIsoDateSafe(s.hostTs);
+    if (!ts) continue;
+    const isQtaguid = s.bodyLines.some((x) => QTAGUID_HEADER_REGEX.test(x.trim()));
+    const totals = isQtaguid ? parseQtaguidTotals(s.bodyLines) : parseNetstatsTotals(s.bodyLines);
+    if (!totals.size) continue;
+    source = isQtaguid ? 'xt_qtaguid' : 'netstats';
+    if (prev && prev.source === source) {
+      const byUid = new Map();
+      for (const [uid, cur] of totals.entries()) {
+        const before = prev.totals.get(uid);
+        if (!before) continue;
+        const rxBytes = cur.rxBytes - before.rxBytes;
+        const txBytes = cur.txBytes - before.txBytes;
+        if (rxBytes < 0 || txBytes < 0) {
+          negativeDeltaCount += 1;
+          continue;
+        }
+        if (rxBytes + txBytes === 0) continue;
+        byUid.set(uid, { rxBytes, txBytes });
+      }
+      intervals.push({ startTs: prev.ts, ts, byUid });
+    }
+    prev = { ts, source, totals };
+  }
+  return { source, intervals, negativeDeltaCount };
+}
+
+export async function parseUidPackages(packagesFile) {
+  const snaps = await parseSnapshotFile(packagesFile);
+  const packagesByUid = new Map();
+  for (const s of snaps) {
+    if (s.status !== 'OK') continue;
+    for (const line of s.bodyLines) {
+      const m = line.trim().match(PACKAGE_LINE_REGEX);
+      if (!m) continue;
+      const uid = Number(m[2]);
+      if (!packagesByUid.has(uid)) packagesByUid.set(uid, new Set());
+      packagesByUid.get(uid).add(m[1]);
+    }
+  }
+  return new Map([...packagesByUid.entries()].map(([uid, set]) => [uid, [...set].sort()]));
+}
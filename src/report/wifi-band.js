@@ -0,0 +1,41 @@
+export function frequencyToBand(freqMhz) {
+  if (!Number.isFinite(freqMhz)) return null;
+  if (freqMhz >= 2400 && freqMhz < 2500) return '2.4GHz';
+  if (freqMhz >= 5925 && freqMhz <= 7125) return '6GHz';
+  if (freqMhz >= 4900 && freqMhz < 5925) return '5GHz';
+  return null;
+}
+
+export function frequencyToChannel(freqMhz) {
+  if (!Number.isFinite(freqMhz)) return null;
+  if (freqMhz === 2484) return 14;
+  if (freqMhz >= 2412 && freqMhz <= 2472) return Math.round((freqMhz - 2407) / 5);
+  if (freqMhz >= 5955 && freqMhz <= 7115) return Math.round((freqMhz - 5950) / 5);
+  if (freqMhz >= 4910 && freqMhz <= 5885) return Math.round((freqMhz - 5000) / 5);
+  return null;
+}
+
+const BAND_TRANSITION_REGEX = /\bband=(\S+)->(\S+) ch=(\S+)->(\S+)/;
+
+export function classifyFrequencyChange(prevFreqMhz, curFreqMhz) {
+  if (!Number.isFinite(prevFreqMhz) || !Number.isFinite(curFreqMhz) || prevFreqMhz === curFreqMhz) return null;
+  const fromBand = frequencyToBand(prevFreqMhz);
+  const toBand = frequencyToBand(curFreqMhz);
+  const fromChannel = frequencyToChannel(prevFreqMhz);
+  const toChannel = frequencyToChannel(curFreqMhz);
+  if (fromBand === toBand && fromChannel === toChannel) return null;
+  return {
+    type: fromBand !== toBand ? 'BAND_CHANGE' : 'CHANNEL_CHANGE',
+    fromBand,
+    toBand,
+    fromChannel,
+    toChannel,
+    detail: `band=${fromBand || '?'}->${toBand || '?'} ch=${fromChannel ?? '?'}->${toChannel ?? '?'} freq=${prevFreqMhz}->${curFreqMhz}MHz`
+  };
+}
+
+export function parseBandTransition(rawLine) {
+  const m = String(rawLine || '').match(BAND_TRANSITION_REGEX);
+  if (!m) return null;
+  return { fromBand: m[1], toBand: m[2], fromChannel: m[3], toChannel: m[4] };
+}
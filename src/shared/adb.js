@@ -22,3 +22,35 @@ export function parseDevices(output) {
     };
   });
 }
+
+export function isNetworkSerial(serial) {
+  return /^[^\s:]+:\d{1,5}$/.test(String(serial || ''));
+}
+
+export async function adbConnect(endpoint, opts = {}) {
+  const result = await runAdb(['connect', endpoint], { timeout: 15000, reject: false, ...opts });
+  const output = `${result.stdout || ''}\n${result.stderr || ''}`.trim();
+  return {
+    ok: result.exitCode === 0 && /\b(connected to|already connected)\b/i.test(output) && !/\bfailed\b|\bunable\b|\bcannot\b/i.test(output),
+    output
+  };
+}
+
+export async function adbDisconnect(endpoint, opts = {}) {
+  return runAdb(['disconnect', endpoint], { timeout: 10000, reject: false, ...opts });
+}
+
+export async function adbPair(endpoint, code, opts = {}) {
+  const result = await runAdb(['pair', endpoint, code], { timeout: 30000, reject: false, ...opts });
+  const output = `${result.stdout || ''}\n${result.stderr || ''}`.trim();
+  return {
+    ok: result.exitCode === 0 && /successfully paired/i.test(output),
+    output
+  };
+}
+
+export async function adbGetState(serial, opts = {}) {
+  const result = await runAdb(adbArgsForSerial(serial, ['get-state']), { timeout: 5000, reject: false, ...opts });
+  if (result.exitCode !== 0) return '';
+  return String(result.stdout || '').trim();
+}
@@ -0,0 +1,102 @@
+import { median, lowerBound } from './stats.js';
+
+const MIN_ROUND_TRIP_LIMIT_MS = 250;
+const STEP_THRESHOLD_MS = 1000;
+const MIN_DRIFT_SPAN_MS = 60000;
+
+function selectClockSamples(samples) {
+  const valid = (samples || [])
+    .filter((x) => Number.isFinite(x.hostEpochMs) && Number.isFinite(x.deviceEpochMs) && Number.isFinite(x.roundTripMs))
+    .sort((a, b) => a.hostEpochMs - b.hostEpochMs);
+  if (!valid.length) return [];
+  const limitMs = Math.max(MIN_ROUND_TRIP_LIMIT_MS, 2 * median(valid.map((x) => x.roundTripMs).sort((a, b) => a - b)));
+  const used = valid.filter((x) => x.roundTripMs <= limitMs);
+  return (used.length ? used : valid).map((x) => ({ ...x, offsetMs: x.deviceEpochMs - x.hostEpochMs }));
+}
+
+function splitAtSteps(used) {
+  const segments = [[used[0]]];
+  for (let i = 1; i < used.length; i += 1) {
+    if (Math.abs(used[i].offsetMs - used[i - 1].offsetMs) >= STEP_THRESHOLD_MS) segments.push([]);
+    segments[segments.length - 1].push(used[i]);
+  }
+  return segments;
+}
+
+function fitDriftPpm(segments) {
+  let num = 0;
+  let den = 0;
+  let spanMs = 0;
+  for (const seg of segments) {
+    if (seg.length < 2) continue;
+    spanMs += seg[seg.length - 1].hostEpochMs - seg[0].hostEpochMs;
+    const meanX = seg.reduce((acc, x) => acc + x.hostEpochMs, 0) / seg.length;
+    const meanY = seg.reduce((acc, x) => acc + x.offsetMs, 0) / seg.length;
+    for (const x of seg) {
+      num += (x.hostEpochMs - meanX) * (x.offsetMs - meanY);
+      den += (x.hostEpochMs - meanX) ** 2;
+    }
+  }
+  return spanMs >= MIN_DRIFT_SPAN_MS && den > 0 ? (num / den) * 1e6 : null;
+}
+
+function summarizeSegment(seg) {
+  const offsets = seg.map((x) => x.offsetMs).sort((a, b) => a - b);
+  return {
+    fromIso: new Date(seg[0].hostEpochMs).toISOString(),
+    toIso: new Date(seg[seg.length - 1].hostEpochMs).toISOString(),
+    sampleCount: seg.length,
+    offsetMs: Math.round(median(offsets)),
+    offsetMinMs: offsets[0],
+    offsetMaxMs: offsets[offsets.length - 1]
+  };
+}
+
+export function summarizeClockSamples(samples) {
+  const used = selectClockSamples(samples);
+  if (!used.length) {
+    return { sampleCount: (samples || []).length, usedSampleCount: 0, segments: [], driftPpm: null, steps: [] };
+  }
+  const segments = splitAtSteps(used);
+  const steps = segments.slice(1).map((seg, i) => {
+    const prev = segments[i][segments[i].length - 1];
+    return {
+      fromIso: new Date(prev.hostEpochMs).toISOString(),
+      toIso: new Date(seg[0].hostEpochMs).toISOString(),
+      deltaMs: seg[0].offsetMs - prev.offsetMs
+    };
+  });
+  return {
+    sampleCount: samples.length,
+    usedSampleCount: used.length,
+    segments: segments.map(summarizeSegment),
+    driftPpm: fitDriftPpm(segments),
+    steps
+  };
+}
+
+function offsetWithinSegment({ samples, deviceTimes }, deviceMs) {
+  if (deviceMs <= deviceTimes[0]) return samples[0].offsetMs;
+  const last = samples[samples.length - 1];
+  if (deviceMs >= last.deviceEpochMs) return last.offsetMs;
+  const i = lowerBound(deviceTimes, deviceMs);
+  const a = samples[i - 1];
+  const b = samples[i];
+  const ratio = (deviceMs - a.deviceEpochMs) / (b.deviceEpochMs - a.deviceEpochMs);
+  return a.offsetMs + (b.offsetMs - a.offsetMs) * ratio;
+}
+
+export function createClockCorrector(samples) {
+  const used = selectClockSamples(samples);
+  if (!used.length) return null;
+  const segments = splitAtSteps(used).map((seg) => {
+    const sorted = seg.slice().sort((a, b) => a.deviceEpochMs - b.deviceEpochMs);
+    return { samples: sorted, deviceTimes: sorted.map((x) => x.deviceEpochMs) };
+  });
+  const startFloors = segments.map((seg) => seg.deviceTimes[0]);
+  for (let i = startFloors.length - 2; i >= 0; i -= 1) startFloors[i] = Math.min(startFloors[i], startFloors[i + 1]);
+  return function toHostEpochMs(deviceMs) {
+    const i = Math.max(0, lowerBound(startFloors, deviceMs + 1) - 1);
+    return Math.round(deviceMs - offsetWithinSegment(segments[i], deviceMs));
+  };
+}
@@ -74,3 +74,7 @@ export function countInRange(sortedArr, start, end) {
   const j = lowerBound(sortedArr, end + 1);
   return Math.max(0, j - i);
 }
+
+export function jitterDeltaMs(prevLatencyMs, latencyMs) {
+  return Math.abs(latencyMs - prevLatencyMs);
+}
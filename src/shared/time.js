@@ -23,13 +23,44 @@ export function formatTs(d) {
   return dayjs(d).format('YYYY-MM-DD HH:mm:ss.SSS');
 }
 
-export function parseThreadtimeDate(line, yearHint) {
-  const m = line.match(/^(\d{2})-(\d{2})\s+(\d{2}:\d{2}:\d{2}\.\d{3})/);
+export function parseUtcOffsetMinutes(text) {
+  const m = String(text || '').trim().match(/^([+-])(\d{2}):?(\d{2})$/);
   if (!m) return null;
-  const text = `${yearHint}-${m[1]}-${m[2]} ${m[3]}`;
-  const parsed = dayjs(text, 'YYYY-MM-DD HH:mm:ss.SSS', true);
-  if (!parsed.isValid()) return null;
-  return parsed.toDate();
+  return (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+}
+
+export function formatUtcOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${pad2(Math.floor(abs / 60))}:${pad2(abs % 60)}`;
+}
+
+export function buildThreadtimeContext({ referenceEpochMs = Date.now(), utcOffsetMinutes = null, toHostEpochMs = null } = {}) {
+  if (utcOffsetMinutes == null) {
+    const ref = dayjs(referenceEpochMs);
+    return { year: ref.year(), month: ref.month() + 1, utcOffsetMinutes, toHostEpochMs };
+  }
+  const shifted = new Date(referenceEpochMs + utcOffsetMinutes * 60000);
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, utcOffsetMinutes, toHostEpochMs };
+}
+
+export function parseThreadtimeDate(line, timeContext = buildThreadtimeContext()) {
+  const m = line.match(/^(\d{2})-(\d{2})\s+((\d{2}):(\d{2}):(\d{2})\.(\d{3}))/);
+  if (!m) return null;
+  const month = Number(m[1]);
+  let { year } = timeContext;
+  if (timeContext.month - month > 6) year += 1;
+  else if (month - timeContext.month > 6) year -= 1;
+  let deviceMs;
+  if (timeContext.utcOffsetMinutes == null) {
+    const parsed = dayjs(`${year}-${m[1]}-${m[2]} ${m[3]}`, 'YYYY-MM-DD HH:mm:ss.SSS', true);
+    if (!parsed.isValid()) return null;
+    deviceMs = parsed.valueOf();
+  } else {
+    const wallMs = Date.UTC(year, month - 1, Number(m[2]), Number(m[4]), Number(m[5]), Number(m[6]), Number(m[7]));
+    if (new Date(wallMs).toISOString().slice(5, 23) !== `${m[1]}-${m[2]}T${m[3]}`) return null;
+    deviceMs = wallMs - timeContext.utcOffsetMinutes * 60000;
+  }
+  return new Date(timeContext.toHostEpochMs ? timeContext.toHostEpochMs(deviceMs) : deviceMs);
 }
 
 export function parseIsoDateSafe(text) {